@@ -34,10 +34,26 @@ CREATE TABLE IF NOT EXISTS messages (
     processed BOOLEAN DEFAULT FALSE,
     processed_at TIMESTAMP,
     instance_id VARCHAR(255),
+    is_deleted BOOLEAN DEFAULT FALSE,
+    deleted_at TIMESTAMP,
+    edited_at TIMESTAMP,
+    payload JSONB DEFAULT '{}',
+    quoted_message_id VARCHAR(255),
+    quoted_participant VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create message_edits table (edit history for messages)
+CREATE TABLE IF NOT EXISTS message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(255) NOT NULL,
+    previous_content TEXT,
+    new_content TEXT,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES messages(message_id) ON DELETE CASCADE
+);
+
 -- Create processed_media table
 CREATE TABLE IF NOT EXISTS processed_media (
     id SERIAL PRIMARY KEY,
@@ -60,9 +76,11 @@ CREATE TABLE IF NOT EXISTS group_summaries (
     chat_id VARCHAR(255) NOT NULL,
     summary_period VARCHAR(20) NOT NULL,
     summary_text TEXT NOT NULL,
+    summary_data JSONB,
     message_count INTEGER DEFAULT 0,
     start_date TIMESTAMP NOT NULL,
     end_date TIMESTAMP NOT NULL,
+    instance_id VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(chat_id, summary_period, start_date)
@@ -77,9 +95,123 @@ CREATE TABLE IF NOT EXISTS chat_participants (
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_admin BOOLEAN DEFAULT FALSE,
     left_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(chat_id, participant_id)
 );
 
+-- Create chat_participant_events table (membership history)
+CREATE TABLE IF NOT EXISTS chat_participant_events (
+    id SERIAL PRIMARY KEY,
+    chat_id VARCHAR(255) NOT NULL,
+    participant_id VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    source VARCHAR(20) DEFAULT 'webhook',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create contacts table (directory used for name resolution)
+CREATE TABLE IF NOT EXISTS contacts (
+    id SERIAL PRIMARY KEY,
+    contact_id VARCHAR(255) UNIQUE NOT NULL,
+    push_name VARCHAR(255),
+    verified_name VARCHAR(255),
+    alias VARCHAR(255),
+    profile_picture_url TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create connection_events table (WhatsApp connection state transitions)
+CREATE TABLE IF NOT EXISTS connection_events (
+    id SERIAL PRIMARY KEY,
+    instance VARCHAR(255) NOT NULL,
+    state VARCHAR(30) NOT NULL,
+    previous_state VARCHAR(30),
+    status_reason INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create instances table (Evolution instances registry)
+CREATE TABLE IF NOT EXISTS instances (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    api_url VARCHAR(500),
+    api_key VARCHAR(255),
+    admin_chat_id VARCHAR(255),
+    settings JSONB DEFAULT '{}',
+    business_hours JSONB,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create message_reactions table (one reaction per sender and message)
+-- No foreign key: reactions may target messages sent before the bot joined
+CREATE TABLE IF NOT EXISTS message_reactions (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(255) NOT NULL,
+    chat_id VARCHAR(255) NOT NULL,
+    sender_id VARCHAR(255) NOT NULL,
+    emoji VARCHAR(50) NOT NULL,
+    reaction_message_id VARCHAR(255),
+    instance_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, sender_id)
+);
+
+-- Create contact_roles table (bot command permissions; contacts without a row are members)
+CREATE TABLE IF NOT EXISTS contact_roles (
+    id SERIAL PRIMARY KEY,
+    contact_id VARCHAR(255) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'moderator', 'member')),
+    granted_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create chat_settings table (per-chat bot behaviour; missing keys use the defaults in chatSettingsService)
+CREATE TABLE IF NOT EXISTS chat_settings (
+    id SERIAL PRIMARY KEY,
+    chat_id VARCHAR(255) UNIQUE NOT NULL,
+    settings JSONB NOT NULL DEFAULT '{}',
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create summary_subscriptions table (scheduled group summaries; chat_id '*' covers every active group)
+CREATE TABLE IF NOT EXISTS summary_subscriptions (
+    id SERIAL PRIMARY KEY,
+    chat_id VARCHAR(255) NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,
+    period VARCHAR(50) NOT NULL DEFAULT '24h',
+    min_messages INTEGER NOT NULL DEFAULT 10,
+    destinations JSONB NOT NULL DEFAULT '["admins"]',
+    instance_id VARCHAR(100),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by VARCHAR(255),
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create ai_usage table (one row per LLM call, for cost reports and monthly budgets)
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id SERIAL PRIMARY KEY,
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    audio_seconds NUMERIC(10, 2),
+    estimated_cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    chat_id VARCHAR(255),
+    sender_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create processing_queue table
 CREATE TABLE IF NOT EXISTS processing_queue (
     id SERIAL PRIMARY KEY,
@@ -103,13 +235,25 @@ CREATE TABLE IF NOT EXISTS system_logs (
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create conversation_resets table (where /novo last started a chat's conversation over)
+CREATE TABLE IF NOT EXISTS conversation_resets (
+    chat_id VARCHAR(255) PRIMARY KEY,
+    reset_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create webhook_events table for tracking webhook events
 CREATE TABLE IF NOT EXISTS webhook_events (
     id SERIAL PRIMARY KEY,
     source VARCHAR(50) NOT NULL,
     event_type VARCHAR(100) NOT NULL,
+    event_id VARCHAR(255),
+    instance VARCHAR(255),
     event_data JSONB,
+    status VARCHAR(20) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
     processed BOOLEAN DEFAULT FALSE,
+    processed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -120,6 +264,11 @@ CREATE INDEX IF NOT EXISTS idx_messages_is_group ON messages(is_group);
 CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX IF NOT EXISTS idx_messages_message_type ON messages(message_type);
 CREATE INDEX IF NOT EXISTS idx_messages_processed ON messages(processed);
+CREATE INDEX IF NOT EXISTS idx_messages_is_deleted ON messages(is_deleted);
+CREATE INDEX IF NOT EXISTS idx_messages_instance_id ON messages(instance_id, chat_id);
+CREATE INDEX IF NOT EXISTS idx_messages_quoted_message_id ON messages(quoted_message_id) WHERE quoted_message_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id);
 
 CREATE INDEX IF NOT EXISTS idx_processed_media_message_id ON processed_media(message_id);
 CREATE INDEX IF NOT EXISTS idx_processed_media_status ON processed_media(processing_status);
@@ -131,6 +280,18 @@ CREATE INDEX IF NOT EXISTS idx_group_summaries_created_at ON group_summaries(cre
 
 CREATE INDEX IF NOT EXISTS idx_chat_participants_chat_id ON chat_participants(chat_id);
 CREATE INDEX IF NOT EXISTS idx_chat_participants_participant_id ON chat_participants(participant_id);
+CREATE INDEX IF NOT EXISTS idx_chat_participant_events_chat ON chat_participant_events(chat_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_contacts_alias ON contacts(alias) WHERE alias IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_connection_events_instance ON connection_events(instance, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_chat ON message_reactions(chat_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_summary_subscriptions_chat ON summary_subscriptions(chat_id);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_chat ON ai_usage(chat_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
 
 CREATE INDEX IF NOT EXISTS idx_processing_queue_status ON processing_queue(status);
 CREATE INDEX IF NOT EXISTS idx_processing_queue_created_at ON processing_queue(created_at);
@@ -141,6 +302,7 @@ CREATE INDEX IF NOT EXISTS idx_system_logs_timestamp ON system_logs(timestamp);
 CREATE INDEX IF NOT EXISTS idx_webhook_events_source ON webhook_events(source);
 CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events(event_type);
 CREATE INDEX IF NOT EXISTS idx_webhook_events_processed ON webhook_events(processed);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, created_at);
 
 -- Create full-text search indexes
 CREATE INDEX IF NOT EXISTS idx_messages_content_fts ON messages USING gin(to_tsvector('portuguese', COALESCE(content, '')));
@@ -176,6 +338,27 @@ CREATE TRIGGER update_processed_media_updated_at BEFORE UPDATE ON processed_medi
 CREATE TRIGGER update_group_summaries_updated_at BEFORE UPDATE ON group_summaries
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_chat_participants_updated_at BEFORE UPDATE ON chat_participants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contacts_updated_at BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_instances_updated_at BEFORE UPDATE ON instances
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_message_reactions_updated_at BEFORE UPDATE ON message_reactions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_contact_roles_updated_at BEFORE UPDATE ON contact_roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_chat_settings_updated_at BEFORE UPDATE ON chat_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_summary_subscriptions_updated_at BEFORE UPDATE ON summary_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_processing_queue_updated_at BEFORE UPDATE ON processing_queue
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -249,6 +432,10 @@ WHERE created_at >= NOW() - INTERVAL '24 hours'
 GROUP BY media_type, processing_status;
 
 -- Insert initial configuration data
+-- Daily summary of every active group at 6 AM, sent to the admins
+INSERT INTO summary_subscriptions (chat_id, cron_expression, period, min_messages, destinations, created_by)
+VALUES ('*', '0 6 * * *', '24h', 10, '["admins"]', 'init');
+
 INSERT INTO system_logs (level, message, meta) VALUES 
 ('info', 'Database initialized successfully', '{"component": "database", "action": "init"}')
 ON CONFLICT DO NOTHING;
@@ -7,6 +7,7 @@ require('dotenv').config(); // Load environment variables from .env file
 const fs = require('fs/promises');
 const path = require('path');
 const aiService = require('../src/services/aiService');
+const llm = require('../src/services/llm');
 const logger = require('../src/utils/logger');
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
@@ -81,7 +82,7 @@ async function processFile(filePath) {
 
 async function main() {
   logger.info('Starting knowledge base embedding generation (incremental)...');
-  if (!process.env.OPENAI_API_KEY) {
+  if (llm.getProviderName('embedding') === 'openai' && !process.env.OPENAI_API_KEY) {
     logger.error('OPENAI_API_KEY is not set. Please create a .env file with your key.');
     return;
   }
@@ -52,11 +52,40 @@ class Database {
           is_group BOOLEAN DEFAULT FALSE,
           processed BOOLEAN DEFAULT FALSE,
           processed_at TIMESTAMP,
+          instance_id VARCHAR(255),
+          is_deleted BOOLEAN DEFAULT FALSE,
+          deleted_at TIMESTAMP,
+          edited_at TIMESTAMP,
+          payload JSONB DEFAULT '{}',
+          quoted_message_id VARCHAR(255),
+          quoted_participant VARCHAR(255),
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
+      // Add columns introduced after the first release
+      await client.query(`
+        ALTER TABLE messages
+          ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS instance_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS payload JSONB DEFAULT '{}',
+          ADD COLUMN IF NOT EXISTS quoted_message_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS quoted_participant VARCHAR(255)
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS message_edits (
+          id SERIAL PRIMARY KEY,
+          message_id VARCHAR(255) NOT NULL REFERENCES messages(message_id) ON DELETE CASCADE,
+          previous_content TEXT,
+          new_content TEXT,
+          edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       await client.query(`
         CREATE TABLE IF NOT EXISTS processed_media (
           id SERIAL PRIMARY KEY,
@@ -79,14 +108,24 @@ class Database {
           chat_id VARCHAR(255) NOT NULL,
           summary_period VARCHAR(20) NOT NULL,
           summary_text TEXT NOT NULL,
+          summary_data JSONB,
           message_count INTEGER DEFAULT 0,
           start_date TIMESTAMP NOT NULL,
           end_date TIMESTAMP NOT NULL,
+          instance_id VARCHAR(255),
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           UNIQUE(chat_id, summary_period, start_date)
         )
       `);
 
+      await client.query(`
+        ALTER TABLE group_summaries
+          ADD COLUMN IF NOT EXISTS instance_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS summary_data JSONB
+      `);
+
       await client.query(`
         CREATE TABLE IF NOT EXISTS chat_participants (
           id SERIAL PRIMARY KEY,
@@ -95,10 +134,153 @@ class Database {
           participant_name VARCHAR(255),
           joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           is_admin BOOLEAN DEFAULT FALSE,
+          left_at TIMESTAMP,
           UNIQUE(chat_id, participant_id)
         )
       `);
 
+      await client.query(`
+        ALTER TABLE chat_participants
+          ADD COLUMN IF NOT EXISTS left_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS chat_participant_events (
+          id SERIAL PRIMARY KEY,
+          chat_id VARCHAR(255) NOT NULL,
+          participant_id VARCHAR(255) NOT NULL,
+          action VARCHAR(20) NOT NULL,
+          source VARCHAR(20) DEFAULT 'webhook',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS contacts (
+          id SERIAL PRIMARY KEY,
+          contact_id VARCHAR(255) UNIQUE NOT NULL,
+          push_name VARCHAR(255),
+          verified_name VARCHAR(255),
+          alias VARCHAR(255),
+          profile_picture_url TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS connection_events (
+          id SERIAL PRIMARY KEY,
+          instance VARCHAR(255) NOT NULL,
+          state VARCHAR(30) NOT NULL,
+          previous_state VARCHAR(30),
+          status_reason INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS instances (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(255) UNIQUE NOT NULL,
+          api_url VARCHAR(500),
+          api_key VARCHAR(255),
+          admin_chat_id VARCHAR(255),
+          settings JSONB DEFAULT '{}',
+          business_hours JSONB,
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        ALTER TABLE instances
+          ADD COLUMN IF NOT EXISTS business_hours JSONB
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS message_reactions (
+          id SERIAL PRIMARY KEY,
+          message_id VARCHAR(255) NOT NULL,
+          chat_id VARCHAR(255) NOT NULL,
+          sender_id VARCHAR(255) NOT NULL,
+          emoji VARCHAR(50) NOT NULL,
+          reaction_message_id VARCHAR(255),
+          instance_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(message_id, sender_id)
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS contact_roles (
+          id SERIAL PRIMARY KEY,
+          contact_id VARCHAR(255) UNIQUE NOT NULL,
+          role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'moderator', 'member')),
+          granted_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS chat_settings (
+          id SERIAL PRIMARY KEY,
+          chat_id VARCHAR(255) UNIQUE NOT NULL,
+          settings JSONB NOT NULL DEFAULT '{}',
+          updated_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // The daily summary of every active group used to be hard-coded; seed it once as a subscription
+      const subscriptionsTable = await client.query(`SELECT to_regclass('summary_subscriptions') AS name`);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS summary_subscriptions (
+          id SERIAL PRIMARY KEY,
+          chat_id VARCHAR(255) NOT NULL,
+          cron_expression VARCHAR(100) NOT NULL,
+          period VARCHAR(50) NOT NULL DEFAULT '24h',
+          min_messages INTEGER NOT NULL DEFAULT 10,
+          destinations JSONB NOT NULL DEFAULT '["admins"]',
+          instance_id VARCHAR(100),
+          is_active BOOLEAN DEFAULT TRUE,
+          created_by VARCHAR(255),
+          last_run_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      if (!subscriptionsTable.rows[0].name) {
+        await client.query(`
+          INSERT INTO summary_subscriptions (chat_id, cron_expression, period, min_messages, destinations, created_by)
+          VALUES ('*', '0 6 * * *', '24h', 10, '["admins"]', 'migration')
+        `);
+      }
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS ai_usage (
+          id SERIAL PRIMARY KEY,
+          task VARCHAR(50) NOT NULL,
+          provider VARCHAR(50) NOT NULL,
+          model VARCHAR(100),
+          prompt_tokens INTEGER NOT NULL DEFAULT 0,
+          completion_tokens INTEGER NOT NULL DEFAULT 0,
+          total_tokens INTEGER NOT NULL DEFAULT 0,
+          audio_seconds NUMERIC(10, 2),
+          estimated_cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+          chat_id VARCHAR(255),
+          sender_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       await client.query(`
         CREATE TABLE IF NOT EXISTS processing_queue (
           id SERIAL PRIMARY KEY,
@@ -114,6 +296,35 @@ class Database {
         )
       `);
 
+      // Where /novo last started a chat's conversation over (see conversationMemoryService)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS conversation_resets (
+          chat_id VARCHAR(255) PRIMARY KEY,
+          reset_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_events (
+          id SERIAL PRIMARY KEY,
+          source VARCHAR(50) NOT NULL,
+          event_type VARCHAR(100) NOT NULL,
+          event_data JSONB,
+          processed BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        ALTER TABLE webhook_events
+          ADD COLUMN IF NOT EXISTS event_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS instance VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'pending',
+          ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS last_error TEXT,
+          ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP
+      `);
+
       // Create indexes for better performance
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_messages_chat_id ON messages(chat_id);
@@ -126,6 +337,10 @@ class Database {
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_messages_is_group ON messages(is_group);
       `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_messages_chat_created ON messages(chat_id, created_at DESC);
+      `);
       
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_processed_media_message_id ON processed_media(message_id);
@@ -135,6 +350,50 @@ class Database {
         CREATE INDEX IF NOT EXISTS idx_group_summaries_chat_id ON group_summaries(chat_id);
       `);
 
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_message_edits_message_id ON message_edits(message_id);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, created_at);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_chat_participant_events_chat ON chat_participant_events(chat_id, created_at DESC);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_contacts_alias ON contacts(alias) WHERE alias IS NOT NULL;
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_connection_events_instance ON connection_events(instance, created_at DESC);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_messages_instance_id ON messages(instance_id, chat_id);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_messages_quoted_message_id ON messages(quoted_message_id) WHERE quoted_message_id IS NOT NULL;
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_message_reactions_chat ON message_reactions(chat_id, created_at DESC);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_summary_subscriptions_chat ON summary_subscriptions(chat_id);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_ai_usage_chat ON ai_usage(chat_id, created_at);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+      `);
+
       await client.query('COMMIT');
       logger.info('Database migrations completed successfully');
       
@@ -102,6 +102,18 @@ class RedisClient {
     }
   }
 
+  // Returns true only for the caller that created the key
+  async setIfNotExists(key, value, ttl) {
+    try {
+      const serializedValue = JSON.stringify(value);
+      const result = await this.client.set(key, serializedValue, 'EX', ttl, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Redis SET NX error:', { key, error: error.message });
+      throw error;
+    }
+  }
+
   async expire(key, ttl) {
     try {
       return await this.client.expire(key, ttl);
@@ -122,6 +134,21 @@ class RedisClient {
     }
   }
 
+  // Overwrites a field only while it still exists (atomically); returns true when it did
+  async hsetIfExists(key, field, value) {
+    try {
+      const serializedValue = JSON.stringify(value);
+      const result = await this.client.eval(
+        "if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 then return redis.call('HSET', KEYS[1], ARGV[1], ARGV[2]) + 1 end return 0",
+        1, key, field, serializedValue
+      );
+      return result > 0;
+    } catch (error) {
+      logger.error('Redis HSET XX error:', { key, field, error: error.message });
+      throw error;
+    }
+  }
+
   async hget(key, field) {
     try {
       const value = await this.client.hget(key, field);
@@ -132,6 +159,15 @@ class RedisClient {
     }
   }
 
+  async hdel(key, field) {
+    try {
+      return await this.client.hdel(key, field);
+    } catch (error) {
+      logger.error('Redis HDEL error:', { key, field, error: error.message });
+      throw error;
+    }
+  }
+
   async hgetall(key) {
     try {
       const hash = await this.client.hgetall(key);
@@ -15,10 +15,14 @@ const webhookRoutes = require('./routes/webhook');
 const messageRoutes = require('./routes/messages');
 const summaryRoutes = require('./routes/summaries');
 const whatsappRoutes = require('./routes/whatsapp');
+const chatRoutes = require('./routes/chats');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
 const queueService = require('./services/queueService');
 const cronService = require('./services/cronService');
 const metricsService = require('./utils/metrics');
 const whatsappService = require('./services/whatsappService');
+const connectionService = require('./services/connectionService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -59,6 +63,9 @@ app.use('/webhook', webhookRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/summaries', summaryRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
+app.use('/api/chats', chatRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/usage', usageRoutes);
 
 // Error handling
 app.use(notFoundHandler);
@@ -117,8 +124,12 @@ const initializeApp = async () => {
       metricsService.initializeMetrics(app);
       logger.info('Metrics initialized');
     }
+
+    await connectionService.initialize();
+    logger.info('WhatsApp connection state restored');
     
     cronService.startCronJobs();
+    await cronService.startSubscriptionJobs();
     logger.info('Cron jobs started');
     
     server = app.listen(PORT, () => {
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { AppError } = require('./errorHandler');
+
+/**
+ * Middleware that protects administrative endpoints with the ADMIN_API_KEY sent in the x-api-key header.
+ */
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    logger.error('ADMIN_API_KEY is not set. Admin endpoints are disabled.');
+    return next(new AppError('Admin API is not configured on the server.', 503));
+  }
+
+  const providedKey = req.headers['x-api-key'] || '';
+
+  // Hash both values so they have the same length for the constant-time comparison
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const received = crypto.createHash('sha256').update(String(providedKey)).digest();
+
+  if (!providedKey || !crypto.timingSafeEqual(expected, received)) {
+    logger.warn('Rejected admin request with invalid API key.', { ip: req.ip, url: req.originalUrl });
+    return next(new AppError('Invalid or missing admin API key.', 401));
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdminKey
+};
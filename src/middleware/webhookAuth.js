@@ -1,19 +1,60 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const redis = require('../config/redis');
 const { catchAsync } = require('./errorHandler');
 
+const DEFAULT_NONCE_TTL = 24 * 60 * 60; // 24 hours
+
+/**
+ * Returns the secrets currently accepted for webhook signatures.
+ * During a rotation EVOLUTION_WEBHOOK_SECRETS holds the new and the old secret (comma-separated).
+ */
+const getActiveSecrets = () => {
+  const secrets = [
+    ...(process.env.EVOLUTION_WEBHOOK_SECRETS || '').split(','),
+    process.env.EVOLUTION_WEBHOOK_SECRET || ''
+  ];
+
+  return [...new Set(secrets.map(secret => secret.trim()).filter(Boolean))];
+};
+
+/**
+ * Compares two hex digests without leaking timing information.
+ */
+const safeCompare = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  if (expectedBuffer.length === 0 || expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
 /**
- * Middleware to verify the HMAC-SHA256 signature of webhooks from the Evolution API.
+ * Identifies a webhook delivery: the sender's event ID when present, otherwise a hash of the raw body.
+ */
+const getEventId = (req) => {
+  return req.headers['x-webhook-id']
+    || req.headers['x-event-id']
+    || req.body?.id
+    || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+};
+
+/**
+ * Middleware to verify the HMAC-SHA256 signature of webhooks from the Evolution API
+ * and to reject deliveries whose event ID was already seen within the nonce window.
  */
 const verifyEvolutionSignature = catchAsync(async (req, res, next) => {
-  const secret = process.env.EVOLUTION_WEBHOOK_SECRET;
+  const secrets = getActiveSecrets();
 
-  if (!secret) {
+  if (secrets.length === 0) {
     logger.error('EVOLUTION_WEBHOOK_SECRET is not set. Webhook cannot be secured.');
     return res.status(500).send('Webhook secret is not configured on the server.');
   }
 
-  const signature = req.headers['x-hub-signature-256'];
+  const signature = req.headers['x-hub-signature-256'] || req.headers['x-webhook-signature'];
 
   if (!signature) {
     logger.warn('Received webhook without x-hub-signature-256 header.');
@@ -26,20 +67,47 @@ const verifyEvolutionSignature = catchAsync(async (req, res, next) => {
   }
 
   const receivedHash = signatureParts[1];
+  const rawBody = req.rawBody || Buffer.alloc(0);
 
-  const calculatedHash = crypto
-    .createHmac('sha256', secret)
-    .update(req.rawBody)
-    .digest('hex');
+  const isValid = secrets.some(secret => {
+    const calculatedHash = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
 
-  if (calculatedHash !== receivedHash) {
-    logger.warn('Invalid webhook signature.', { received: receivedHash, calculated: calculatedHash });
+    return safeCompare(calculatedHash, receivedHash);
+  });
+
+  if (!isValid) {
+    logger.warn('Invalid webhook signature.', { ip: req.ip, secretsTried: secrets.length });
     return res.status(403).send('Forbidden: Invalid signature.');
   }
 
+  // Replay protection
+  const eventId = getEventId(req);
+  const nonceKey = `webhook_nonce:${eventId}`;
+  const nonceTtl = parseInt(process.env.EVOLUTION_WEBHOOK_NONCE_TTL) || DEFAULT_NONCE_TTL;
+
+  let isFirstDelivery;
+  try {
+    isFirstDelivery = await redis.setIfNotExists(nonceKey, Date.now(), nonceTtl);
+  } catch (error) {
+    logger.error('Could not check webhook nonce, rejecting delivery.', { eventId, error: error.message });
+    return res.status(503).send('Service Unavailable: Could not verify webhook nonce.');
+  }
+
+  if (!isFirstDelivery) {
+    logger.warn('Rejected replayed webhook.', { eventId, ip: req.ip });
+    return res.status(409).send('Conflict: Webhook event already processed.');
+  }
+
+  // Exposed so the route can release the nonce if the delivery is invalid or cannot be stored
+  req.webhookEventId = eventId;
+  req.webhookNonceKey = nonceKey;
+
   next();
 });
 
 module.exports = {
   verifyEvolutionSignature,
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,806 @@
+const express = require('express');
+const { query, param, body, validationResult } = require('express-validator');
+const { catchAsync, validationErrorHandler, AppError } = require('../middleware/errorHandler');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const webhookService = require('../services/webhookService');
+const contactService = require('../services/contactService');
+const instanceService = require('../services/instanceService');
+const roleService = require('../services/roleService');
+const supportSessionService = require('../services/supportSessionService');
+const handoffService = require('../services/handoffService');
+const businessHoursService = require('../services/businessHoursService');
+const summarySubscriptionService = require('../services/summarySubscriptionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+// List stored webhook events
+router.get('/webhook-events',
+  [
+    query('status').optional().isIn(['unprocessed', 'pending', 'failed', 'processed', 'all']).withMessage('Invalid status'),
+    query('eventType').optional().notEmpty().withMessage('Event type cannot be empty'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { status = 'unprocessed', eventType, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const events = await webhookService.listEvents({
+        status,
+        eventType,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          events,
+          count: events.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list webhook events:', {
+        status,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Replay failed or unprocessed webhook events
+router.post('/webhook-events/replay',
+  [
+    body('ids').optional().isArray({ min: 1, max: 500 }).withMessage('ids must be a non-empty array'),
+    body('ids.*').optional().isInt({ min: 1 }).withMessage('Each id must be a positive integer'),
+    body('status').optional().isIn(['unprocessed', 'pending', 'failed']).withMessage('Invalid status'),
+    body('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { ids, status = 'unprocessed', limit = 100 } = req.body;
+
+    try {
+      const result = await webhookService.replayEvents({
+        ids: ids ? ids.map(id => parseInt(id)) : undefined,
+        status,
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        status: 'success',
+        message: 'Webhook events replayed',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Failed to replay webhook events:', {
+        ids,
+        status,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// List contacts with their resolved display names
+router.get('/contacts',
+  [
+    query('search').optional().isLength({ min: 1, max: 100 }).withMessage('Search must be between 1 and 100 characters'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { search, limit = 50, offset = 0 } = req.query;
+
+    try {
+      const contacts = await contactService.listContacts({
+        search,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({
+        status: 'success',
+        data: {
+          contacts,
+          count: contacts.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list contacts:', {
+        search,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Set or clear the alias of a contact
+router.put('/contacts/:contactId/alias',
+  [
+    param('contactId').notEmpty().withMessage('Contact ID is required'),
+    body('alias').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).withMessage('Alias must be at most 255 characters')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { contactId } = req.params;
+    const { alias = null } = req.body;
+
+    try {
+      const contact = await contactService.setAlias(contactId, alias);
+
+      res.json({
+        status: 'success',
+        message: alias ? 'Contact alias updated' : 'Contact alias removed',
+        data: {
+          contact: {
+            ...contact,
+            display_name: contactService.resolveDisplayName(contact, contact.contact_id)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to update contact alias:', {
+        contactId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Import the contact list from the Evolution API
+router.post('/contacts/sync',
+  [
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    try {
+      const count = await contactService.syncFromEvolution(req.query.instanceId || null);
+
+      res.json({
+        status: 'success',
+        message: 'Contacts synchronized',
+        data: {
+          received: count
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to sync contacts:', {
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// List contacts with an assigned role
+router.get('/roles',
+  catchAsync(async (req, res) => {
+    try {
+      const roles = await roleService.listRoles();
+
+      res.json({
+        status: 'success',
+        data: {
+          roles,
+          availableRoles: roleService.getRoles(),
+          count: roles.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list roles:', {
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Grant or change the role of a contact
+router.put('/roles/:contactId',
+  [
+    param('contactId').notEmpty().withMessage('Contact ID is required'),
+    body('role').isIn(roleService.getRoles()).withMessage(`Role must be one of: ${roleService.getRoles().join(', ')}`)
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const contactId = roleService.normalizeContactId(req.params.contactId);
+    const { role } = req.body;
+
+    try {
+      const saved = await roleService.grantRole(contactId, role, 'admin-api');
+
+      res.json({
+        status: 'success',
+        message: 'Role saved',
+        data: {
+          role: saved
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to save role:', {
+        contactId,
+        role,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Revoke the role of a contact (it goes back to member)
+router.delete('/roles/:contactId',
+  [
+    param('contactId').notEmpty().withMessage('Contact ID is required')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const contactId = roleService.normalizeContactId(req.params.contactId);
+
+    try {
+      const removed = await roleService.revokeRole(contactId);
+
+      if (!removed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Role not found'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Role revoked'
+      });
+
+    } catch (error) {
+      logger.error('Failed to revoke role:', {
+        contactId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// List active support-mode sessions
+router.get('/support-sessions',
+  catchAsync(async (req, res) => {
+    try {
+      const sessions = await supportSessionService.listSessions();
+
+      res.json({
+        status: 'success',
+        data: {
+          sessions,
+          idleTimeoutMinutes: supportSessionService.getIdleTimeoutMs() / 60000,
+          count: sessions.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list support sessions:', {
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// End a support-mode session; the student gets a goodbye message
+router.delete('/support-sessions/:chatId',
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.params;
+
+    try {
+      const session = await supportSessionService.endSession(chatId, 'admin');
+
+      if (!session) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Support session not found'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Support session ended',
+        data: {
+          session
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to end support session:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// List chats handed off to an operator (automatic replies paused)
+router.get('/handoffs',
+  catchAsync(async (req, res) => {
+    try {
+      const handoffs = await handoffService.listHandoffs();
+
+      res.json({
+        status: 'success',
+        data: {
+          handoffs,
+          defaultMinutes: handoffService.getDefaultMinutes(),
+          count: handoffs.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list handoffs:', {
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Hand a chat off to an operator, pausing the bot's automatic replies
+router.put('/handoffs/:chatId',
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required')
+      .custom(value => roleService.normalizeContactId(value) !== null)
+      .withMessage('chatId must be a phone number or a WhatsApp chat ID'),
+    body('minutes').optional().isInt({ min: 1, max: handoffService.getMaxMinutes() })
+      .withMessage(`minutes must be between 1 and ${handoffService.getMaxMinutes()}`).toInt(),
+    body('operator').optional().isString().notEmpty().withMessage('operator must be a non-empty string'),
+    body('instanceId').optional().isString().notEmpty().withMessage('instanceId must be a non-empty string')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const chatId = roleService.normalizeContactId(req.params.chatId);
+    const { minutes, operator, instanceId } = req.body;
+
+    try {
+      const handoff = await handoffService.startHandoff(chatId, {
+        instanceId,
+        takenBy: operator || 'admin-api',
+        reason: 'api',
+        minutes
+      });
+
+      res.json({
+        status: 'success',
+        message: 'Chat handed off',
+        data: {
+          handoff
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to hand off chat:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Give a chat back to the bot
+router.delete('/handoffs/:chatId',
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required')
+      .custom(value => roleService.normalizeContactId(value) !== null)
+      .withMessage('chatId must be a phone number or a WhatsApp chat ID')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const chatId = roleService.normalizeContactId(req.params.chatId);
+
+    try {
+      const handoff = await handoffService.releaseHandoff(chatId, 'api');
+
+      if (!handoff) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Handoff not found'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Chat handed back to the bot',
+        data: {
+          handoff
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to release handoff:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Messages received outside business hours that wait for staff
+router.get('/after-hours-queue',
+  catchAsync(async (req, res) => {
+    try {
+      const entries = await businessHoursService.listStaffQueue();
+
+      res.json({
+        status: 'success',
+        data: {
+          entries,
+          count: entries.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list after-hours queue:', {
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// List summary subscriptions
+router.get('/summary-subscriptions',
+  [
+    query('chatId').optional().notEmpty().withMessage('Chat ID cannot be empty')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.query;
+
+    try {
+      const subscriptions = await summarySubscriptionService.listSubscriptions({ chatId });
+
+      res.json({
+        status: 'success',
+        data: {
+          subscriptions,
+          count: subscriptions.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list summary subscriptions:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Create a summary subscription ("*" as chatId covers every active group)
+router.post('/summary-subscriptions',
+  [
+    body('chatId').isString().notEmpty().withMessage('chatId is required'),
+    body('cronExpression').isString().notEmpty().withMessage('cronExpression is required'),
+    body('period').optional().isString().isLength({ min: 1, max: 20 }).withMessage('period must be a string of up to 20 characters'),
+    body('minMessages').optional().isInt({ min: 1 }).withMessage('minMessages must be a positive integer').toInt(),
+    body('destinations').optional().isArray({ min: 1 }).withMessage('destinations must be a non-empty array'),
+    body('instanceId').optional().isString().notEmpty().withMessage('instanceId must be a non-empty string'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId, cronExpression, period, minMessages, destinations, instanceId, isActive } = req.body;
+
+    try {
+      const subscription = await summarySubscriptionService.createSubscription({
+        chatId,
+        cronExpression,
+        period,
+        minMessages,
+        destinations,
+        instanceId,
+        isActive
+      }, 'admin-api');
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Summary subscription created',
+        data: {
+          subscription
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to create summary subscription:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Change a summary subscription; omitted fields are kept
+router.put('/summary-subscriptions/:id',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Subscription ID must be a positive integer').toInt(),
+    body('cronExpression').optional().isString().notEmpty().withMessage('cronExpression must be a non-empty string'),
+    body('period').optional().isString().isLength({ min: 1, max: 20 }).withMessage('period must be a string of up to 20 characters'),
+    body('minMessages').optional().isInt({ min: 1 }).withMessage('minMessages must be a positive integer').toInt(),
+    body('destinations').optional().isArray({ min: 1 }).withMessage('destinations must be a non-empty array'),
+    body('instanceId').optional().isString().notEmpty().withMessage('instanceId must be a non-empty string'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { id } = req.params;
+    const { cronExpression, period, minMessages, destinations, instanceId, isActive } = req.body;
+
+    try {
+      const subscription = await summarySubscriptionService.updateSubscription(id, {
+        cronExpression,
+        period,
+        minMessages,
+        destinations,
+        instanceId,
+        isActive
+      });
+
+      if (!subscription) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Summary subscription not found'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Summary subscription saved',
+        data: {
+          subscription
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to update summary subscription:', {
+        id,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Remove a summary subscription
+router.delete('/summary-subscriptions/:id',
+  [
+    param('id').isInt({ min: 1 }).withMessage('Subscription ID must be a positive integer').toInt()
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { id } = req.params;
+
+    try {
+      const subscription = await summarySubscriptionService.deleteSubscription(id);
+
+      if (!subscription) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Summary subscription not found'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Summary subscription removed'
+      });
+
+    } catch (error) {
+      logger.error('Failed to remove summary subscription:', {
+        id,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// List registered instances
+router.get('/instances',
+  catchAsync(async (req, res) => {
+    try {
+      const instances = await instanceService.listInstances();
+
+      res.json({
+        status: 'success',
+        data: {
+          defaultInstance: instanceService.getDefaultInstanceName(),
+          features: instanceService.getFeatures(),
+          instances: instances.map(instance => instanceService.maskInstance(instance)),
+          count: instances.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to list instances:', {
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Register or update an instance
+router.put('/instances/:name',
+  [
+    param('name').notEmpty().withMessage('Instance name is required'),
+    body('apiUrl').optional().isURL({ require_tld: false }).withMessage('apiUrl must be a valid URL'),
+    body('apiKey').optional().isString().notEmpty().withMessage('apiKey must be a non-empty string'),
+    body('adminChatId').optional().isString().notEmpty().withMessage('adminChatId must be a non-empty string'),
+    body('settings').optional().isObject().withMessage('settings must be an object'),
+    body('settings.*').optional().isBoolean().withMessage('Feature settings must be booleans'),
+    body('businessHours').optional({ values: 'null' }).isObject().withMessage('businessHours must be an object or null'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { name } = req.params;
+    const { apiUrl, apiKey, adminChatId, settings, isActive } = req.body;
+    const businessHours = req.body.businessHours === undefined
+      ? undefined
+      : businessHoursService.validateBusinessHours(req.body.businessHours);
+
+    const unknownFeatures = Object.keys(settings || {}).filter(feature => !instanceService.getFeatures().includes(feature));
+    if (unknownFeatures.length > 0) {
+      throw new AppError(`Unknown features: ${unknownFeatures.join(', ')}`, 400);
+    }
+
+    try {
+      const instance = await instanceService.saveInstance(name, {
+        apiUrl,
+        apiKey,
+        adminChatId,
+        settings,
+        businessHours,
+        isActive
+      });
+
+      res.json({
+        status: 'success',
+        message: 'Instance saved',
+        data: {
+          instance: instanceService.maskInstance(instance)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to save instance:', {
+        name,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Remove an instance from the registry (it falls back to the global configuration)
+router.delete('/instances/:name',
+  [
+    param('name').notEmpty().withMessage('Instance name is required')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { name } = req.params;
+
+    try {
+      const instance = await instanceService.deleteInstance(name);
+
+      if (!instance) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Instance not found'
+        });
+      }
+
+      res.json({
+        status: 'success',
+        message: 'Instance removed'
+      });
+
+    } catch (error) {
+      logger.error('Failed to remove instance:', {
+        name,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
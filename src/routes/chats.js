@@ -0,0 +1,213 @@
+const express = require('express');
+const { query, param, body, validationResult } = require('express-validator');
+const { catchAsync, validationErrorHandler } = require('../middleware/errorHandler');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const participantService = require('../services/participantService');
+const chatSettingsService = require('../services/chatSettingsService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Get participants of a group chat
+router.get('/:chatId/participants',
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required'),
+    query('includeLeft').optional().isBoolean().withMessage('includeLeft must be a boolean'),
+    query('historyLimit').optional().isInt({ min: 0, max: 500 }).withMessage('History limit must be between 0 and 500')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.params;
+    const { includeLeft = 'false', historyLimit = 50 } = req.query;
+
+    try {
+      const participants = await participantService.getParticipants(chatId, includeLeft === 'true');
+      const history = parseInt(historyLimit) > 0
+        ? await participantService.getHistory(chatId, parseInt(historyLimit))
+        : [];
+
+      res.json({
+        status: 'success',
+        data: {
+          chatId,
+          participants,
+          count: participants.filter(p => !p.left_at).length,
+          history
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get chat participants:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Re-sync participants of a group chat from the Evolution API
+router.post('/:chatId/participants/sync',
+  requireAdminKey,
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.params;
+
+    try {
+      const count = await participantService.seedGroup(chatId, req.query.instanceId || null);
+
+      res.json({
+        status: 'success',
+        message: 'Participants synchronized',
+        data: {
+          chatId,
+          count
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to sync chat participants:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Get the bot settings of a chat (effective values, stored overrides and defaults)
+router.get('/:chatId/settings',
+  requireAdminKey,
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.params;
+
+    try {
+      const overrides = await chatSettingsService.getOverrides(chatId);
+
+      res.json({
+        status: 'success',
+        data: {
+          chatId,
+          settings: { ...chatSettingsService.getDefaults(), ...overrides },
+          overrides,
+          defaults: chatSettingsService.getDefaults()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get chat settings:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Change some of the bot settings of a chat; omitted keys keep their current value
+router.put('/:chatId/settings',
+  requireAdminKey,
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required'),
+    body('autoReply').optional().isBoolean({ strict: true }).withMessage('autoReply must be a boolean'),
+    body('transcribeAudio').optional().isBoolean({ strict: true }).withMessage('transcribeAudio must be a boolean'),
+    body('describeImages').optional().isBoolean({ strict: true }).withMessage('describeImages must be a boolean'),
+    body('summarizeDocuments').optional().isBoolean({ strict: true }).withMessage('summarizeDocuments must be a boolean'),
+    body('language').optional().isIn(chatSettingsService.getLanguages()).withMessage(`language must be one of: ${chatSettingsService.getLanguages().join(', ')}`),
+    body('persona').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('persona must be a string of up to 500 characters'),
+    body('allowedCommands').optional({ values: 'null' }).isArray().withMessage('allowedCommands must be an array of command names'),
+    body('quietHours').optional({ values: 'null' }).isObject().withMessage('quietHours must be an object with start and end'),
+    body('summaryTrigger').optional().isIn(chatSettingsService.getSummaryTriggers()).withMessage(`summaryTrigger must be one of: ${chatSettingsService.getSummaryTriggers().join(', ')}`),
+    body('summaryIntentClassifier').optional().isBoolean({ strict: true }).withMessage('summaryIntentClassifier must be a boolean'),
+    body('summaryIntentThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('summaryIntentThreshold must be between 0 and 1'),
+    body('businessHours').optional({ values: 'null' }).isObject().withMessage('businessHours must be an object'),
+    body('monthlyBudgetUsd').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('monthlyBudgetUsd must be a positive number')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.params;
+
+    try {
+      // Unknown keys and malformed values are rejected by the service with a 400
+      const settings = await chatSettingsService.updateSettings(chatId, req.body, 'api');
+
+      res.json({
+        status: 'success',
+        message: 'Chat settings saved',
+        data: {
+          chatId,
+          settings
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to save chat settings:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+// Reset the bot settings of a chat to the defaults
+router.delete('/:chatId/settings',
+  requireAdminKey,
+  [
+    param('chatId').notEmpty().withMessage('Chat ID is required')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId } = req.params;
+
+    try {
+      const removed = await chatSettingsService.resetSettings(chatId);
+
+      res.json({
+        status: 'success',
+        message: removed ? 'Chat settings reset to the defaults' : 'Chat already uses the default settings',
+        data: {
+          chatId,
+          settings: chatSettingsService.getDefaults()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to reset chat settings:', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
@@ -2,10 +2,16 @@ const express = require('express');
 const { query, param, validationResult } = require('express-validator');
 const { catchAsync, validationErrorHandler } = require('../middleware/errorHandler');
 const database = require('../config/database');
+const contactService = require('../services/contactService');
+const reactionService = require('../services/reactionService');
 const logger = require('../utils/logger');
+const { MESSAGE_TYPES } = require('../utils/messageParser');
 
 const router = express.Router();
 
+// Guards the recursive thread queries against reply cycles
+const MAX_THREAD_DEPTH = 50;
+
 // Get messages for a chat
 router.get('/:chatId',
   [
@@ -13,7 +19,9 @@ router.get('/:chatId',
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
     query('startDate').optional().isISO8601().withMessage('Start date must be valid ISO 8601 date'),
-    query('endDate').optional().isISO8601().withMessage('End date must be valid ISO 8601 date')
+    query('endDate').optional().isISO8601().withMessage('End date must be valid ISO 8601 date'),
+    query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be a boolean'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -26,8 +34,11 @@ router.get('/:chatId',
       limit = 50, 
       offset = 0, 
       startDate, 
-      endDate 
+      endDate,
+      includeDeleted = 'false',
+      instanceId
     } = req.query;
+    const showDeleted = includeDeleted === 'true';
 
     try {
       let query = `
@@ -36,15 +47,23 @@ router.get('/:chatId',
           pm.transcription,
           pm.description,
           pm.summary,
-          pm.processing_status
+          pm.processing_status,
+          ${contactService.displayNameSql()} AS sender_display_name,
+          ${reactionService.reactionCountsSql()}
         FROM messages m
         LEFT JOIN processed_media pm ON m.message_id = pm.message_id
+        LEFT JOIN contacts c ON c.contact_id = m.sender_id
         WHERE m.chat_id = $1
       `;
       
       const params = [chatId];
       let paramIndex = 2;
 
+      // Revoked messages are kept for auditing but hidden by default
+      if (!showDeleted) {
+        query += ' AND m.is_deleted = false';
+      }
+
       // Add date filters if provided
       if (startDate) {
         query += ` AND m.created_at >= $${paramIndex}`;
@@ -58,6 +77,12 @@ router.get('/:chatId',
         paramIndex++;
       }
 
+      if (instanceId) {
+        query += ` AND m.instance_id = $${paramIndex}`;
+        params.push(instanceId);
+        paramIndex++;
+      }
+
       query += ` ORDER BY m.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
       params.push(parseInt(limit), parseInt(offset));
 
@@ -68,6 +93,10 @@ router.get('/:chatId',
       const countParams = [chatId];
       let countParamIndex = 2;
 
+      if (!showDeleted) {
+        countQuery += ' AND is_deleted = false';
+      }
+
       if (startDate) {
         countQuery += ` AND created_at >= $${countParamIndex}`;
         countParams.push(new Date(startDate));
@@ -77,6 +106,12 @@ router.get('/:chatId',
       if (endDate) {
         countQuery += ` AND created_at <= $${countParamIndex}`;
         countParams.push(new Date(endDate));
+        countParamIndex++;
+      }
+
+      if (instanceId) {
+        countQuery += ` AND instance_id = $${countParamIndex}`;
+        countParams.push(instanceId);
       }
 
       const countResult = await database.query(countQuery, countParams);
@@ -126,9 +161,12 @@ router.get('/message/:messageId',
           pm.description,
           pm.summary,
           pm.processing_status,
-          pm.processing_error
+          pm.processing_error,
+          ${contactService.displayNameSql()} AS sender_display_name,
+          ${reactionService.reactionCountsSql()}
         FROM messages m
         LEFT JOIN processed_media pm ON m.message_id = pm.message_id
+        LEFT JOIN contacts c ON c.contact_id = m.sender_id
         WHERE m.message_id = $1
       `;
 
@@ -141,10 +179,23 @@ router.get('/message/:messageId',
         });
       }
 
+      // Get edit history
+      const editsQuery = `
+        SELECT previous_content, new_content, edited_at 
+        FROM message_edits 
+        WHERE message_id = $1 
+        ORDER BY edited_at ASC
+      `;
+
+      const editsResult = await database.query(editsQuery, [messageId]);
+      const reactions = await reactionService.getReactions(messageId);
+
       res.json({
         status: 'success',
         data: {
-          message: result.rows[0]
+          message: result.rows[0],
+          edits: editsResult.rows,
+          reactions
         }
       });
 
@@ -158,6 +209,97 @@ router.get('/message/:messageId',
   })
 );
 
+// Get the reply chain a message belongs to, from the first quoted message down to every reply
+router.get('/message/:messageId/thread',
+  [
+    param('messageId').notEmpty().withMessage('Message ID is required'),
+    query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be a boolean')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { messageId } = req.params;
+    const showDeleted = req.query.includeDeleted === 'true';
+
+    try {
+      // Deleted messages are still walked through so the chain does not break around them
+      const query = `
+        WITH RECURSIVE ancestors AS (
+          SELECT message_id, chat_id, quoted_message_id, 0 AS depth
+          FROM messages
+          WHERE message_id = $1
+          UNION ALL
+          SELECT m.message_id, m.chat_id, m.quoted_message_id, a.depth + 1
+          FROM messages m
+          JOIN ancestors a ON m.message_id = a.quoted_message_id AND m.chat_id = a.chat_id
+          WHERE a.depth < $2
+        ),
+        root AS (
+          SELECT message_id, chat_id, quoted_message_id
+          FROM ancestors
+          ORDER BY depth DESC
+          LIMIT 1
+        ),
+        thread AS (
+          SELECT message_id, chat_id, 0 AS depth
+          FROM root
+          UNION ALL
+          SELECT m.message_id, m.chat_id, t.depth + 1
+          FROM messages m
+          JOIN thread t ON m.quoted_message_id = t.message_id AND m.chat_id = t.chat_id
+          WHERE t.depth < $2
+        )
+        SELECT
+          m.*,
+          t.depth,
+          ${contactService.displayNameSql()} AS sender_display_name,
+          ${reactionService.reactionCountsSql()},
+          (SELECT quoted_message_id FROM root) AS root_quoted_message_id
+        FROM thread t
+        JOIN messages m ON m.message_id = t.message_id
+        LEFT JOIN contacts c ON c.contact_id = m.sender_id
+        ORDER BY m.created_at ASC
+      `;
+
+      const result = await database.query(query, [messageId, MAX_THREAD_DEPTH]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Message not found'
+        });
+      }
+
+      const root = result.rows.find(row => row.depth === 0);
+      const messages = result.rows
+        .filter(row => showDeleted || !row.is_deleted)
+        .map(({ root_quoted_message_id, ...row }) => row);
+
+      res.json({
+        status: 'success',
+        data: {
+          messageId,
+          rootMessageId: root.message_id,
+          // The first message of the chain quotes something we never stored
+          complete: !root.root_quoted_message_id,
+          messages,
+          count: messages.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get message thread:', {
+        messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  })
+);
+
 // Get chat statistics
 router.get('/:chatId/stats',
   [
@@ -214,13 +356,14 @@ router.get('/:chatId/stats',
       // Get top senders
       const sendersQuery = `
         SELECT 
-          sender_id,
-          sender_name,
+          m.sender_id,
+          MAX(${contactService.displayNameSql()}) as sender_name,
           COUNT(*) as message_count
-        FROM messages 
-        WHERE chat_id = $1 
-        AND created_at >= NOW() - INTERVAL '${hours} hours'
-        GROUP BY sender_id, sender_name
+        FROM messages m
+        LEFT JOIN contacts c ON c.contact_id = m.sender_id
+        WHERE m.chat_id = $1 
+        AND m.created_at >= NOW() - INTERVAL '${hours} hours'
+        GROUP BY m.sender_id
         ORDER BY message_count DESC
         LIMIT 10
       `;
@@ -268,7 +411,8 @@ router.get('/:chatId/search',
     param('chatId').notEmpty().withMessage('Chat ID is required'),
     query('q').notEmpty().withMessage('Search query is required'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('messageType').optional().isIn(['text', 'image', 'audio', 'video', 'document']).withMessage('Invalid message type')
+    query('messageType').optional().isIn(MESSAGE_TYPES).withMessage('Invalid message type'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -277,7 +421,7 @@ router.get('/:chatId/search',
     }
 
     const { chatId } = req.params;
-    const { q, limit = 20, messageType } = req.query;
+    const { q, limit = 20, messageType, instanceId } = req.query;
 
     try {
       let query = `
@@ -286,10 +430,14 @@ router.get('/:chatId/search',
           pm.transcription,
           pm.description,
           pm.summary,
+          ${contactService.displayNameSql()} AS sender_display_name,
+          ${reactionService.reactionCountsSql()},
           ts_rank(to_tsvector('portuguese', COALESCE(m.content, '') || ' ' || COALESCE(pm.transcription, '') || ' ' || COALESCE(pm.description, '') || ' ' || COALESCE(pm.summary, '')), plainto_tsquery('portuguese', $2)) as rank
         FROM messages m
         LEFT JOIN processed_media pm ON m.message_id = pm.message_id
+        LEFT JOIN contacts c ON c.contact_id = m.sender_id
         WHERE m.chat_id = $1
+        AND m.is_deleted = false
         AND (
           to_tsvector('portuguese', COALESCE(m.content, '') || ' ' || COALESCE(pm.transcription, '') || ' ' || COALESCE(pm.description, '') || ' ' || COALESCE(pm.summary, '')) 
           @@ plainto_tsquery('portuguese', $2)
@@ -309,6 +457,12 @@ router.get('/:chatId/search',
         paramIndex++;
       }
 
+      if (instanceId) {
+        query += ` AND m.instance_id = $${paramIndex}`;
+        params.push(instanceId);
+        paramIndex++;
+      }
+
       query += ` ORDER BY rank DESC, m.created_at DESC LIMIT $${paramIndex}`;
       params.push(parseInt(limit));
 
@@ -383,7 +537,8 @@ router.get('/message/:messageId/media',
 router.get('/',
   [
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('type').optional().isIn(['individual', 'group', 'all']).withMessage('Invalid chat type')
+    query('type').optional().isIn(['individual', 'group', 'all']).withMessage('Invalid chat type'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -391,13 +546,14 @@ router.get('/',
       throw validationErrorHandler(errors);
     }
 
-    const { limit = 20, type = 'all' } = req.query;
+    const { limit = 20, type = 'all', instanceId } = req.query;
 
     try {
       let query = `
         SELECT 
           chat_id,
           is_group,
+          MAX(instance_id) as instance_id,
           COUNT(*) as message_count,
           MAX(created_at) as last_message_time,
           MAX(sender_name) as last_sender_name,
@@ -415,6 +571,12 @@ router.get('/',
         query += ` AND is_group = true`;
       }
 
+      if (instanceId) {
+        query += ` AND instance_id = $${paramIndex}`;
+        params.push(instanceId);
+        paramIndex++;
+      }
+
       query += ` 
         GROUP BY chat_id, is_group 
         ORDER BY last_message_time DESC 
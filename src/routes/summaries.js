@@ -1,11 +1,12 @@
 const express = require('express');
 const { query, param, body, validationResult } = require('express-validator');
-const { catchAsync, validationErrorHandler } = require('../middleware/errorHandler');
+const { catchAsync, validationErrorHandler, AppError } = require('../middleware/errorHandler');
 const database = require('../config/database');
 const redis = require('../config/redis');
 const queueService = require('../services/queueService');
 const summaryService = require('../services/summaryService');
 const logger = require('../utils/logger');
+const { parseSummaryPeriod, buildRangePeriod, getSummaryCacheKey, isWithinMaxWindow, MAX_SUMMARY_WINDOW_DAYS } = require('../utils/summaryPeriod');
 
 const router = express.Router();
 
@@ -13,9 +14,10 @@ const router = express.Router();
 router.get('/:chatId',
   [
     param('chatId').notEmpty().withMessage('Chat ID is required'),
-    query('period').optional().isIn(['24h', '48h', '1week']).withMessage('Invalid period'),
+    query('period').optional().isLength({ min: 1, max: 20 }).withMessage('Invalid period'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -24,7 +26,7 @@ router.get('/:chatId',
     }
 
     const { chatId } = req.params;
-    const { period, limit = 10, offset = 0 } = req.query;
+    const { period, limit = 10, offset = 0, instanceId } = req.query;
 
     try {
       let query = `
@@ -36,6 +38,7 @@ router.get('/:chatId',
           message_count,
           start_date,
           end_date,
+          instance_id,
           created_at
         FROM group_summaries 
         WHERE chat_id = $1
@@ -50,6 +53,12 @@ router.get('/:chatId',
         paramIndex++;
       }
 
+      if (instanceId) {
+        query += ` AND instance_id = $${paramIndex}`;
+        params.push(instanceId);
+        paramIndex++;
+      }
+
       query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
       params.push(parseInt(limit), parseInt(offset));
 
@@ -60,8 +69,13 @@ router.get('/:chatId',
       const countParams = [chatId];
 
       if (period) {
-        countQuery += ' AND summary_period = $2';
         countParams.push(period);
+        countQuery += ` AND summary_period = $${countParams.length}`;
+      }
+
+      if (instanceId) {
+        countParams.push(instanceId);
+        countQuery += ` AND instance_id = $${countParams.length}`;
       }
 
       const countResult = await database.query(countQuery, countParams);
@@ -105,6 +119,7 @@ router.get('/summary/:summaryId',
     const { summaryId } = req.params;
 
     try {
+      // gs.* includes summary_data, the structured summary (null for summaries saved before it existed)
       const query = `
         SELECT 
           gs.*,
@@ -114,6 +129,7 @@ router.get('/summary/:summaryId',
           AND m.created_at >= gs.start_date 
           AND m.created_at <= gs.end_date
           AND m.is_group = true
+          AND m.is_deleted = false
         WHERE gs.id = $1
         GROUP BY gs.id
       `;
@@ -148,7 +164,9 @@ router.get('/summary/:summaryId',
 router.post('/:chatId/generate',
   [
     param('chatId').notEmpty().withMessage('Chat ID is required'),
-    body('period').isIn(['24h', '48h', '1week']).withMessage('Invalid period'),
+    body('period').optional().isString().isLength({ min: 1, max: 50 }).withMessage('Invalid period'),
+    body('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+    body('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date'),
     body('force').optional().isBoolean().withMessage('Force must be a boolean')
   ],
   catchAsync(async (req, res) => {
@@ -158,7 +176,20 @@ router.post('/:chatId/generate',
     }
 
     const { chatId } = req.params;
-    const { period, force = false } = req.body;
+    const { startDate, endDate, force = false } = req.body;
+
+    // Explicit dates win over the period ("6h", "3d", "ontem", "desde segunda"...); default is 24h
+    const period = startDate
+      ? buildRangePeriod(startDate, endDate || null)
+      : parseSummaryPeriod(req.body.period || '24h');
+
+    if (!period) {
+      throw new AppError('Invalid period. Use a duration (6h, 3d, 1week), hoje, ontem, desde <dia da semana> or startDate/endDate', 400);
+    }
+
+    if (!isWithinMaxWindow(period)) {
+      throw new AppError(`Summaries cover at most ${MAX_SUMMARY_WINDOW_DAYS} days`, 400);
+    }
 
     try {
       // Check if chat is a group
@@ -196,7 +227,7 @@ router.post('/:chatId/generate',
           AND start_date >= $3
         `;
 
-        const existing = await database.query(existingQuery, [chatId, period, today]);
+        const existing = await database.query(existingQuery, [chatId, period.period, today]);
 
         if (existing.rows.length > 0) {
           return res.status(409).json({
@@ -207,27 +238,16 @@ router.post('/:chatId/generate',
       }
 
       // Check if there are enough messages
-      let hours;
-      switch (period) {
-        case '24h':
-          hours = 24;
-          break;
-        case '48h':
-          hours = 48;
-          break;
-        case '1week':
-          hours = 168;
-          break;
-      }
-
       const messageCountQuery = `
         SELECT COUNT(*) as count FROM messages 
         WHERE chat_id = $1 
         AND is_group = true 
-        AND created_at >= NOW() - INTERVAL '${hours} hours'
+        AND is_deleted = false
+        AND created_at >= $2
+        AND created_at < $3
       `;
 
-      const messageCountResult = await database.query(messageCountQuery, [chatId]);
+      const messageCountResult = await database.query(messageCountQuery, [chatId, period.startDate, period.endDate]);
       const messageCount = parseInt(messageCountResult.rows[0].count);
 
       if (messageCount < 5) {
@@ -238,10 +258,19 @@ router.post('/:chatId/generate',
       }
 
       // Add summary generation job to queue
+      const instanceResult = await database.query(
+        'SELECT instance_id FROM messages WHERE chat_id = $1 ORDER BY created_at DESC LIMIT 1',
+        [chatId]
+      );
+
       const job = await queueService.addSummaryJob({
         chatId,
-        period,
+        period: period.period,
+        startDate: period.startDate.toISOString(),
+        endDate: period.endDate.toISOString(),
+        label: period.label,
         requesterId: 'api',
+        instanceId: instanceResult.rows[0]?.instance_id || null,
         force
       });
 
@@ -251,7 +280,10 @@ router.post('/:chatId/generate',
         data: {
           jobId: job.id,
           chatId,
-          period,
+          period: period.period,
+          startDate: period.startDate,
+          endDate: period.endDate,
+          label: period.label,
           messageCount,
           estimatedTime: Math.ceil(messageCount / 10) // Rough estimate in seconds
         }
@@ -260,7 +292,7 @@ router.post('/:chatId/generate',
     } catch (error) {
       logger.error('Failed to generate summary:', {
         chatId,
-        period,
+        period: period.period,
         error: error.message
       });
       throw error;
@@ -302,7 +334,9 @@ router.get('/job/:jobId/status',
 router.get('/:chatId/cached',
   [
     param('chatId').notEmpty().withMessage('Chat ID is required'),
-    query('period').isIn(['24h', '48h', '1week']).withMessage('Invalid period')
+    query('period').optional().isString().isLength({ min: 1, max: 50 }).withMessage('Invalid period'),
+    query('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -311,10 +345,21 @@ router.get('/:chatId/cached',
     }
 
     const { chatId } = req.params;
-    const { period } = req.query;
+    const { startDate, endDate } = req.query;
+
+    // Same windows as /generate; cached ranges are found by their exact dates
+    const window = startDate
+      ? buildRangePeriod(startDate, endDate || null)
+      : parseSummaryPeriod(req.query.period || '24h');
+
+    if (!window) {
+      throw new AppError('Invalid period. Use a duration (6h, 3d, 1week), hoje, ontem, desde <dia da semana> or startDate/endDate', 400);
+    }
+
+    const period = window.period;
 
     try {
-      const cacheKey = `summary:${chatId}:${period}`;
+      const cacheKey = getSummaryCacheKey(chatId, window);
       const cachedSummary = await redis.get(cacheKey);
 
       if (!cachedSummary) {
@@ -396,10 +441,11 @@ router.delete('/summary/:summaryId',
 // Get summary statistics
 router.get('/stats/overview',
   [
-    query('period').optional().isIn(['24h', '48h', '1week', '1month']).withMessage('Invalid period')
+    query('period').optional().isIn(['24h', '48h', '1week', '1month']).withMessage('Invalid period'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
   ],
   catchAsync(async (req, res) => {
-    const { period = '1week' } = req.query;
+    const { period = '1week', instanceId } = req.query;
 
     try {
       let hours;
@@ -418,6 +464,9 @@ router.get('/stats/overview',
           break;
       }
 
+      const instanceFilter = instanceId ? 'AND instance_id = $1' : '';
+      const params = instanceId ? [instanceId] : [];
+
       const statsQuery = `
         SELECT 
           COUNT(*) as total_summaries,
@@ -428,11 +477,12 @@ router.get('/stats/overview',
           MAX(created_at) as last_summary
         FROM group_summaries 
         WHERE created_at >= NOW() - INTERVAL '${hours} hours'
+        ${instanceFilter}
         GROUP BY summary_period
         ORDER BY summary_period
       `;
 
-      const result = await database.query(statsQuery);
+      const result = await database.query(statsQuery, params);
 
       // Get top active chats
       const topChatsQuery = `
@@ -442,17 +492,19 @@ router.get('/stats/overview',
           MAX(created_at) as last_summary
         FROM group_summaries 
         WHERE created_at >= NOW() - INTERVAL '${hours} hours'
+        ${instanceFilter}
         GROUP BY chat_id
         ORDER BY summary_count DESC
         LIMIT 10
       `;
 
-      const topChatsResult = await database.query(topChatsQuery);
+      const topChatsResult = await database.query(topChatsQuery, params);
 
       res.json({
         status: 'success',
         data: {
           period,
+          instanceId: instanceId || null,
           statistics: result.rows,
           topChats: topChatsResult.rows
         }
@@ -472,9 +524,10 @@ router.get('/stats/overview',
 router.get('/search',
   [
     query('q').notEmpty().withMessage('Search query is required'),
-    query('period').optional().isIn(['24h', '48h', '1week']).withMessage('Invalid period'),
+    query('period').optional().isLength({ min: 1, max: 20 }).withMessage('Invalid period'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-    query('chatId').optional().notEmpty().withMessage('Chat ID cannot be empty')
+    query('chatId').optional().notEmpty().withMessage('Chat ID cannot be empty'),
+    query('instanceId').optional().notEmpty().withMessage('Instance ID cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -482,7 +535,7 @@ router.get('/search',
       throw validationErrorHandler(errors);
     }
 
-    const { q, period, limit = 20, chatId } = req.query;
+    const { q, period, limit = 20, chatId, instanceId } = req.query;
 
     try {
       let query = `
@@ -508,6 +561,12 @@ router.get('/search',
         paramIndex++;
       }
 
+      if (instanceId) {
+        query += ` AND instance_id = $${paramIndex}`;
+        params.push(instanceId);
+        paramIndex++;
+      }
+
       query += ` ORDER BY rank DESC, created_at DESC LIMIT $${paramIndex}`;
       params.push(parseInt(limit));
 
@@ -0,0 +1,134 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { catchAsync, validationErrorHandler, AppError } = require('../middleware/errorHandler');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const usageService = require('../services/usageService');
+const logger = require('../utils/logger');
+const { startOfLocalMonth } = require('../utils/summaryPeriod');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+const rangeValidators = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('chatId').optional().notEmpty().withMessage('Chat ID cannot be empty'),
+  query('task').optional().notEmpty().withMessage('Task cannot be empty')
+];
+
+// Report window: from the start of the current month until now unless given
+const resolveRange = ({ from, to }) => {
+  const range = {
+    from: from ? new Date(from) : startOfLocalMonth(new Date()),
+    to: to ? new Date(to) : new Date()
+  };
+
+  if (range.from >= range.to) {
+    throw new AppError('from must be before to', 400);
+  }
+
+  return range;
+};
+
+// AI usage per chat (tokens, calls and estimated cost in USD)
+router.get('/',
+  [
+    ...rangeValidators,
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId, task, limit = 50, offset = 0 } = req.query;
+    const range = resolveRange(req.query);
+
+    try {
+      const filters = { ...range, chatId, task };
+      const [totals, chats] = await Promise.all([
+        usageService.getTotals(filters),
+        usageService.getUsageByChat({ ...filters, limit: parseInt(limit), offset: parseInt(offset) })
+      ]);
+
+      res.json({
+        status: 'success',
+        data: {
+          ...range,
+          totals,
+          chats,
+          pagination: {
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            total: totals.chats
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get AI usage:', error);
+      throw error;
+    }
+  })
+);
+
+// AI usage per day, task and model
+router.get('/daily',
+  rangeValidators,
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { chatId, task } = req.query;
+    const range = resolveRange(req.query);
+
+    try {
+      const days = await usageService.getDailyUsage({ ...range, chatId, task });
+
+      res.json({
+        status: 'success',
+        data: {
+          ...range,
+          days
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get daily AI usage:', error);
+      throw error;
+    }
+  })
+);
+
+// Monthly budgets and what has been spent of them
+router.get('/budget',
+  [
+    query('chatId').optional().notEmpty().withMessage('Chat ID cannot be empty')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    try {
+      const budget = await usageService.getBudgetStatus(req.query.chatId || null);
+
+      res.json({
+        status: 'success',
+        data: budget
+      });
+
+    } catch (error) {
+      logger.error('Failed to get AI budget status:', error);
+      throw error;
+    }
+  })
+);
+
+module.exports = router;
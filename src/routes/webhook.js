@@ -2,27 +2,39 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { catchAsync, validationErrorHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const redis = require('../config/redis');
 const webhookService = require('../services/webhookService');
+const { verifyEvolutionSignature } = require('../middleware/webhookAuth');
 
 const router = express.Router();
 
-// It is highly recommended to implement webhook signature verification for security.
-// The Evolution API should provide a secret key that you can use to validate the payload.
-// See the previous version of this file for an example implementation of HMAC signature validation.
-
 const evolutionWebhookValidation = [
   body('event').notEmpty().withMessage('Event type is required'),
   body('instance').notEmpty().withMessage('Instance name is required'),
-  body('data').isObject().withMessage('Data must be an object')
+  body('data').isObject({ strict: false }).withMessage('Data must be an object or an array')
 ];
 
+// Forget the delivery's event ID so the provider can send it again
+const releaseNonce = async (req) => {
+  if (req.webhookNonceKey) {
+    await redis.del(req.webhookNonceKey).catch(() => {});
+  }
+};
+
 /**
  * @swagger
  * /webhook/evolution:
  *   post:
  *     summary: Handles incoming webhooks from the Evolution API.
- *     description: This endpoint receives events from a configured Evolution API instance. It's designed to primarily handle incoming messages (`messages.upsert`).
+ *     description: This endpoint receives events from a configured Evolution API instance. It handles incoming messages (`messages.upsert`), edits (`messages.update`) and revocations (`messages.delete`).
  *     tags: [Webhook]
+ *     parameters:
+ *       - in: header
+ *         name: x-hub-signature-256
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC-SHA256 of the raw body (`sha256=<hex>`), signed with one of the active webhook secrets.
  *     requestBody:
  *       required: true
  *       content:
@@ -41,40 +53,60 @@ const evolutionWebhookValidation = [
  *                 description: The webhook payload, which varies depending on the event.
  *     responses:
  *       '200':
- *         description: Webhook received and is being processed.
+ *         description: Webhook stored and being processed.
  *       '400':
  *         description: Bad request due to validation errors.
- *       '500':
- *         description: Internal server error during webhook processing.
+ *       '403':
+ *         description: Missing or invalid signature.
+ *       '409':
+ *         description: Event already received (replay).
+ *       '503':
+ *         description: The webhook could not be stored and should be retried.
  */
 router.post('/evolution',
+  verifyEvolutionSignature,
   evolutionWebhookValidation,
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      // A corrected retry of this delivery should not be rejected as a replay
+      await releaseNonce(req);
       throw validationErrorHandler(errors);
     }
 
+    let storedEvent;
     try {
-      // Asynchronously process the message without making the webhook wait
-      webhookService.processIncomingMessage(req.body).catch(err => {
-        logger.error('Error processing webhook in background:', err);
-      });
-
-      // Immediately respond to the webhook to prevent timeouts
-      res.status(200).json({
-        status: 'success',
-        message: 'Webhook received and is being processed.'
-      });
+      // Persist the raw payload first so nothing is lost if processing crashes
+      storedEvent = await webhookService.storeEvent(req.body, req.webhookEventId);
     } catch (error) {
-      logger.error('Failed to handle webhook:', error);
-      // We send a 200 here to prevent the webhook provider from resending the same failed event.
-      // The error is logged for internal review.
-      res.status(200).json({
+      logger.error('Failed to store webhook event:', error);
+
+      // Let the provider retry this delivery instead of rejecting it as a replay
+      await releaseNonce(req);
+
+      return res.status(503).json({
         status: 'error',
-        message: 'Webhook received but failed to initiate processing.'
+        message: 'Webhook could not be stored. Please retry.'
       });
     }
+
+    // Asynchronously process the event without making the webhook wait.
+    // Failures are recorded on the stored event and can be replayed through the admin API.
+    webhookService.processStoredEvent(storedEvent).catch(err => {
+      logger.error('Error processing webhook in background:', {
+        webhookEventId: storedEvent.id,
+        error: err.message
+      });
+    });
+
+    // Immediately respond to the webhook to prevent timeouts
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook received and is being processed.',
+      data: {
+        webhookEventId: storedEvent.id
+      }
+    });
   })
 );
 
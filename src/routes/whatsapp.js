@@ -1,21 +1,37 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { query, body, validationResult } = require('express-validator');
 const { catchAsync, validationErrorHandler } = require('../middleware/errorHandler');
 const whatsappService = require('../services/whatsappService');
+const connectionService = require('../services/connectionService');
+const { requireAdminKey } = require('../middleware/adminAuth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Get connection status
 router.get('/status',
+  [
+    query('instance').optional().notEmpty().withMessage('Instance cannot be empty')
+  ],
   catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    const { instance } = req.query;
+
     try {
-      const health = await whatsappService.healthCheck();
+      const [health, connection] = await Promise.all([
+        whatsappService.healthCheck(instance),
+        connectionService.getStatus(instance)
+      ]);
 
       res.json({
         status: 'success',
         data: {
           ...health,
+          connection,
           timestamp: new Date().toISOString()
         }
       });
@@ -27,11 +43,39 @@ router.get('/status',
   })
 );
 
+// Get the QR code to pair a phone with the instance
+router.get('/qrcode',
+  requireAdminKey,
+  [
+    query('instance').optional().notEmpty().withMessage('Instance cannot be empty')
+  ],
+  catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
+    try {
+      const qrcode = await connectionService.getQrCode(req.query.instance);
+
+      res.json({
+        status: 'success',
+        data: qrcode
+      });
+
+    } catch (error) {
+      logger.error('Failed to get WhatsApp QR code:', error);
+      throw error;
+    }
+  })
+);
+
 // Send message
 router.post('/send',
   [
     body('chatId').notEmpty().withMessage('Chat ID is required'),
-    body('message').notEmpty().withMessage('Message is required')
+    body('message').notEmpty().withMessage('Message is required'),
+    body('instance').optional().notEmpty().withMessage('Instance cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -39,10 +83,10 @@ router.post('/send',
       throw validationErrorHandler(errors);
     }
 
-    const { chatId, message } = req.body;
+    const { chatId, message, instance } = req.body;
 
     try {
-      const result = await whatsappService.sendMessage(chatId, message);
+      const result = await whatsappService.sendMessage(chatId, message, instance);
 
       res.json({
         status: 'success',
@@ -65,7 +109,8 @@ router.post('/send-media',
   [
     body('chatId').notEmpty().withMessage('Chat ID is required'),
     body('mediaUrl').notEmpty().withMessage('Media URL is required'),
-    body('caption').optional().isString().withMessage('Caption must be a string')
+    body('caption').optional().isString().withMessage('Caption must be a string'),
+    body('instance').optional().notEmpty().withMessage('Instance cannot be empty')
   ],
   catchAsync(async (req, res) => {
     const errors = validationResult(req);
@@ -73,11 +118,11 @@ router.post('/send-media',
       throw validationErrorHandler(errors);
     }
 
-    const { chatId, mediaUrl, caption = '' } = req.body;
+    const { chatId, mediaUrl, caption = '', instance } = req.body;
 
     try {
       // Note: The send-media route now expects a public URL for the media.
-      const result = await whatsappService.sendMedia(chatId, mediaUrl, caption);
+      const result = await whatsappService.sendMedia(chatId, mediaUrl, caption, instance);
 
       res.json({
         status: 'success',
@@ -98,9 +143,17 @@ router.post('/send-media',
 
 // Restart the connection
 router.post('/restart',
+  [
+    body('instance').optional().notEmpty().withMessage('Instance cannot be empty')
+  ],
   catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw validationErrorHandler(errors);
+    }
+
     try {
-      const result = await whatsappService.restart();
+      const result = await whatsappService.restart(req.body?.instance);
       res.json({
         status: 'success',
         message: 'Restart command sent.',
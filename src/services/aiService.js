@@ -1,73 +1,190 @@
-const OpenAI = require('openai');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
 const ffmpeg = require('fluent-ffmpeg');
 const logger = require('../utils/logger');
+const llm = require('./llm');
+const usageService = require('./usageService');
 const { aiServiceErrorHandler } = require('../middleware/errorHandler');
+const { SUMMARY_JSON_FORMAT, parseSummary } = require('../utils/structuredSummary');
+
+// Messages highlighted as "most reacted" in group summaries
+const MOST_REACTED_LIMIT = 5;
+const MOST_REACTED_MIN_REACTIONS = 2;
+
+// Reply levels indented in summary transcripts; deeper replies share the last indentation
+const MAX_THREAD_INDENT = 3;
+
+// Replies asked for a group summary before giving up on getting valid JSON
+const STRUCTURED_SUMMARY_ATTEMPTS = 2;
 
 class AIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
     this.blipApiUrl = process.env.BLIP_API_URL;
     this.maxRetries = 3;
     this.retryDelay = 1000;
   }
 
-  // Generate text response using OpenAI
+  // Generate text response with the provider configured for chat.
+  // context.chatId / context.senderId attribute the usage; context.task names it (default text_generation).
   async generateTextResponse(text, context = {}) {
+    const provider = llm.getProvider('chat');
+    await usageService.assertWithinBudget(context.chatId);
+
     try {
-      logger.logAIService('OpenAI', 'text_generation', 'started', {
+      logger.logAIService(provider.name, 'text_generation', 'started', {
         textLength: text.length,
         chatId: context.chatId
       });
 
       const systemPrompt = this.buildSystemPrompt(context);
       
-      const response = await this.openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4',
+      const response = await provider.chat({
+        model: llm.getModel('chat'),
         messages: [
           { role: 'system', content: systemPrompt },
+          ...this.buildHistoryMessages(context),
           { role: 'user', content: text }
         ],
-        max_tokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
         temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
+        presencePenalty: 0.1,
+        frequencyPenalty: 0.1
       });
 
-      const generatedText = response.choices[0]?.message?.content;
+      await this.recordUsage(context.task || 'text_generation', provider, response, context);
+
+      const generatedText = response.content;
       
       if (!generatedText) {
-        throw new Error('No response generated from OpenAI');
+        throw new Error(`No response generated from ${provider.name}`);
       }
 
-      logger.logAIService('OpenAI', 'text_generation', 'success', {
+      logger.logAIService(provider.name, 'text_generation', 'success', {
+        model: response.model,
         inputLength: text.length,
         outputLength: generatedText.length,
-        tokensUsed: response.usage?.total_tokens
+        tokensUsed: response.usage?.totalTokens
       });
 
       return generatedText;
 
     } catch (error) {
-      logger.logAIService('OpenAI', 'text_generation', 'error', {
+      logger.logAIService(provider.name, 'text_generation', 'error', {
         error: error.message,
         textLength: text.length
       });
       
-      throw aiServiceErrorHandler('OpenAI', 'text_generation', error);
+      throw aiServiceErrorHandler(provider.name, 'text_generation', error);
+    }
+  }
+
+  // Store the usage of a provider call for the chat and sender in the context (see usageService)
+  async recordUsage(task, provider, response, context = {}) {
+    await usageService.recordUsage({
+      task,
+      provider: provider.name,
+      model: response.model,
+      usage: response.usage,
+      audioSeconds: response.audioSeconds || null,
+      chatId: context.chatId || null,
+      senderId: context.senderId || null
+    });
+  }
+
+  // Earlier turns of the conversation, preceded by the summary of anything older
+  buildHistoryMessages(context = {}) {
+    const messages = [];
+
+    if (context.conversationSummary) {
+      messages.push({ role: 'system', content: `Resumo da conversa até aqui:\n${context.conversationSummary}` });
+    }
+
+    for (const turn of context.history || []) {
+      messages.push({ role: turn.role, content: turn.content });
     }
+
+    return messages;
   }
 
-  // Transcribe audio using Whisper
-  async transcribeAudio(audioUrl, messageId) {
+  // Fold older conversation turns into a short summary used as memory
+  async summarizeConversationTurns(turns, previousSummary = null, context = {}) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'assistant' ? 'Assistente' : 'Usuário'}: ${turn.content}`)
+      .join('\n');
+
+    const prompt = `
+      Atualize o resumo de uma conversa entre um usuário e um assistente no WhatsApp.
+      Mantenha fatos, nomes, números, perguntas em aberto e decisões que possam ser retomados depois.
+      Escreva no máximo 150 palavras, em português.
+
+      Resumo anterior:
+      ${previousSummary || '(nenhum)'}
+
+      Novas mensagens:
+      ${transcript}
+    `;
+
+    return this.generateTextResponse(prompt, { ...context, task: 'conversation_memory' });
+  }
+
+  // Decide whether a group message asks the bot for a summary of the conversation.
+  // Returns { isSummaryRequest, confidence } with confidence between 0 and 1.
+  async classifySummaryIntent(text, context = {}) {
+    const provider = llm.getProvider('intent');
+    await usageService.assertWithinBudget(context.chatId);
+
     try {
-      logger.logAIService('Whisper', 'transcription', 'started', {
+      logger.logAIService(provider.name, 'intent_classification', 'started', {
+        textLength: text.length
+      });
+
+      const response = await provider.chat({
+        model: llm.getModel('intent'),
+        messages: [
+          {
+            role: 'system',
+            content: 'Você classifica mensagens de um grupo de WhatsApp. Responda apenas com JSON no formato '
+              + '{"summaryRequest": true|false, "confidence": número entre 0 e 1}. '
+              + 'summaryRequest é true somente quando a mensagem pede ao bot um resumo da conversa do grupo. '
+              + 'Mensagens que apenas falam de resumos (ex.: "fiz um resumo da aula") são false.'
+          },
+          { role: 'user', content: text }
+        ],
+        maxTokens: 50,
+        temperature: 0
+      });
+
+      await this.recordUsage('intent_classification', provider, response, context);
+
+      const result = JSON.parse(response.content || '{}');
+      const confidence = Math.min(1, Math.max(0, Number(result.confidence) || 0));
+
+      logger.logAIService(provider.name, 'intent_classification', 'success', {
+        summaryRequest: Boolean(result.summaryRequest),
+        confidence,
+        tokensUsed: response.usage?.totalTokens
+      });
+
+      return { isSummaryRequest: Boolean(result.summaryRequest), confidence };
+
+    } catch (error) {
+      logger.logAIService(provider.name, 'intent_classification', 'error', {
+        error: error.message
+      });
+
+      throw aiServiceErrorHandler(provider.name, 'intent_classification', error);
+    }
+  }
+
+  // Transcribe audio with the provider configured for transcription (Whisper on OpenAI)
+  async transcribeAudio(audioUrl, messageId, context = {}) {
+    const provider = llm.getProvider('transcription');
+    await usageService.assertWithinBudget(context.chatId);
+
+    try {
+      logger.logAIService(provider.name, 'transcription', 'started', {
         audioUrl,
         messageId
       });
@@ -78,18 +195,23 @@ class AIService {
       // Convert to supported format if needed
       const convertedPath = await this.convertAudioForWhisper(audioPath);
       
-      // Transcribe using Whisper
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: fs.createReadStream(convertedPath),
-        model: process.env.WHISPER_MODEL || 'whisper-1',
-        language: process.env.WHISPER_LANGUAGE || 'pt',
-        response_format: 'text'
+      const response = await provider.transcribe({
+        filePath: convertedPath,
+        model: llm.getModel('transcription'),
+        language: process.env.WHISPER_LANGUAGE || 'pt'
       });
+      const transcription = response.text;
+
+      // Transcription is priced by the minute
+      await this.recordUsage('transcription', provider, {
+        ...response,
+        audioSeconds: await this.getAudioDuration(convertedPath)
+      }, context);
 
       // Clean up temporary files
       await this.cleanupTempFiles([audioPath, convertedPath]);
 
-      logger.logAIService('Whisper', 'transcription', 'success', {
+      logger.logAIService(provider.name, 'transcription', 'success', {
         messageId,
         transcriptionLength: transcription.length
       });
@@ -97,17 +219,17 @@ class AIService {
       return transcription;
 
     } catch (error) {
-      logger.logAIService('Whisper', 'transcription', 'error', {
+      logger.logAIService(provider.name, 'transcription', 'error', {
         messageId,
         error: error.message
       });
       
-      throw aiServiceErrorHandler('Whisper', 'transcription', error);
+      throw aiServiceErrorHandler(provider.name, 'transcription', error);
     }
   }
 
   // Describe image using BLIP
-  async describeImage(imageUrl, messageId) {
+  async describeImage(imageUrl, messageId, context = {}) {
     try {
       logger.logAIService('BLIP', 'image_description', 'started', {
         imageUrl,
@@ -137,64 +259,61 @@ class AIService {
         error: error.message
       });
       
-      // Fallback to OpenAI Vision if BLIP fails
+      // Fallback to the vision provider if BLIP fails
       try {
-        return await this.describeImageWithOpenAI(imageUrl, messageId);
+        return await this.describeImageWithVisionModel(imageUrl, messageId, context);
       } catch (fallbackError) {
         throw aiServiceErrorHandler('BLIP', 'image_description', error);
       }
     }
   }
 
-  // Describe image using OpenAI Vision (fallback)
-  async describeImageWithOpenAI(imageUrl, messageId) {
+  // Describe image with the provider configured for vision (fallback)
+  async describeImageWithVisionModel(imageUrl, messageId, context = {}) {
+    const provider = llm.getProvider('vision');
+    await usageService.assertWithinBudget(context.chatId);
+
     try {
-      logger.logAIService('OpenAI Vision', 'image_description', 'started', {
+      logger.logAIService(provider.name, 'image_description', 'started', {
         imageUrl,
         messageId
       });
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4-vision-preview',
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: 'Descreva esta imagem de forma detalhada e útil em português.'
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageUrl,
-                  detail: 'high'
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 500
+      const response = await provider.describeImage({
+        model: llm.getModel('vision'),
+        imageUrl,
+        prompt: 'Descreva esta imagem de forma detalhada e útil em português.',
+        maxTokens: 500
       });
 
-      const description = response.choices[0]?.message?.content;
+      await this.recordUsage('image_description', provider, response, context);
+
+      const description = response.content;
 
-      logger.logAIService('OpenAI Vision', 'image_description', 'success', {
+      if (!description) {
+        throw new Error(`No description generated from ${provider.name}`);
+      }
+
+      logger.logAIService(provider.name, 'image_description', 'success', {
         messageId,
-        descriptionLength: description.length
+        descriptionLength: description.length,
+        tokensUsed: response.usage?.totalTokens
       });
 
       return description;
 
     } catch (error) {
-      throw aiServiceErrorHandler('OpenAI Vision', 'image_description', error);
+      throw aiServiceErrorHandler(provider.name, 'image_description', error);
     }
   }
 
   // Summarize document
-  async summarizeDocument(documentUrl, messageId, caption = '') {
+  async summarizeDocument(documentUrl, messageId, caption = '', context = {}) {
+    // Check before downloading a document that could not be summarized anyway
+    await usageService.assertWithinBudget(context.chatId);
+
     try {
-      logger.logAIService('OpenAI', 'document_summary', 'started', {
+      logger.logAIService(llm.getProviderName('chat'), 'document_summary', 'started', {
         documentUrl,
         messageId
       });
@@ -215,12 +334,12 @@ class AIService {
         prompt += `\n\nContexto adicional: ${caption}`;
       }
 
-      const summary = await this.generateTextResponse(prompt);
+      const summary = await this.generateTextResponse(prompt, { ...context, task: 'document_summary' });
 
       // Clean up temporary files
       await this.cleanupTempFiles([documentPath]);
 
-      logger.logAIService('OpenAI', 'document_summary', 'success', {
+      logger.logAIService(llm.getProviderName('chat'), 'document_summary', 'success', {
         messageId,
         originalLength: extractedText.length,
         summaryLength: summary.length
@@ -229,81 +348,331 @@ class AIService {
       return summary;
 
     } catch (error) {
-      logger.logAIService('OpenAI', 'document_summary', 'error', {
+      logger.logAIService(llm.getProviderName('chat'), 'document_summary', 'error', {
         messageId,
         error: error.message
       });
+
+      if (usageService.isBudgetExceeded(error)) {
+        throw error;
+      }
       
-      throw aiServiceErrorHandler('OpenAI', 'document_summary', error);
+      throw aiServiceErrorHandler(llm.getProviderName('chat'), 'document_summary', error);
     }
   }
 
-  // Generate group summary
-  async generateGroupSummary(messages, period) {
+  // Generate group summary for a window from utils/summaryPeriod, as the structure in utils/structuredSummary.
+  // Transcripts larger than SUMMARY_CHUNK_TOKENS are summarized chunk by chunk and the partial summaries merged
+  // (map-reduce); onProgress({ stage: 'map' | 'reduce', completed, total }) is called after each step.
+  async generateGroupSummary(messages, period, context = {}, onProgress = null) {
     try {
-      logger.logAIService('OpenAI', 'group_summary', 'started', {
+      logger.logAIService(llm.getProviderName('chat'), 'group_summary', 'started', {
         messageCount: messages.length,
-        period
+        period: period.period
       });
 
-      // Prepare messages for summarization
-      const messageText = this.prepareMessagesForSummary(messages);
-      
-      const prompt = `
-        Crie um resumo das conversas do grupo WhatsApp dos últimos ${this.getPeriodText(period)}.
-        
-        Instruções:
-        - Resuma os principais tópicos discutidos
-        - Identifique decisões importantes tomadas
-        - Mencione eventos ou informações relevantes
-        - Use uma linguagem clara e organizada
-        - Limite o resumo a no máximo 500 palavras
-        
-        Conversas:
-        ${messageText}
-      `;
+      const summaryContext = { ...context, task: 'group_summary' };
+      const mostReacted = this.prepareMostReactedForSummary(messages);
+      const chunks = this.chunkByTokens(this.prepareSummaryBlocks(messages), this.getSummaryChunkTokens());
+      let summary;
+
+      if (chunks.length <= 1) {
+        summary = await this.generateStructuredSummary(this.buildGroupSummaryPrompt(period, chunks[0] || '', mostReacted), summaryContext);
+      } else {
+        // Map: one partial summary per chunk, in chronological order
+        const partials = [];
+        for (const [index, chunk] of chunks.entries()) {
+          partials.push(await this.summarizePartial(this.buildChunkSummaryPrompt(period, chunk, index + 1, chunks.length), summaryContext));
+          onProgress?.({ stage: 'map', completed: index + 1, total: chunks.length });
+        }
 
-      const summary = await this.generateTextResponse(prompt);
+        summary = await this.mergePartialSummaries(partials, period, mostReacted, summaryContext, onProgress);
+      }
 
-      logger.logAIService('OpenAI', 'group_summary', 'success', {
+      logger.logAIService(llm.getProviderName('chat'), 'group_summary', 'success', {
         messageCount: messages.length,
-        period,
-        summaryLength: summary.length
+        period: period.period,
+        chunks: chunks.length,
+        topics: summary.topics.length,
+        actionItems: summary.actionItems.length
       });
 
       return summary;
 
     } catch (error) {
-      logger.logAIService('OpenAI', 'group_summary', 'error', {
+      logger.logAIService(llm.getProviderName('chat'), 'group_summary', 'error', {
         messageCount: messages.length,
-        period,
+        period: period.period,
         error: error.message
       });
+
+      if (usageService.isBudgetExceeded(error)) {
+        throw error;
+      }
       
-      throw aiServiceErrorHandler('OpenAI', 'group_summary', error);
+      throw aiServiceErrorHandler(llm.getProviderName('chat'), 'group_summary', error);
+    }
+  }
+
+  // Reduce: merge the partial summaries (free text) into the final structured one. When they do not fit
+  // in one prompt they are first merged in groups, round after round, until they do.
+  async mergePartialSummaries(partials, period, mostReacted, context, onProgress = null) {
+    const maxTokens = this.getSummaryChunkTokens();
+    const group = summaries => {
+      const labelled = summaries.map((partial, index) => `Parte ${index + 1}:\n${partial}`);
+      const groups = this.chunkByTokens(labelled, maxTokens);
+
+      if (groups.length < summaries.length) {
+        return groups;
+      }
+
+      // Partials too long to share a prompt are merged two at a time, so every round shrinks the list
+      const pairs = [];
+      for (let index = 0; index < labelled.length; index += 2) {
+        pairs.push(labelled.slice(index, index + 2).join('\n\n'));
+      }
+      return pairs;
+    };
+
+    let current = partials;
+    let groups = group(current);
+
+    while (groups.length > 1) {
+      const merged = [];
+      for (const partialsText of groups) {
+        merged.push(await this.summarizePartial(this.buildMergeSummaryPrompt(period, partialsText, null, false), context));
+      }
+
+      logger.info('Partial summaries merged', { period: period.period, from: current.length, to: merged.length });
+      current = merged;
+      groups = group(current);
+    }
+
+    const summary = await this.generateStructuredSummary(this.buildMergeSummaryPrompt(period, groups.join('\n\n'), mostReacted, true), context);
+    onProgress?.({ stage: 'reduce', completed: 1, total: 1 });
+
+    return summary;
+  }
+
+  // Partial summary (free text) of a chunk or of partials being merged. Not a chat reply: no persona,
+  // no history and a low temperature, with the length set by the prompt
+  async summarizePartial(prompt, context = {}) {
+    const provider = llm.getProvider('chat');
+    await usageService.assertWithinBudget(context.chatId);
+
+    const response = await provider.chat({
+      model: llm.getModel('chat'),
+      messages: [
+        {
+          role: 'system',
+          content: 'Você resume trechos de conversas de grupos de WhatsApp em português, de forma fiel e objetiva. '
+            + 'Não invente nomes, datas ou links e não converse com o usuário.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
+      temperature: 0.2
+    });
+
+    await this.recordUsage(context.task || 'group_summary', provider, response, context);
+
+    if (!response.content) {
+      throw new Error(`No partial summary generated from ${provider.name}`);
+    }
+
+    return response.content;
+  }
+
+  // Ask the chat provider for a summary in the JSON of utils/structuredSummary and validate it;
+  // a reply that does not match is sent back once with the problems found
+  async generateStructuredSummary(prompt, context = {}) {
+    const provider = llm.getProvider('chat');
+    await usageService.assertWithinBudget(context.chatId);
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'Você resume conversas de grupos de WhatsApp em português. '
+          + 'Responda apenas com um objeto JSON válido, sem texto antes ou depois.'
+      },
+      { role: 'user', content: prompt }
+    ];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= STRUCTURED_SUMMARY_ATTEMPTS; attempt++) {
+      const response = await provider.chat({
+        model: llm.getModel('chat'),
+        messages,
+        maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 2000,
+        temperature: 0.3
+      });
+
+      await this.recordUsage(context.task || 'group_summary', provider, response, context);
+
+      const result = parseSummary(response.content);
+      if (result.valid) {
+        return result.summary;
+      }
+
+      errors = result.errors;
+      logger.warn('Structured summary did not match the schema', { chatId: context.chatId, attempt, errors });
+
+      messages.push(
+        { role: 'assistant', content: response.content || '' },
+        { role: 'user', content: `A resposta não segue o formato pedido: ${errors.join('; ')}. Responda novamente apenas com o JSON corrigido.` }
+      );
     }
+
+    throw new Error(`Summary did not match the expected structure: ${errors.join('; ')}`);
+  }
+
+  // Output instructions shared by the prompts that produce the final structured summary
+  buildStructuredSummaryInstructions() {
+    return `
+        Responda apenas com JSON neste formato:
+        ${SUMMARY_JSON_FORMAT}
+
+        - topics: principais assuntos, com os nomes de quem participou como aparecem nas conversas
+        - decisions: decisões tomadas pelo grupo
+        - openQuestions: perguntas que ficaram sem resposta
+        - actionItems: tarefas combinadas, com responsável (owner) e prazo (dueDate) quando mencionados; senão null
+        - dates: datas e eventos mencionados
+        - links: links compartilhados, copiados exatamente
+        - Deixe a lista vazia ([]) quando não houver itens; não invente nomes, datas ou links
+        - Textos claros e curtos, no máximo 500 palavras no total`;
+  }
+
+  buildGroupSummaryPrompt(period, messageText, mostReacted) {
+    return `
+        Crie um resumo das conversas do grupo WhatsApp (${period.label}).
+        
+        Instruções:
+        - Linhas iniciadas com ↳ são respostas à mensagem acima delas; trate perguntas e respostas em conjunto
+        - Mensagens com muitas reações costumam ser anúncios ou assuntos importantes para o grupo; destaque-as
+        ${this.buildStructuredSummaryInstructions()}
+        ${mostReacted ? `\n        Mensagens mais reagidas:\n        ${mostReacted}\n` : ''}
+        Conversas:
+        ${messageText}
+      `;
+  }
+
+  buildChunkSummaryPrompt(period, messageText, part, totalParts) {
+    return `
+        Resuma um trecho das conversas do grupo WhatsApp (${period.label}), parte ${part} de ${totalParts}.
+        O resumo será combinado com os das outras partes, que cobrem o resto do período.
+
+        Instruções:
+        - Liste os tópicos discutidos (com quem participou), as decisões tomadas e os eventos ou informações relevantes
+        - Mantenha tarefas combinadas com seus responsáveis e prazos, perguntas sem resposta e links compartilhados
+        - Mantenha datas, nomes e números que possam importar
+        - Linhas iniciadas com ↳ são respostas à mensagem acima delas; trate perguntas e respostas em conjunto
+        - Mensagens com muitas reações costumam ser anúncios ou assuntos importantes para o grupo; destaque-as
+        - Limite o resumo a no máximo 250 palavras
+
+        Conversas:
+        ${messageText}
+      `;
+  }
+
+  // isFinal: the result goes to the group; otherwise it is one more partial summary to be merged
+  buildMergeSummaryPrompt(period, partialsText, mostReacted, isFinal) {
+    const goal = isFinal
+      ? `Crie um resumo das conversas do grupo WhatsApp (${period.label}) a partir dos resumos parciais abaixo.`
+      : `Combine os resumos parciais abaixo, de conversas do grupo WhatsApp (${period.label}), em um único resumo parcial.`;
+
+    const output = isFinal
+      ? this.buildStructuredSummaryInstructions()
+      : `
+        - Mantenha participantes, decisões, tarefas com responsáveis e prazos, perguntas sem resposta, datas e links
+        - Limite o resumo a no máximo 300 palavras`;
+
+    return `
+        ${goal}
+        Cada parte cobre um trecho consecutivo do período, em ordem cronológica.
+
+        Instruções:
+        - Una os assuntos que aparecem em mais de uma parte
+        - Uma pergunta respondida em uma parte posterior não está mais em aberto
+        ${output}
+        ${mostReacted ? `\n        Mensagens mais reagidas (destaque-as):\n        ${mostReacted}\n` : ''}
+        Resumos parciais:
+        ${partialsText}
+      `;
+  }
+
+  // Tokens of transcript per summarization call (SUMMARY_CHUNK_TOKENS, default 4000)
+  getSummaryChunkTokens() {
+    return Math.max(500, parseInt(process.env.SUMMARY_CHUNK_TOKENS) || 4000);
+  }
+
+  // Rough token count (about 4 characters per token), as in conversationMemoryService
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  // Pack text blocks into chunks of at most maxTokens, keeping each block whole when it fits;
+  // larger blocks are split by line and, as a last resort, by length
+  chunkByTokens(blocks, maxTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const pieces = blocks.flatMap(block => {
+      if (this.estimateTokens(block) <= maxTokens) {
+        return [block];
+      }
+      return block.split('\n').flatMap(line => {
+        const slices = [];
+        for (let start = 0; start < line.length; start += maxTokens * 4) {
+          slices.push(line.slice(start, start + maxTokens * 4));
+        }
+        return slices;
+      });
+    });
+
+    for (const piece of pieces) {
+      const tokens = this.estimateTokens(piece) + 1;
+
+      if (current.length > 0 && currentTokens + tokens > maxTokens) {
+        chunks.push(current.join('\n'));
+        current = [];
+        currentTokens = 0;
+      }
+
+      current.push(piece);
+      currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+      chunks.push(current.join('\n'));
+    }
+
+    return chunks;
   }
 
   // Generate embeddings for a given text
-  async generateEmbedding(text) {
+  async generateEmbedding(text, context = {}) {
+    const provider = llm.getProvider('embedding');
+    await usageService.assertWithinBudget(context.chatId);
+
     try {
-      logger.logAIService('OpenAI', 'embedding', 'started', {
+      logger.logAIService(provider.name, 'embedding', 'started', {
         textLength: text.length
       });
 
-      const response = await this.openai.embeddings.create({
-        model: "text-embedding-3-small",
-        input: text,
-        encoding_format: "float",
+      const response = await provider.embed({
+        model: llm.getModel('embedding'),
+        input: text
       });
+      const { embedding } = response;
 
-      const embedding = response.data[0]?.embedding;
+      await this.recordUsage('embedding', provider, response, context);
 
       if (!embedding) {
-        throw new Error('No embedding generated from OpenAI');
+        throw new Error(`No embedding generated from ${provider.name}`);
       }
 
-      logger.logAIService('OpenAI', 'embedding', 'success', {
+      logger.logAIService(provider.name, 'embedding', 'success', {
         textLength: text.length,
         embeddingDim: embedding.length,
       });
@@ -311,22 +680,24 @@ class AIService {
       return embedding;
 
     } catch (error) {
-      logger.logAIService('OpenAI', 'embedding', 'error', {
+      logger.logAIService(provider.name, 'embedding', 'error', {
         textLength: text.length,
         error: error.message
       });
 
-      throw aiServiceErrorHandler('OpenAI', 'embedding', error);
+      throw aiServiceErrorHandler(provider.name, 'embedding', error);
     }
   }
 
-  // Build system prompt based on context
+  // Build system prompt based on context (language and persona come from the chat settings)
   buildSystemPrompt(context) {
+    const persona = context.persona ? `\n      Persona definida para esta conversa: ${context.persona}\n` : '';
+
     return `
       Você é um assistente inteligente para WhatsApp que ajuda usuários de forma útil e amigável.
-      
+      ${persona}
       Diretrizes:
-      - Responda sempre em português brasileiro
+      - Responda sempre em ${context.language || 'português brasileiro'}
       - Seja conciso mas informativo
       - Use um tom amigável e profissional
       - Se não souber algo, admita e sugira alternativas
@@ -394,6 +765,15 @@ class AIService {
     });
   }
 
+  // Length of an audio file in seconds, null when ffprobe cannot read it
+  async getAudioDuration(filePath) {
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(filePath, (error, metadata) => {
+        resolve(error ? null : Number(metadata?.format?.duration) || null);
+      });
+    });
+  }
+
   // Process image for BLIP
   async processImageForBLIP(inputPath) {
     try {
@@ -458,27 +838,93 @@ class AIService {
 
   // Prepare messages for summary
   prepareMessagesForSummary(messages) {
-    return messages
-      .filter(msg => msg.content && msg.content.trim().length > 0)
-      .map(msg => {
-        const timestamp = new Date(msg.created_at).toLocaleString('pt-BR');
-        return `[${timestamp}] ${msg.sender_name}: ${msg.content}`;
-      })
-      .join('\n');
+    return this.prepareSummaryBlocks(messages).join('\n');
+  }
+
+  // Transcript split into threads: each block is a message followed by the replies to it (and theirs),
+  // so questions and answers stay together, also when the transcript is chunked
+  prepareSummaryBlocks(messages) {
+    const relevant = messages.filter(msg => msg.content && msg.content.trim().length > 0);
+    const byId = new Map(relevant.map(msg => [msg.message_id, msg]));
+    const replies = new Map(); // quoted message_id -> replies in chronological order
+    const roots = [];
+
+    for (const msg of relevant) {
+      if (msg.quoted_message_id && msg.quoted_message_id !== msg.message_id && byId.has(msg.quoted_message_id)) {
+        const siblings = replies.get(msg.quoted_message_id) || [];
+        siblings.push(msg);
+        replies.set(msg.quoted_message_id, siblings);
+      } else {
+        roots.push(msg);
+      }
+    }
+
+    const blocks = [];
+    const visited = new Set();
+    const appendBlock = root => {
+      const lines = [];
+      // Depth-first with an explicit stack: reply chains can be thousands of messages long
+      const stack = [[root, 0]];
+
+      while (stack.length > 0) {
+        const [msg, depth] = stack.pop();
+        if (visited.has(msg.message_id)) {
+          continue;
+        }
+
+        visited.add(msg.message_id);
+        lines.push(this.formatSummaryLine(msg, depth));
+
+        const children = replies.get(msg.message_id) || [];
+        for (let index = children.length - 1; index >= 0; index--) {
+          stack.push([children[index], depth + 1]);
+        }
+      }
+
+      if (lines.length > 0) {
+        blocks.push(lines.join('\n'));
+      }
+    };
+
+    roots.forEach(appendBlock);
+
+    // Only reachable through a reply cycle, which WhatsApp should never produce
+    relevant.forEach(appendBlock);
+
+    return blocks;
   }
 
-  // Get period text in Portuguese
-  getPeriodText(period) {
-    switch (period) {
-      case '24h':
-        return '24 horas';
-      case '48h':
-        return '48 horas';
-      case '1week':
-        return '1 semana';
-      default:
-        return '24 horas';
+  // Format one message line of the summary transcript
+  formatSummaryLine(msg, depth) {
+    const timestamp = new Date(msg.created_at).toLocaleString('pt-BR');
+    const prefix = depth > 0 ? `${'  '.repeat(Math.min(depth, MAX_THREAD_INDENT) - 1)}↳ ` : '';
+    const quotedText = msg.payload?.quotedText;
+
+    // The quoted message is outside the summarized period, so keep its text as context
+    const context = depth === 0 && msg.quoted_message_id && quotedText
+      ? ` (em resposta a: "${quotedText}")`
+      : '';
+
+    return `${prefix}[${timestamp}] ${msg.sender_display_name || msg.sender_name}: ${msg.content}${context}${this.formatReactions(msg)}`;
+  }
+
+  // Reaction counts of a message, e.g. " [reações: 👍3 ❤️1]"
+  formatReactions(msg) {
+    if (!msg.reaction_count) {
+      return '';
     }
+
+    return ` [reações: ${(msg.reactions || []).map(r => `${r.emoji}${r.count}`).join(' ')}]`;
+  }
+
+  // List the messages that drew the most reactions in the period
+  prepareMostReactedForSummary(messages, limit = MOST_REACTED_LIMIT) {
+    return messages
+      .filter(msg => msg.content && msg.reaction_count >= MOST_REACTED_MIN_REACTIONS)
+      .sort((a, b) => b.reaction_count - a.reaction_count)
+      .slice(0, limit)
+      .map(msg => `- ${msg.sender_display_name || msg.sender_name}: ${msg.content}${this.formatReactions(msg)}`)
+      .join('\n        ');
   }
 
   // Get file extension based on content type
@@ -0,0 +1,301 @@
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const instanceService = require('./instanceService');
+const roleService = require('./roleService');
+const whatsappService = require('./whatsappService');
+const { AppError } = require('../middleware/errorHandler');
+
+// chatId -> messages received outside business hours in flows held for staff
+const STAFF_QUEUE_KEY = 'after_hours_queue';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_LABELS = {
+  sun: 'domingo',
+  mon: 'segunda-feira',
+  tue: 'terça-feira',
+  wed: 'quarta-feira',
+  thu: 'quinta-feira',
+  fri: 'sexta-feira',
+  sat: 'sábado'
+};
+
+// Flows that can be held for staff outside business hours instead of being handled by the bot
+const QUEUE_FLOWS = ['supportMode', 'aiReplies'];
+
+const DEFAULT_AWAY_MESSAGE = '🕒 Olá! Estamos fora do horário de atendimento. Nossa equipe retorna {proximaAbertura}.';
+
+const RANGE_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const HOLIDAY_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+const MAX_AWAY_MESSAGE_LENGTH = 1000;
+const MAX_QUEUED_MESSAGES_PER_CHAT = 20;
+
+// Business hours, set per instance (instances.business_hours) and optionally per chat (the businessHours
+// chat setting, which wins). null means always open. Shape:
+// {
+//   enabled: true,
+//   timezone: 'America/Sao_Paulo',             // defaults to TZ
+//   schedule: { mon: ['08:00-12:00', '13:00-18:00'], ..., sun: [] }, // missing days are closed
+//   holidays: ['2026-12-25', '01-01'],          // MM-DD repeats every year
+//   awayMessage: '... {proximaAbertura}',
+//   queueFlows: ['supportMode']                 // see QUEUE_FLOWS
+// }
+class BusinessHoursService {
+  getDefaultTimeZone() {
+    return process.env.TZ || 'America/Sao_Paulo';
+  }
+
+  getDays() {
+    return DAYS;
+  }
+
+  getQueueFlows() {
+    return QUEUE_FLOWS;
+  }
+
+  getAwayWindowMs() {
+    return (parseInt(process.env.AWAY_MESSAGE_WINDOW_HOURS) || 12) * 60 * 60 * 1000;
+  }
+
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Check a business hours object and return it normalized; throws a 400 AppError on invalid values
+  validateBusinessHours(value) {
+    if (value === null) {
+      return null;
+    }
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new AppError('businessHours must be an object or null', 400);
+    }
+
+    const { enabled = true, timezone = null, schedule = {}, holidays = [], awayMessage = null, queueFlows = ['supportMode'] } = value;
+
+    if (typeof enabled !== 'boolean') {
+      throw new AppError('businessHours.enabled must be a boolean', 400);
+    }
+
+    if (timezone !== null && (typeof timezone !== 'string' || !this.isValidTimeZone(timezone))) {
+      throw new AppError(`Invalid timezone: ${timezone}`, 400);
+    }
+
+    if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+      throw new AppError('businessHours.schedule must map days (mon..sun) to lists of "HH:MM-HH:MM"', 400);
+    }
+
+    const normalizedSchedule = {};
+    for (const [day, ranges] of Object.entries(schedule)) {
+      if (!DAYS.includes(day)) {
+        throw new AppError(`Unknown day in businessHours.schedule: ${day}`, 400);
+      }
+
+      const list = (ranges === null ? [] : Array.isArray(ranges) ? ranges : [ranges])
+        .map(range => (typeof range === 'string' ? range.replace(/\s+/g, '') : range));
+
+      for (const range of list) {
+        if (!RANGE_PATTERN.test(range) || range.split('-')[0] >= range.split('-')[1]) {
+          throw new AppError(`Invalid range for ${day}: ${range} (expected "HH:MM-HH:MM")`, 400);
+        }
+      }
+
+      normalizedSchedule[day] = list.sort();
+    }
+
+    if (!Array.isArray(holidays) || holidays.some(holiday => !HOLIDAY_PATTERN.test(holiday))) {
+      throw new AppError('businessHours.holidays must be a list of "YYYY-MM-DD" or "MM-DD" dates', 400);
+    }
+
+    if (awayMessage !== null && (typeof awayMessage !== 'string' || awayMessage.length > MAX_AWAY_MESSAGE_LENGTH)) {
+      throw new AppError(`businessHours.awayMessage must be a string of up to ${MAX_AWAY_MESSAGE_LENGTH} characters or null`, 400);
+    }
+
+    if (!Array.isArray(queueFlows) || queueFlows.some(flow => !QUEUE_FLOWS.includes(flow))) {
+      throw new AppError(`businessHours.queueFlows must be a list of: ${QUEUE_FLOWS.join(', ')}`, 400);
+    }
+
+    return {
+      enabled,
+      timezone,
+      schedule: normalizedSchedule,
+      holidays: [...new Set(holidays)],
+      awayMessage: awayMessage ? awayMessage.trim() : null,
+      queueFlows: [...new Set(queueFlows)]
+    };
+  }
+
+  // Hours that apply to a chat: its own setting, else its instance's; null when always open
+  async getBusinessHours(settings, instanceId = null) {
+    const hours = settings?.businessHours || (await instanceService.getInstance(instanceId)).business_hours || null;
+    return hours && hours.enabled !== false ? hours : null;
+  }
+
+  // Local date ("YYYY-MM-DD"), weekday key and time ("HH:MM") of an instant
+  getLocalParts(date, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: parts.weekday.toLowerCase(),
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+
+  isHoliday(hours, localDate) {
+    return (hours.holidays || []).some(holiday => holiday === localDate || holiday === localDate.substring(5));
+  }
+
+  // Whether the chat is attended at `date`; chats without business hours are always open
+  isOpen(hours, date = new Date()) {
+    if (!hours) {
+      return true;
+    }
+
+    const local = this.getLocalParts(date, hours.timezone || this.getDefaultTimeZone());
+    if (this.isHoliday(hours, local.date)) {
+      return false;
+    }
+
+    return (hours.schedule?.[local.day] || []).some(range => {
+      const [start, end] = range.split('-');
+      return local.time >= start && local.time < end;
+    });
+  }
+
+  // Portuguese description of the next opening ("hoje às 13:00", "segunda-feira (02/11) às 08:00");
+  // null when nothing opens in the next two weeks
+  describeNextOpening(hours, date = new Date()) {
+    const timeZone = hours.timezone || this.getDefaultTimeZone();
+    const now = this.getLocalParts(date, timeZone);
+
+    for (let offset = 0; offset <= 14; offset++) {
+      const local = this.getLocalParts(new Date(date.getTime() + offset * 24 * 60 * 60 * 1000), timeZone);
+      if (this.isHoliday(hours, local.date)) {
+        continue;
+      }
+
+      const start = (hours.schedule?.[local.day] || [])
+        .map(range => range.split('-')[0])
+        .find(time => offset > 0 || time > now.time);
+
+      if (start) {
+        const [, month, day] = local.date.split('-');
+        const when = offset === 0 ? 'hoje' : offset === 1 ? 'amanhã' : `${DAY_LABELS[local.day]} (${day}/${month})`;
+        return `${when} às ${start}`;
+      }
+    }
+
+    return null;
+  }
+
+  buildAwayMessage(hours, date = new Date()) {
+    const nextOpening = this.describeNextOpening(hours, date) || 'assim que possível';
+    return (hours.awayMessage || DEFAULT_AWAY_MESSAGE).replace(/\{proximaAbertura\}/g, nextOpening);
+  }
+
+  // Send the away message at most once per AWAY_MESSAGE_WINDOW_HOURS in a chat; returns true when sent
+  async sendAwayMessageOnce(chatId, hours, instanceId = null) {
+    const windowSeconds = Math.floor(this.getAwayWindowMs() / 1000);
+    if (!(await redis.setIfNotExists(`away_message:${chatId}`, new Date().toISOString(), windowSeconds))) {
+      return false;
+    }
+
+    await whatsappService.sendMessage(chatId, this.buildAwayMessage(hours), instanceId);
+    logger.info('Away message sent', { chatId, instanceId });
+
+    return true;
+  }
+
+  // Whether a flow should wait for staff instead of being handled by the bot right now
+  shouldQueue(hours, flow, date = new Date()) {
+    return Boolean(hours) && (hours.queueFlows || []).includes(flow) && !this.isOpen(hours, date);
+  }
+
+  // Keep a message for staff; they get it once the chat's business hours start again
+  async queueForStaff(message, flow, hours) {
+    const entry = await redis.hget(STAFF_QUEUE_KEY, message.chat_id) || {
+      chatId: message.chat_id,
+      instanceId: message.instance_id,
+      senderName: message.sender_name,
+      flow,
+      hours,
+      queuedAt: new Date().toISOString(),
+      messages: []
+    };
+
+    entry.messages = [...entry.messages, { content: message.content || `[${message.message_type}]`, at: new Date().toISOString() }]
+      .slice(-MAX_QUEUED_MESSAGES_PER_CHAT);
+
+    await redis.hset(STAFF_QUEUE_KEY, message.chat_id, entry);
+    logger.info('Message queued for staff', { chatId: message.chat_id, flow, queued: entry.messages.length });
+
+    return entry;
+  }
+
+  async listStaffQueue() {
+    return Object.values(await redis.hgetall(STAFF_QUEUE_KEY))
+      .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+  }
+
+  // Send the admins what arrived while closed, for every chat whose business hours have started.
+  // Only the caller that removes an entry sends it, so replicas never repeat a digest.
+  async deliverStaffQueue() {
+    const entries = await this.listStaffQueue();
+    let delivered = 0;
+
+    for (const entry of entries) {
+      if (!this.isOpen(entry.hours) || (await redis.hdel(STAFF_QUEUE_KEY, entry.chatId)) === 0) {
+        continue;
+      }
+
+      const lines = entry.messages.map(item => `• ${item.content}`);
+      const flowLabel = entry.flow === 'supportMode' ? 'modo de apoio' : 'atendimento';
+      const text = `📥 *Recebido fora do horário (${flowLabel})*\n${entry.senderName || entry.chatId.split('@')[0]} (${entry.chatId.split('@')[0]}):\n\n${lines.join('\n')}`;
+
+      await roleService.sendToAdmins(text, entry.instanceId);
+      delivered++;
+    }
+
+    if (delivered > 0) {
+      logger.info('After-hours messages delivered to staff', { delivered });
+    }
+
+    return delivered;
+  }
+
+  // Short Portuguese description for /config ("seg 08:00-18:00; sáb 08:00-12:00")
+  describe(hours) {
+    if (!hours) {
+      return 'padrão da instância';
+    }
+
+    if (hours.enabled === false) {
+      return 'sempre aberto';
+    }
+
+    const days = DAYS
+      .filter(day => hours.schedule?.[day]?.length)
+      .map(day => `${DAY_LABELS[day].substring(0, 3)} ${hours.schedule[day].join(', ')}`);
+
+    return days.length > 0 ? days.join('; ') : 'sempre fechado';
+  }
+}
+
+module.exports = new BusinessHoursService();
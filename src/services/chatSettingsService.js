@@ -0,0 +1,253 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const businessHoursService = require('./businessHoursService');
+const { AppError } = require('../middleware/errorHandler');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Behaviour of a chat that has no stored settings
+const DEFAULT_SETTINGS = {
+  autoReply: true, // AI replies to plain messages and summary requests written as text
+  transcribeAudio: true,
+  describeImages: false,
+  summarizeDocuments: false,
+  language: 'pt-BR',
+  persona: null, // extra instructions for the assistant's tone and role
+  allowedCommands: null, // null allows every command
+  quietHours: null, // { start: 'HH:MM', end: 'HH:MM' } without automatic replies
+  summaryTrigger: 'mention', // how a group asks for a summary in plain text (see SUMMARY_TRIGGERS)
+  summaryIntentClassifier: false, // confirm summary requests with the LLM before answering
+  summaryIntentThreshold: 0.7, // minimum classifier confidence
+  businessHours: null, // null follows the instance's business hours (see businessHoursService)
+  monthlyBudgetUsd: null // AI spending cap for the chat; null follows AI_CHAT_MONTHLY_BUDGET_USD (see usageService)
+};
+
+const BOOLEAN_SETTINGS = ['autoReply', 'transcribeAudio', 'describeImages', 'summarizeDocuments', 'summaryIntentClassifier'];
+
+// mention: the message has to mention the bot or reply to it; keyword: any message with summary keywords;
+// command: only /resumo
+const SUMMARY_TRIGGERS = ['mention', 'keyword', 'command'];
+
+const LANGUAGES = {
+  'pt-BR': 'português brasileiro',
+  en: 'inglês',
+  es: 'espanhol'
+};
+
+// Commands that stay available so a chat can never lock itself out of its settings
+const ALWAYS_ALLOWED_COMMANDS = ['ajuda', 'config'];
+
+const MAX_PERSONA_LENGTH = 500;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class ChatSettingsService {
+  constructor() {
+    this.cache = new Map(); // chat_id -> { settings, loadedAt }
+  }
+
+  getDefaults() {
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  getKeys() {
+    return Object.keys(DEFAULT_SETTINGS);
+  }
+
+  getLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  getSummaryTriggers() {
+    return SUMMARY_TRIGGERS;
+  }
+
+  getLanguageName(language) {
+    return LANGUAGES[language] || LANGUAGES[DEFAULT_SETTINGS.language];
+  }
+
+  // Settings stored for a chat, without the defaults
+  async getOverrides(chatId) {
+    const cached = this.cache.get(chatId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.settings;
+    }
+
+    try {
+      const result = await database.query('SELECT settings FROM chat_settings WHERE chat_id = $1', [chatId]);
+      const settings = result.rows[0]?.settings || {};
+
+      this.cache.set(chatId, { settings, loadedAt: Date.now() });
+      return settings;
+
+    } catch (error) {
+      // Fall back to the defaults (or the previous copy) rather than stop processing messages
+      logger.logDatabase('SELECT', 'chat_settings', 'error', {
+        chatId,
+        error: error.message
+      });
+      return cached?.settings || {};
+    }
+  }
+
+  // Effective settings of a chat: the defaults overridden by what is stored
+  async getSettings(chatId) {
+    return { ...DEFAULT_SETTINGS, ...(await this.getOverrides(chatId)) };
+  }
+
+  // Check a partial settings object and return it normalized; throws a 400 AppError on invalid values
+  validateSettings(changes) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(changes || {})) {
+      if (!(key in DEFAULT_SETTINGS)) {
+        throw new AppError(`Unknown setting: ${key}`, 400);
+      }
+
+      if (BOOLEAN_SETTINGS.includes(key)) {
+        if (typeof value !== 'boolean') {
+          throw new AppError(`${key} must be a boolean`, 400);
+        }
+        normalized[key] = value;
+
+      } else if (key === 'language') {
+        if (!(value in LANGUAGES)) {
+          throw new AppError(`language must be one of: ${this.getLanguages().join(', ')}`, 400);
+        }
+        normalized[key] = value;
+
+      } else if (key === 'persona') {
+        const persona = typeof value === 'string' ? value.trim() : value;
+        if (persona !== null && (typeof persona !== 'string' || persona.length > MAX_PERSONA_LENGTH)) {
+          throw new AppError(`persona must be a string of up to ${MAX_PERSONA_LENGTH} characters or null`, 400);
+        }
+        normalized[key] = persona || null;
+
+      } else if (key === 'allowedCommands') {
+        if (value !== null && (!Array.isArray(value) || value.some(name => typeof name !== 'string'))) {
+          throw new AppError('allowedCommands must be a list of command names or null', 400);
+        }
+        normalized[key] = value === null
+          ? null
+          : [...new Set(value.map(name => name.trim().replace(/^\/+/, '').toLowerCase()).filter(Boolean))];
+
+      } else if (key === 'summaryTrigger') {
+        if (!SUMMARY_TRIGGERS.includes(value)) {
+          throw new AppError(`summaryTrigger must be one of: ${SUMMARY_TRIGGERS.join(', ')}`, 400);
+        }
+        normalized[key] = value;
+
+      } else if (key === 'summaryIntentThreshold') {
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          throw new AppError('summaryIntentThreshold must be a number between 0 and 1', 400);
+        }
+        normalized[key] = value;
+
+      } else if (key === 'monthlyBudgetUsd') {
+        if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+          throw new AppError('monthlyBudgetUsd must be a positive number or null', 400);
+        }
+        normalized[key] = value;
+
+      } else if (key === 'businessHours') {
+        normalized[key] = businessHoursService.validateBusinessHours(value);
+
+      } else if (key === 'quietHours') {
+        if (value !== null && !(TIME_PATTERN.test(value?.start) && TIME_PATTERN.test(value?.end))) {
+          throw new AppError('quietHours must be { start: "HH:MM", end: "HH:MM" } or null', 400);
+        }
+        normalized[key] = value === null ? null : { start: value.start, end: value.end };
+      }
+    }
+
+    return normalized;
+  }
+
+  // Merge changes into the stored settings of a chat and return the effective settings
+  async updateSettings(chatId, changes, updatedBy = null) {
+    const normalized = this.validateSettings(changes);
+
+    try {
+      const query = `
+        INSERT INTO chat_settings (chat_id, settings, updated_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (chat_id)
+        DO UPDATE SET
+          settings = chat_settings.settings || EXCLUDED.settings,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING settings
+      `;
+
+      const result = await database.query(query, [chatId, JSON.stringify(normalized), updatedBy]);
+      this.cache.set(chatId, { settings: result.rows[0].settings, loadedAt: Date.now() });
+
+      logger.logDatabase('UPSERT', 'chat_settings', 'success', { chatId, keys: Object.keys(normalized), updatedBy });
+
+      return { ...DEFAULT_SETTINGS, ...result.rows[0].settings };
+
+    } catch (error) {
+      logger.logDatabase('UPSERT', 'chat_settings', 'error', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Drop the stored settings; the chat goes back to the defaults
+  async resetSettings(chatId) {
+    const result = await database.query('DELETE FROM chat_settings WHERE chat_id = $1', [chatId]);
+    this.cache.delete(chatId);
+
+    logger.logDatabase('DELETE', 'chat_settings', 'success', { chatId, removed: result.rowCount });
+
+    return result.rowCount > 0;
+  }
+
+  // Current local time as "HH:MM" in the bot's timezone
+  getLocalTime(date = new Date()) {
+    return new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: process.env.TZ || 'America/Sao_Paulo'
+    }).format(date);
+  }
+
+  // Quiet hours may wrap past midnight (e.g. 22:00-07:00)
+  isQuietHours(settings, date = new Date()) {
+    const quietHours = settings.quietHours;
+    if (!quietHours) {
+      return false;
+    }
+
+    const now = this.getLocalTime(date);
+    return quietHours.start <= quietHours.end
+      ? now >= quietHours.start && now < quietHours.end
+      : now >= quietHours.start || now < quietHours.end;
+  }
+
+  // Automatic replies need auto-reply on and no quiet hours in effect
+  canAutoReply(settings, date = new Date()) {
+    return settings.autoReply && !this.isQuietHours(settings, date);
+  }
+
+  isCommandAllowed(settings, commandName) {
+    return !settings.allowedCommands
+      || ALWAYS_ALLOWED_COMMANDS.includes(commandName)
+      || settings.allowedCommands.includes(commandName);
+  }
+
+  // Whether a media type should be processed in this chat
+  isMediaProcessingEnabled(settings, mediaType) {
+    const setting = {
+      audio: 'transcribeAudio',
+      image: 'describeImages',
+      document: 'summarizeDocuments'
+    }[mediaType];
+
+    return Boolean(setting && settings[setting]);
+  }
+}
+
+module.exports = new ChatSettingsService();
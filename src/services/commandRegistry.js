@@ -0,0 +1,214 @@
+const logger = require('../utils/logger');
+const instanceService = require('./instanceService');
+const roleService = require('./roleService');
+const chatSettingsService = require('./chatSettingsService');
+
+const CHAT_TYPES = ['individual', 'group'];
+
+const CHAT_TYPE_LABELS = {
+  individual: 'conversas individuais',
+  group: 'grupos'
+};
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // "prefix + name" -> definition
+    this.lookup = new Map(); // "prefix + name or alias" -> definition
+  }
+
+  getChatTypes() {
+    return CHAT_TYPES;
+  }
+
+  // Register a command.
+  // definition: { name, aliases, prefix, description, args: [{ name, required, rest }], chatTypes, role, feature, handler }
+  register(definition) {
+    const command = {
+      aliases: [],
+      prefix: '/',
+      description: '',
+      args: [],
+      chatTypes: CHAT_TYPES,
+      role: 'member',
+      feature: null,
+      hidden: false,
+      ...definition
+    };
+
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('Commands need a name and a handler');
+    }
+
+    if (!roleService.isValidRole(command.role)) {
+      throw new Error(`Unknown role "${command.role}" for command ${command.name}`);
+    }
+
+    const invalidChatType = command.chatTypes.find(type => !CHAT_TYPES.includes(type));
+    if (invalidChatType) {
+      throw new Error(`Unknown chat type "${invalidChatType}" for command ${command.name}`);
+    }
+
+    for (const name of [command.name, ...command.aliases]) {
+      const key = `${command.prefix}${name.toLowerCase()}`;
+
+      if (this.lookup.has(key)) {
+        throw new Error(`Command ${key} is already registered`);
+      }
+
+      this.lookup.set(key, command);
+    }
+
+    this.commands.set(`${command.prefix}${command.name}`, command);
+    return command;
+  }
+
+  // Split "/name arg1 arg2" into its parts; returns null for plain text
+  parse(content) {
+    const text = (content || '').trim();
+    const prefix = text.startsWith('//') ? '//' : text.startsWith('/') ? '/' : null;
+
+    if (!prefix) {
+      return null;
+    }
+
+    const [name = '', ...rest] = text.substring(prefix.length).split(/\s+/);
+
+    return {
+      prefix,
+      name: name.toLowerCase(),
+      rawArgs: rest.join(' '),
+      tokens: rest.filter(Boolean)
+    };
+  }
+
+  resolve(prefix, name) {
+    return this.lookup.get(`${prefix}${name}`) || null;
+  }
+
+  // Map the tokens to the declared arguments; the last argument may take the rest of the text
+  parseArgs(command, tokens) {
+    const args = {};
+    const missing = [];
+
+    command.args.forEach((arg, index) => {
+      const value = arg.rest ? tokens.slice(index).join(' ') : tokens[index];
+
+      if (value) {
+        args[arg.name] = value;
+      } else if (arg.required) {
+        missing.push(arg.name);
+      }
+    });
+
+    return { args, missing };
+  }
+
+  // Whether the sender of a message holds at least the given role
+  async hasRole(message, role) {
+    return roleService.hasRole(message.sender_id, role, message.instance_id);
+  }
+
+  getChatType(message) {
+    return message.chat_id.includes('@g.us') ? 'group' : 'individual';
+  }
+
+  usage(command) {
+    const args = command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`));
+    return [`${command.prefix}${command.name}`, ...args].join(' ');
+  }
+
+  // Commands the sender can use in this chat, taking instance features and chat settings into account
+  async getAvailableCommands(message) {
+    const chatType = this.getChatType(message);
+    const settings = await chatSettingsService.getSettings(message.chat_id);
+    const available = [];
+
+    for (const command of this.commands.values()) {
+      if (command.hidden || !command.chatTypes.includes(chatType)) {
+        continue;
+      }
+
+      if (!chatSettingsService.isCommandAllowed(settings, command.name)) {
+        continue;
+      }
+
+      if (command.feature && !(await instanceService.isFeatureEnabled(message.instance_id, command.feature))) {
+        continue;
+      }
+
+      if (await this.hasRole(message, command.role)) {
+        available.push(command);
+      }
+    }
+
+    return available;
+  }
+
+  // Build the /ajuda listing for the sender of a message
+  async buildHelp(message) {
+    const commands = await this.getAvailableCommands(message);
+
+    if (commands.length === 0) {
+      return 'Nenhum comando disponível nesta conversa.';
+    }
+
+    const lines = commands.map(command => {
+      const aliases = command.aliases.length > 0
+        ? ` (também: ${command.aliases.map(alias => `${command.prefix}${alias}`).join(', ')})`
+        : '';
+      return `*${this.usage(command)}*${aliases}\n${command.description}`;
+    });
+
+    return `📋 *Comandos disponíveis*\n\n${lines.join('\n\n')}`;
+  }
+
+  // Route a command message to its handler. Returns false when the message is not a known command,
+  // so the caller keeps processing it as a regular message.
+  async dispatch(message, sendReply) {
+    const parsed = this.parse(message.content);
+    if (!parsed) {
+      return false;
+    }
+
+    const command = this.resolve(parsed.prefix, parsed.name);
+    if (!command) {
+      return false;
+    }
+
+    // Disabled features and commands not allowed in this chat behave as if the command did not exist
+    if (command.feature && !(await instanceService.isFeatureEnabled(message.instance_id, command.feature))) {
+      return false;
+    }
+
+    const settings = await chatSettingsService.getSettings(message.chat_id);
+    if (!chatSettingsService.isCommandAllowed(settings, command.name)) {
+      return false;
+    }
+
+    const chatType = this.getChatType(message);
+    logger.info('Command received', { command: command.name, chatId: message.chat_id, chatType });
+
+    if (!command.chatTypes.includes(chatType)) {
+      const allowed = command.chatTypes.map(type => CHAT_TYPE_LABELS[type]).join(' e ');
+      await sendReply(`O comando ${command.prefix}${command.name} só pode ser usado em ${allowed}.`);
+      return true;
+    }
+
+    if (!(await this.hasRole(message, command.role))) {
+      logger.warn('Command denied', { command: command.name, senderId: message.sender_id, role: command.role });
+      await sendReply(`Você não tem permissão para usar o comando ${command.prefix}${command.name}.`);
+      return true;
+    }
+
+    const { args, missing } = this.parseArgs(command, parsed.tokens);
+    if (missing.length > 0) {
+      await sendReply(`Uso: ${this.usage(command)}`);
+      return true;
+    }
+
+    await command.handler(message, { args, rawArgs: parsed.rawArgs, command });
+    return true;
+  }
+}
+
+module.exports = new CommandRegistry();
@@ -0,0 +1,274 @@
+const database = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const metricsService = require('../utils/metrics');
+const whatsappService = require('./whatsappService');
+const instanceService = require('./instanceService');
+
+const STATE_KEY_PREFIX = 'connection_state:';
+const QRCODE_KEY_PREFIX = 'connection_qrcode:';
+const PENDING_ALERT_KEY_PREFIX = 'connection_alert_pending:';
+const QRCODE_TTL = 120; // WhatsApp rotates the QR code roughly every minute
+
+// Baileys disconnect reasons reported in statusReason
+const DISCONNECT_REASONS = {
+  401: 'sessão desconectada pelo celular (logout)',
+  403: 'acesso negado pelo WhatsApp',
+  408: 'tempo de conexão esgotado',
+  411: 'dispositivo incompatível',
+  428: 'conexão encerrada',
+  440: 'sessão aberta em outro local',
+  500: 'sessão inválida',
+  515: 'reinício necessário'
+};
+
+class ConnectionService {
+  getDefaultInstance() {
+    return process.env.WHATSAPP_INSTANCE || 'default';
+  }
+
+  // Restore the gauges of every known instance
+  async initialize() {
+    const registered = await instanceService.listInstances().catch(() => []);
+    const instances = new Set([
+      this.getDefaultInstance(),
+      ...registered.filter(instance => instance.is_active).map(instance => instance.name)
+    ]);
+
+    for (const instance of instances) {
+      await this.restoreInstance(instance);
+    }
+  }
+
+  // Restore the gauge from the last known state and ask Evolution when nothing is stored yet
+  async restoreInstance(instance) {
+    try {
+      let current = await this.getState(instance);
+
+      if (!current) {
+        const health = await whatsappService.healthCheck(instance);
+        const state = health.details?.instance?.state || health.details?.state;
+
+        if (health.status === 'ok' && state) {
+          current = await this.handleConnectionUpdate({ state }, instance);
+        }
+      }
+
+      if (current) {
+        metricsService.updateConnectionStatus(instance, current.state === 'open');
+      }
+
+    } catch (error) {
+      logger.warn('Could not restore WhatsApp connection state', {
+        instance,
+        error: error.message
+      });
+    }
+  }
+
+  // Handle CONNECTION_UPDATE: persist transitions, update the gauge and alert the admin
+  async handleConnectionUpdate(data, instance) {
+    const instanceName = instance || data.instance || this.getDefaultInstance();
+    const state = data.state;
+
+    if (!state) {
+      logger.warn('Received a connection update without state, skipping.', { instance: instanceName });
+      return null;
+    }
+
+    const previous = await this.getState(instanceName);
+    const previousState = previous?.state || null;
+    const statusReason = data.statusReason ? parseInt(data.statusReason) : null;
+
+    if (previousState === state) {
+      return previous;
+    }
+
+    const current = {
+      instance: instanceName,
+      state,
+      previousState,
+      statusReason,
+      since: new Date().toISOString()
+    };
+
+    await this.recordTransition(current);
+    await redis.set(`${STATE_KEY_PREFIX}${instanceName}`, current);
+
+    metricsService.updateConnectionStatus(instanceName, state === 'open');
+
+    logger.info('WhatsApp connection state changed', {
+      instance: instanceName,
+      from: previousState,
+      to: state,
+      statusReason
+    });
+
+    if (state === 'open') {
+      // The QR code is useless once the session is open
+      await redis.del(`${QRCODE_KEY_PREFIX}${instanceName}`);
+      await this.flushPendingAlert(instanceName);
+    } else if (previousState === 'open' && state === 'close') {
+      await this.notifySessionDropped(current);
+    }
+
+    return current;
+  }
+
+  // Handle QRCODE_UPDATED: keep the latest QR code so it can be scanned from the API
+  async handleQRCodeUpdated(data, instance) {
+    const instanceName = instance || data.instance || this.getDefaultInstance();
+    const qrcode = typeof data.qrcode === 'string' ? { base64: data.qrcode } : (data.qrcode || data);
+
+    await redis.set(`${QRCODE_KEY_PREFIX}${instanceName}`, {
+      base64: qrcode.base64 || null,
+      code: qrcode.code || null,
+      pairingCode: qrcode.pairingCode || null,
+      updatedAt: new Date().toISOString()
+    }, QRCODE_TTL);
+
+    logger.info('WhatsApp QR code updated', { instance: instanceName });
+  }
+
+  // Persist a state transition
+  async recordTransition({ instance, state, previousState, statusReason }) {
+    try {
+      const query = `
+        INSERT INTO connection_events (instance, state, previous_state, status_reason)
+        VALUES ($1, $2, $3, $4)
+      `;
+
+      await database.query(query, [instance, state, previousState, statusReason]);
+
+    } catch (error) {
+      logger.logDatabase('INSERT', 'connection_events', 'error', {
+        instance,
+        state,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Current state from Redis, falling back to the last persisted transition
+  async getState(instance = this.getDefaultInstance()) {
+    const cached = await redis.get(`${STATE_KEY_PREFIX}${instance}`);
+    if (cached) {
+      return cached;
+    }
+
+    const result = await database.query(`
+      SELECT instance, state, previous_state, status_reason, created_at
+      FROM connection_events
+      WHERE instance = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [instance]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      instance: row.instance,
+      state: row.state,
+      previousState: row.previous_state,
+      statusReason: row.status_reason,
+      since: new Date(row.created_at).toISOString()
+    };
+  }
+
+  // State and recent transitions; the QR code is left out since it pairs a phone (see getQrCode)
+  async getStatus(instance = this.getDefaultInstance(), historyLimit = 10) {
+    const current = await this.getState(instance);
+    const state = current?.state || 'unknown';
+
+    const history = await database.query(`
+      SELECT state, previous_state, status_reason, created_at
+      FROM connection_events
+      WHERE instance = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [instance, historyLimit]);
+
+    return {
+      instance,
+      state,
+      connected: state === 'open',
+      since: current?.since || null,
+      statusReason: current?.statusReason || null,
+      history: history.rows
+    };
+  }
+
+  // Latest QR code, only while the session is not open
+  async getQrCode(instance = this.getDefaultInstance()) {
+    const current = await this.getState(instance);
+    const state = current?.state || 'unknown';
+
+    return {
+      instance,
+      state,
+      qrcode: state !== 'open' ? await redis.get(`${QRCODE_KEY_PREFIX}${instance}`) : null
+    };
+  }
+
+  describeReason(statusReason) {
+    return DISCONNECT_REASONS[statusReason] || (statusReason ? `código ${statusReason}` : 'motivo desconhecido');
+  }
+
+  // Tell the admin the session dropped; if WhatsApp cannot deliver it, retry once the session is back
+  async notifySessionDropped({ instance, statusReason, since }) {
+    logger.error('WhatsApp session dropped', { instance, statusReason });
+
+    const adminChatId = await instanceService.getAdminChatId(instance);
+    if (!adminChatId) {
+      return;
+    }
+
+    const alert = `⚠️ *Sessão do WhatsApp caiu*\n\n*Instância:* ${instance}\n*Motivo:* ${this.describeReason(statusReason)}\n*Horário:* ${new Date(since).toLocaleString('pt-BR')}`;
+
+    // The dropped instance cannot deliver its own alert, so it goes out through the default one
+    const senderInstance = this.getDefaultInstance();
+
+    if (senderInstance !== instance) {
+      try {
+        await whatsappService.sendMessage(adminChatId, alert, senderInstance);
+        return;
+      } catch (error) {
+        logger.warn('Could not deliver connection alert', {
+          instance,
+          senderInstance,
+          error: error.message
+        });
+      }
+    }
+
+    logger.warn('Connection alert will be sent after reconnecting', { instance });
+    await redis.set(`${PENDING_ALERT_KEY_PREFIX}${instance}`, { statusReason, droppedAt: since });
+  }
+
+  // Deliver an alert that could not be sent while the session was down
+  async flushPendingAlert(instance) {
+    const pending = await redis.get(`${PENDING_ALERT_KEY_PREFIX}${instance}`);
+    const adminChatId = await instanceService.getAdminChatId(instance);
+    if (!pending || !adminChatId) {
+      return;
+    }
+
+    const alert = `⚠️ *Sessão do WhatsApp restabelecida*\n\n*Instância:* ${instance}\n*Caiu em:* ${new Date(pending.droppedAt).toLocaleString('pt-BR')}\n*Motivo:* ${this.describeReason(pending.statusReason)}\n*Voltou em:* ${new Date().toLocaleString('pt-BR')}`;
+
+    try {
+      await whatsappService.sendMessage(adminChatId, alert, instance);
+      await redis.del(`${PENDING_ALERT_KEY_PREFIX}${instance}`);
+    } catch (error) {
+      logger.warn('Could not deliver pending connection alert', {
+        instance,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ConnectionService();
@@ -0,0 +1,187 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+
+const UNKNOWN_NAME = 'Unknown';
+
+class ContactService {
+  // SQL expression resolving the display name of a message sender.
+  // Order: admin alias, WhatsApp push name, verified business name, name stored with the message, phone number.
+  displayNameSql(contactAlias = 'c', messageAlias = 'm') {
+    return `COALESCE(
+      NULLIF(${contactAlias}.alias, ''),
+      NULLIF(${contactAlias}.push_name, ''),
+      NULLIF(${contactAlias}.verified_name, ''),
+      NULLIF(NULLIF(${messageAlias}.sender_name, ''), '${UNKNOWN_NAME}'),
+      split_part(${messageAlias}.sender_id, '@', 1)
+    )`;
+  }
+
+  // Same resolution order as displayNameSql, for rows already loaded in memory
+  resolveDisplayName(contact, contactId, fallbackName = null) {
+    const candidates = [
+      contact?.alias,
+      contact?.push_name,
+      contact?.verified_name,
+      fallbackName !== UNKNOWN_NAME ? fallbackName : null
+    ];
+
+    return candidates.find(name => name && name.trim()) || String(contactId || '').split('@')[0];
+  }
+
+  // Normalize a contact from Evolution payloads (v1 uses id, v2 uses remoteJid)
+  normalizeContact(contact) {
+    return {
+      contactId: contact.remoteJid || contact.id || contact.jid,
+      pushName: contact.pushName || contact.notify || contact.name || null,
+      verifiedName: contact.verifiedName || null,
+      profilePictureUrl: contact.profilePicUrl || contact.profilePictureUrl || null
+    };
+  }
+
+  // Handle CONTACTS_UPSERT / CONTACTS_UPDATE webhook events
+  async handleContactsEvent(data) {
+    const contacts = Array.isArray(data) ? data : [data];
+    let saved = 0;
+
+    for (const contact of contacts) {
+      const normalized = this.normalizeContact(contact);
+
+      // Groups also show up in the contact list; only people are tracked here
+      if (!normalized.contactId || normalized.contactId.endsWith('@g.us')) {
+        continue;
+      }
+
+      await this.upsertContact(normalized);
+      saved++;
+    }
+
+    logger.info('Contacts updated from webhook', { received: contacts.length, saved });
+  }
+
+  // Insert or update a contact; empty values never overwrite known ones and the alias is never touched
+  async upsertContact({ contactId, pushName, verifiedName, profilePictureUrl }) {
+    try {
+      const query = `
+        INSERT INTO contacts (contact_id, push_name, verified_name, profile_picture_url)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (contact_id)
+        DO UPDATE SET
+          push_name = COALESCE(EXCLUDED.push_name, contacts.push_name),
+          verified_name = COALESCE(EXCLUDED.verified_name, contacts.verified_name),
+          profile_picture_url = COALESCE(EXCLUDED.profile_picture_url, contacts.profile_picture_url),
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [contactId, pushName, verifiedName, profilePictureUrl]);
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('UPSERT', 'contacts', 'error', {
+        contactId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Keep the push name seen on incoming messages; never fails the caller
+  async rememberPushName(contactId, pushName) {
+    if (!contactId || !pushName || pushName === UNKNOWN_NAME || contactId.endsWith('@g.us')) {
+      return;
+    }
+
+    try {
+      await this.upsertContact({ contactId, pushName });
+    } catch (error) {
+      logger.warn('Failed to remember contact push name', { contactId, error: error.message });
+    }
+  }
+
+  // Import the full contact list of an instance (default WHATSAPP_INSTANCE) from the Evolution API
+  async syncFromEvolution(instanceId = null) {
+    const response = await whatsappService.getContacts(instanceId);
+    const contacts = Array.isArray(response) ? response : (response?.contacts || []);
+
+    await this.handleContactsEvent(contacts);
+
+    return contacts.length;
+  }
+
+  // Set or clear (null) the admin-defined alias of a contact
+  async setAlias(contactId, alias) {
+    try {
+      const query = `
+        INSERT INTO contacts (contact_id, alias)
+        VALUES ($1, $2)
+        ON CONFLICT (contact_id)
+        DO UPDATE SET alias = EXCLUDED.alias, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [contactId, alias || null]);
+
+      logger.logDatabase('UPDATE', 'contacts', 'success', { contactId, alias });
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('UPDATE', 'contacts', 'error', {
+        contactId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Get a contact by JID
+  async getContact(contactId) {
+    const result = await database.query('SELECT * FROM contacts WHERE contact_id = $1', [contactId]);
+    return result.rows[0] || null;
+  }
+
+  // Resolve display names for a list of JIDs
+  async resolveNames(contactIds) {
+    const ids = [...new Set(contactIds.filter(Boolean))];
+    const names = new Map();
+
+    if (ids.length === 0) {
+      return names;
+    }
+
+    const result = await database.query('SELECT * FROM contacts WHERE contact_id = ANY($1)', [ids]);
+    const contactsById = new Map(result.rows.map(row => [row.contact_id, row]));
+
+    for (const id of ids) {
+      names.set(id, this.resolveDisplayName(contactsById.get(id), id));
+    }
+
+    return names;
+  }
+
+  // List contacts, optionally filtered by name or number
+  async listContacts({ search, limit = 50, offset = 0 } = {}) {
+    let query = 'SELECT * FROM contacts WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      query += ` AND (contact_id ILIKE $${paramIndex} OR alias ILIKE $${paramIndex} OR push_name ILIKE $${paramIndex} OR verified_name ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    query += ` ORDER BY COALESCE(alias, push_name, verified_name, contact_id) ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(limit, offset);
+
+    const result = await database.query(query, params);
+
+    return result.rows.map(contact => ({
+      ...contact,
+      display_name: this.resolveDisplayName(contact, contact.contact_id)
+    }));
+  }
+}
+
+module.exports = new ContactService();
@@ -1,5 +1,6 @@
 const database = require('../config/database');
 const aiService = require('./aiService');
+const contactService = require('./contactService');
 const logger = require('../utils/logger');
 
 const MESSAGE_HISTORY_LIMIT = 200;
@@ -15,10 +16,12 @@ async function summarizeConversation(chatId) {
 
     // 1. Buscar o histórico de mensagens
     const historyQuery = `
-      SELECT sender, content, created_at
-      FROM messages
-      WHERE chat_id = $1
-      ORDER BY created_at DESC
+      SELECT m.content, m.created_at, ${contactService.displayNameSql()} AS sender_display_name
+      FROM messages m
+      LEFT JOIN contacts c ON c.contact_id = m.sender_id
+      WHERE m.chat_id = $1
+      AND m.is_deleted = false
+      ORDER BY m.created_at DESC
       LIMIT $2
     `;
     const historyResult = await database.query(historyQuery, [chatId, MESSAGE_HISTORY_LIMIT]);
@@ -29,10 +32,9 @@ async function summarizeConversation(chatId) {
     }
 
     // Formata as mensagens para a IA
-    const formattedHistory = historyResult.rows.reverse().map(msg => {
-      const senderName = msg.sender.split('@')[0]; // Apenas o número
-      return `${senderName}: ${msg.content}`;
-    }).join('\n');
+    const formattedHistory = historyResult.rows.reverse().map(msg =>
+      `${msg.sender_display_name}: ${msg.content}`
+    ).join('\n');
 
     // 2. Chamar o serviço de IA para gerar o resumo
     const prompt = `
@@ -48,7 +50,7 @@ async function summarizeConversation(chatId) {
       Resumo dos Tópicos:
     `;
 
-    const summary = await aiService.generateTextResponse(prompt, { chatId });
+    const summary = await aiService.generateTextResponse(prompt, { chatId, task: 'conversation_analysis' });
     
     logger.info(`Resumo da conversa gerado com sucesso para o chatId: ${chatId}`);
 
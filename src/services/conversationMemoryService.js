@@ -0,0 +1,156 @@
+const database = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const aiService = require('./aiService');
+
+// Summary of the turns that no longer fit in the token budget; only a cache, rebuilt from messages when missing
+const SUMMARY_KEY_PREFIX = 'conversation_summary:';
+
+// Most recent messages read to rebuild a conversation
+const MAX_HISTORY_MESSAGES = 200;
+
+class ConversationMemoryService {
+  getTokenBudget() {
+    return parseInt(process.env.CONVERSATION_CONTEXT_TOKENS) || 3000;
+  }
+
+  getTtlSeconds() {
+    return (parseInt(process.env.CONVERSATION_MEMORY_TTL_HOURS) || 24) * 3600;
+  }
+
+  // Rough token count (about 4 characters per token for Portuguese text)
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  countTokens(turns) {
+    return turns.reduce((total, turn) => total + this.estimateTokens(turn.content), 0);
+  }
+
+  // When /novo (or support mode) last started the conversation over
+  async getResetAt(chatId) {
+    const result = await database.query('SELECT reset_at FROM conversation_resets WHERE chat_id = $1', [chatId]);
+    return result.rows[0]?.reset_at || null;
+  }
+
+  // Turns of the current conversation, oldest first, read from the chat's stored messages: the contact's
+  // messages (transcriptions and descriptions for media) and the replies sent from the instance.
+  // The conversation starts after the last reset or after a silence longer than CONVERSATION_MEMORY_TTL_HOURS.
+  async getTurns(chatId, before = {}) {
+    const resetAt = await this.getResetAt(chatId);
+
+    const result = await database.query(`
+      SELECT
+        m.message_id,
+        m.created_at,
+        CASE WHEN m.sender_id = m.instance_id THEN 'assistant' ELSE 'user' END AS role,
+        COALESCE(NULLIF(m.content, ''), pm.transcription, pm.description) AS content
+      FROM messages m
+      LEFT JOIN processed_media pm ON pm.message_id = m.message_id
+      WHERE m.chat_id = $1
+      AND m.is_deleted = false
+      AND ($2::timestamp IS NULL OR m.created_at > $2)
+      AND ($3::timestamp IS NULL OR m.created_at <= $3)
+      AND ($4::varchar IS NULL OR m.message_id <> $4)
+      ORDER BY m.created_at DESC
+      LIMIT $5
+    `, [chatId, resetAt, before.createdAt || null, before.messageId || null, MAX_HISTORY_MESSAGES]);
+
+    const idleGapMs = this.getTtlSeconds() * 1000;
+    const turns = [];
+    let newer = before.createdAt ? new Date(before.createdAt) : new Date();
+
+    for (const row of result.rows) {
+      const createdAt = new Date(row.created_at);
+      if (newer - createdAt > idleGapMs) {
+        break;
+      }
+      newer = createdAt;
+
+      // Commands are not part of the conversation
+      if (row.content && !(row.role === 'user' && row.content.trim().startsWith('/'))) {
+        turns.unshift({ role: row.role, content: row.content, at: createdAt, messageId: row.message_id });
+      }
+    }
+
+    return turns;
+  }
+
+  // Context for aiService.generateTextResponse: summary of older turns plus the recent ones within the budget.
+  // `message` is the one being answered; it is sent as the prompt, so it is left out of the history.
+  async buildContext(chatId, message = null) {
+    try {
+      const turns = await this.getTurns(chatId, {
+        messageId: message?.message_id,
+        createdAt: message?.created_at
+      });
+
+      const target = Math.floor(this.getTokenBudget() / 2);
+      if (this.countTokens(turns) <= this.getTokenBudget()) {
+        return { conversationSummary: null, history: this.toHistory(turns) };
+      }
+
+      // Keep the latest turns verbatim (at least the last exchange) and fold the older ones into the summary
+      let split = turns.length;
+      while (split > 0 && (turns.length - split < 2 || this.countTokens(turns.slice(split - 1)) <= target)) {
+        split--;
+      }
+
+      const recent = turns.slice(split);
+      const summary = await this.summarizeOlderTurns(chatId, turns.slice(0, split));
+
+      return { conversationSummary: summary, history: this.toHistory(recent) };
+
+    } catch (error) {
+      // Replies still go out without memory
+      logger.warn('Failed to build conversation context', { chatId, error: error.message });
+      return { conversationSummary: null, history: [] };
+    }
+  }
+
+  toHistory(turns) {
+    return turns.map(({ role, content }) => ({ role, content }));
+  }
+
+  // Summary of the older turns; the cached one is extended with the turns it does not cover yet
+  async summarizeOlderTurns(chatId, older) {
+    const cached = await redis.get(`${SUMMARY_KEY_PREFIX}${chatId}`);
+    const coveredUntil = cached ? new Date(cached.until) : null;
+    const pending = coveredUntil ? older.filter(turn => turn.at > coveredUntil) : older;
+
+    if (pending.length === 0) {
+      return cached?.summary || null;
+    }
+
+    try {
+      const summary = await aiService.summarizeConversationTurns(pending, cached?.summary || null, { chatId });
+
+      await redis.set(`${SUMMARY_KEY_PREFIX}${chatId}`, {
+        summary,
+        until: pending[pending.length - 1].at.toISOString()
+      }, this.getTtlSeconds());
+
+      logger.info('Conversation memory summarized', { chatId, summarizedTurns: pending.length });
+      return summary;
+
+    } catch (error) {
+      // Without a new summary the turns it would cover are left out this time
+      logger.warn('Failed to summarize conversation memory', { chatId, error: error.message });
+      return cached?.summary || null;
+    }
+  }
+
+  // Forget the conversation (/novo): only messages after now count as context
+  async clear(chatId) {
+    await database.query(`
+      INSERT INTO conversation_resets (chat_id, reset_at)
+      VALUES ($1, CURRENT_TIMESTAMP)
+      ON CONFLICT (chat_id) DO UPDATE SET reset_at = EXCLUDED.reset_at
+    `, [chatId]);
+    await redis.del(`${SUMMARY_KEY_PREFIX}${chatId}`);
+
+    logger.info('Conversation memory cleared', { chatId });
+  }
+}
+
+module.exports = new ConversationMemoryService();
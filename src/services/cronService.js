@@ -4,6 +4,12 @@ const database = require('../config/database');
 const redis = require('../config/redis');
 const queueService = require('./queueService');
 const evolutionService = require('./evolutionService');
+const supportSessionService = require('./supportSessionService');
+const summarySubscriptionService = require('./summarySubscriptionService');
+const businessHoursService = require('./businessHoursService');
+
+// Scheduled job names of summary subscriptions
+const SUBSCRIPTION_JOB_PREFIX = 'subscription:';
 
 class CronService {
   constructor() {
@@ -22,6 +28,9 @@ class CronService {
       // Clean old messages (daily at 3 AM)
       this.scheduleJob('cleanOldMessages', '0 3 * * *', this.cleanOldMessages.bind(this));
 
+      // Clean processed webhook events (daily at 3:30 AM)
+      this.scheduleJob('cleanOldWebhookEvents', '30 3 * * *', this.cleanOldWebhookEvents.bind(this));
+
       // Clean old summaries (weekly on Sunday at 4 AM)
       this.scheduleJob('cleanOldSummaries', '0 4 * * 0', this.cleanOldSummaries.bind(this));
 
@@ -34,15 +43,18 @@ class CronService {
       // Cache cleanup (every hour)
       this.scheduleJob('cacheCleanup', '0 * * * *', this.cleanupCache.bind(this));
 
-      // Generate daily summaries for active groups (daily at 6 AM)
-      this.scheduleJob('dailySummaries', '0 6 * * *', this.generateDailySummaries.bind(this));
-
       // Backup database (daily at 5 AM)
       this.scheduleJob('backupDatabase', '0 5 * * *', this.backupDatabase.bind(this));
 
       // Monitor system resources (every 10 minutes)
       this.scheduleJob('systemMonitor', '*/10 * * * *', this.monitorSystemResources.bind(this));
 
+      // End idle support sessions with a goodbye message (every minute)
+      this.scheduleJob('expireSupportSessions', '* * * * *', this.expireSupportSessions.bind(this));
+
+      // Hand staff what arrived outside business hours once the chats open (every 5 minutes)
+      this.scheduleJob('deliverAfterHoursQueue', '*/5 * * * *', this.deliverAfterHoursQueue.bind(this));
+
       // Cleanup temp files (every 2 hours)
       this.scheduleJob('cleanupTempFiles', '0 */2 * * *', this.cleanupTempFiles.bind(this));
 
@@ -57,6 +69,61 @@ class CronService {
     }
   }
 
+  // Schedule the active summary subscriptions and reschedule them whenever one changes
+  async startSubscriptionJobs() {
+    await this.scheduleSubscriptions();
+
+    await redis.subscribe(summarySubscriptionService.getChangesChannel(), () => {
+      this.scheduleSubscriptions().catch(error => {
+        logger.error('Failed to reload summary subscriptions:', error);
+      });
+    });
+  }
+
+  // Replace the subscription jobs with the ones currently active in the database
+  async scheduleSubscriptions() {
+    const subscriptions = await summarySubscriptionService.listSubscriptions({ activeOnly: true });
+
+    for (const name of Array.from(this.jobs.keys())) {
+      if (name.startsWith(SUBSCRIPTION_JOB_PREFIX)) {
+        this.unscheduleJob(name);
+      }
+    }
+
+    for (const subscription of subscriptions) {
+      try {
+        this.scheduleJob(
+          `${SUBSCRIPTION_JOB_PREFIX}${subscription.id}`,
+          subscription.cron_expression,
+          () => summarySubscriptionService.runSubscription(subscription.id)
+        );
+      } catch (error) {
+        // An invalid expression stored by hand should not keep the other subscriptions from running
+        logger.warn('Skipping summary subscription', {
+          subscriptionId: subscription.id,
+          schedule: subscription.cron_expression,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Summary subscriptions scheduled', { count: subscriptions.length });
+  }
+
+  // Stop and forget a scheduled job
+  unscheduleJob(name) {
+    const jobInfo = this.jobs.get(name);
+    if (!jobInfo) {
+      return false;
+    }
+
+    jobInfo.job.stop();
+    this.jobs.delete(name);
+    logger.debug(`Cron job unscheduled: ${name}`);
+
+    return true;
+  }
+
   // Schedule a cron job
   scheduleJob(name, schedule, task) {
     try {
@@ -149,6 +216,31 @@ class CronService {
     }
   }
 
+  // Clean processed webhook events (failed and pending ones are kept for replay)
+  async cleanOldWebhookEvents() {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - 7); // 7 days old
+
+      const query = `
+        DELETE FROM webhook_events 
+        WHERE created_at < $1 
+        AND processed = true
+      `;
+
+      const result = await database.query(query, [cutoffDate]);
+      
+      logger.info('Old webhook events cleaned', {
+        deletedCount: result.rowCount,
+        cutoffDate: cutoffDate.toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Failed to clean old webhook events:', error);
+      throw error;
+    }
+  }
+
   // Clean old summaries
   async cleanOldSummaries() {
     try {
@@ -280,63 +372,6 @@ class CronService {
     }
   }
 
-  // Generate daily summaries for active groups
-  async generateDailySummaries() {
-    try {
-      // Get active groups from last 24 hours
-      const query = `
-        SELECT DISTINCT chat_id 
-        FROM messages 
-        WHERE is_group = true 
-        AND created_at >= NOW() - INTERVAL '24 hours'
-        GROUP BY chat_id 
-        HAVING COUNT(*) >= 10
-      `;
-
-      const result = await database.query(query);
-      const activeGroups = result.rows;
-
-      logger.info('Generating daily summaries', {
-        groupCount: activeGroups.length
-      });
-
-      for (const group of activeGroups) {
-        try {
-          // Check if summary already exists for today
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-
-          const existingQuery = `
-            SELECT id FROM group_summaries 
-            WHERE chat_id = $1 
-            AND summary_period = '24h' 
-            AND start_date >= $2
-          `;
-
-          const existing = await database.query(existingQuery, [group.chat_id, today]);
-
-          if (existing.rows.length === 0) {
-            // Generate summary
-            await queueService.addSummaryJob({
-              chatId: group.chat_id,
-              period: '24h',
-              requesterId: 'system'
-            });
-          }
-
-        } catch (error) {
-          logger.warn('Failed to generate daily summary for group:', {
-            chatId: group.chat_id,
-            error: error.message
-          });
-        }
-      }
-
-    } catch (error) {
-      logger.error('Failed to generate daily summaries:', error);
-    }
-  }
-
   // Backup database
   async backupDatabase() {
     try {
@@ -405,6 +440,26 @@ class CronService {
     }
   }
 
+  // End support sessions idle past SUPPORT_SESSION_IDLE_MINUTES
+  async expireSupportSessions() {
+    try {
+      await supportSessionService.expireIdleSessions();
+    } catch (error) {
+      logger.error('Failed to expire support sessions:', error);
+      throw error;
+    }
+  }
+
+  // Send the admins the messages queued outside business hours
+  async deliverAfterHoursQueue() {
+    try {
+      await businessHoursService.deliverStaffQueue();
+    } catch (error) {
+      logger.error('Failed to deliver after-hours queue:', error);
+      throw error;
+    }
+  }
+
   // Cleanup temporary files
   async cleanupTempFiles() {
     try {
@@ -0,0 +1,108 @@
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+// chatId -> handoff; a hash keeps every replica looking at the same handoffs
+const HANDOFFS_KEY = 'handoffs';
+
+// Longest pause an operator can ask for (7 days)
+const MAX_HANDOFF_MINUTES = 7 * 24 * 60;
+
+// A handoff pauses the bot's automatic replies in a chat while an operator answers it.
+// It starts when an operator types on the phone (reason "manual"), with /assumir ("command")
+// or through the admin API ("api"), and ends with /liberar, the API or when it expires.
+class HandoffService {
+  getDefaultMinutes() {
+    return parseInt(process.env.HANDOFF_PAUSE_MINUTES) || 30;
+  }
+
+  getMaxMinutes() {
+    return MAX_HANDOFF_MINUTES;
+  }
+
+  isExpired(handoff, now = Date.now()) {
+    return now >= new Date(handoff.expiresAt).getTime();
+  }
+
+  // Pause a chat for `minutes`. An ongoing handoff is extended, never shortened.
+  async startHandoff(chatId, { instanceId = null, takenBy = null, reason = 'manual', minutes = null } = {}) {
+    const now = Date.now();
+    const duration = Math.min(minutes || this.getDefaultMinutes(), MAX_HANDOFF_MINUTES);
+    const current = await redis.hget(HANDOFFS_KEY, chatId);
+    const active = current && !this.isExpired(current, now) ? current : null;
+
+    const expiresAt = Math.max(now + duration * 60 * 1000, active ? new Date(active.expiresAt).getTime() : 0);
+    const handoff = {
+      chatId,
+      instanceId: instanceId || active?.instanceId || null,
+      takenBy: takenBy || active?.takenBy || null,
+      reason,
+      startedAt: active?.startedAt || new Date(now).toISOString(),
+      lastActivityAt: new Date(now).toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+
+    await redis.hset(HANDOFFS_KEY, chatId, handoff);
+
+    if (!active) {
+      logger.info('Chat handed off to an operator', { chatId, reason, takenBy: handoff.takenBy, expiresAt: handoff.expiresAt });
+    }
+
+    return handoff;
+  }
+
+  // Active handoff of a chat; an expired one is released on the spot
+  async getHandoff(chatId) {
+    const handoff = await redis.hget(HANDOFFS_KEY, chatId);
+    if (!handoff) {
+      return null;
+    }
+
+    if (this.isExpired(handoff)) {
+      await this.releaseHandoff(chatId, 'timeout');
+      return null;
+    }
+
+    return handoff;
+  }
+
+  async isPaused(chatId) {
+    return Boolean(await this.getHandoff(chatId));
+  }
+
+  // Give the chat back to the bot; returns the handoff that was removed
+  async releaseHandoff(chatId, reason = 'operator') {
+    const handoff = await redis.hget(HANDOFFS_KEY, chatId);
+    const removed = await redis.hdel(HANDOFFS_KEY, chatId);
+
+    if (!handoff || removed === 0) {
+      return null;
+    }
+
+    logger.info('Chat handed back to the bot', { chatId, reason, takenBy: handoff.takenBy });
+
+    return handoff;
+  }
+
+  // Every active handoff with the time left; expired ones are released along the way
+  async listHandoffs() {
+    const handoffs = Object.values(await redis.hgetall(HANDOFFS_KEY));
+    const now = Date.now();
+    const active = [];
+
+    for (const handoff of handoffs) {
+      if (this.isExpired(handoff, now)) {
+        await this.releaseHandoff(handoff.chatId, 'timeout');
+        continue;
+      }
+
+      active.push({
+        ...handoff,
+        remainingSeconds: Math.floor((new Date(handoff.expiresAt).getTime() - now) / 1000)
+      });
+    }
+
+    return active.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  }
+}
+
+module.exports = new HandoffService();
@@ -0,0 +1,183 @@
+const database = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+const CACHE_TTL_MS = 60 * 1000;
+const OWN_JID_KEY_PREFIX = 'instance_jid:';
+
+// Per-instance feature switches; anything not set in instances.settings is enabled
+const FEATURES = ['aiReplies', 'mediaProcessing', 'summaries', 'knowledgeCommands', 'supportMode'];
+
+class InstanceService {
+  constructor() {
+    this.instances = new Map(); // name -> registry row
+    this.loadedAt = 0;
+    this.ownJids = new Map(); // name -> JID of the connected number
+  }
+
+  getFeatures() {
+    return FEATURES;
+  }
+
+  getDefaultInstanceName() {
+    return process.env.WHATSAPP_INSTANCE || null;
+  }
+
+  // Instances that are not in the registry run with the global configuration
+  buildDefault(name) {
+    return {
+      name,
+      api_url: null,
+      api_key: null,
+      admin_chat_id: null,
+      settings: {},
+      business_hours: null,
+      is_active: true,
+      registered: false
+    };
+  }
+
+  // Reload the registry when the cached copy is stale
+  async loadInstances(force = false) {
+    if (!force && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+
+    try {
+      const result = await database.query('SELECT * FROM instances');
+
+      this.instances = new Map(result.rows.map(row => [row.name, { ...row, registered: true }]));
+      this.loadedAt = Date.now();
+
+    } catch (error) {
+      // Keep serving the previous copy; the default configuration still works without the registry
+      logger.logDatabase('SELECT', 'instances', 'error', {
+        error: error.message
+      });
+    }
+  }
+
+  // Resolve an instance by name, falling back to WHATSAPP_INSTANCE
+  async getInstance(name = null) {
+    const instanceName = name || this.getDefaultInstanceName();
+    await this.loadInstances();
+
+    return this.instances.get(instanceName) || this.buildDefault(instanceName);
+  }
+
+  // Admin chat of an instance, falling back to ADMIN_CHAT_ID
+  async getAdminChatId(name = null) {
+    const instance = await this.getInstance(name);
+    return instance.admin_chat_id || process.env.ADMIN_CHAT_ID || null;
+  }
+
+  async isFeatureEnabled(name, feature) {
+    const instance = await this.getInstance(name);
+    return instance.settings?.[feature] !== false;
+  }
+
+  // JID of the number connected to an instance, learned from the "sender" field of its webhooks
+  async getOwnJid(name = null) {
+    const instanceName = name || this.getDefaultInstanceName();
+
+    if (!this.ownJids.has(instanceName)) {
+      const jid = await redis.get(`${OWN_JID_KEY_PREFIX}${instanceName}`);
+      if (!jid) {
+        return null;
+      }
+      this.ownJids.set(instanceName, jid);
+    }
+
+    return this.ownJids.get(instanceName);
+  }
+
+  async rememberOwnJid(name, jid) {
+    if (!name || !jid || this.ownJids.get(name) === jid) {
+      return;
+    }
+
+    this.ownJids.set(name, jid);
+    await redis.set(`${OWN_JID_KEY_PREFIX}${name}`, jid);
+    logger.info('Learned the number connected to an instance', { instance: name, jid });
+  }
+
+  // Evolution API credentials of an instance, falling back to the global ones
+  getApiConfig(instance) {
+    return {
+      apiUrl: instance.api_url || process.env.EVOLUTION_API_URL || 'https://evolution.iaprojetos.com.br',
+      apiKey: instance.api_key || process.env.EVOLUTION_API_KEY
+    };
+  }
+
+  // Never expose API keys through the admin API
+  maskInstance(instance) {
+    if (!instance) {
+      return instance;
+    }
+
+    return {
+      ...instance,
+      api_key: instance.api_key ? `****${instance.api_key.slice(-4)}` : null
+    };
+  }
+
+  async listInstances() {
+    const result = await database.query('SELECT * FROM instances ORDER BY name ASC');
+    return result.rows;
+  }
+
+  // Create or update a registry entry; omitted fields keep their current value
+  // businessHours: undefined keeps the current hours, null removes them (always open)
+  async saveInstance(name, { apiUrl, apiKey, adminChatId, settings, businessHours, isActive } = {}) {
+    try {
+      const query = `
+        INSERT INTO instances (name, api_url, api_key, admin_chat_id, settings, is_active, business_hours)
+        VALUES ($1, $2, $3, $4, COALESCE($5, '{}'::jsonb), COALESCE($6, true), $7)
+        ON CONFLICT (name)
+        DO UPDATE SET
+          api_url = COALESCE($2, instances.api_url),
+          api_key = COALESCE($3, instances.api_key),
+          admin_chat_id = COALESCE($4, instances.admin_chat_id),
+          settings = instances.settings || COALESCE($5, '{}'::jsonb),
+          is_active = COALESCE($6, instances.is_active),
+          business_hours = CASE WHEN $8 THEN $7 ELSE instances.business_hours END,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const values = [
+        name,
+        apiUrl ?? null,
+        apiKey ?? null,
+        adminChatId ?? null,
+        settings ? JSON.stringify(settings) : null,
+        isActive ?? null,
+        businessHours ? JSON.stringify(businessHours) : null,
+        businessHours !== undefined
+      ];
+
+      const result = await database.query(query, values);
+      await this.loadInstances(true);
+
+      logger.logDatabase('UPSERT', 'instances', 'success', { name });
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('UPSERT', 'instances', 'error', {
+        name,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async deleteInstance(name) {
+    const result = await database.query('DELETE FROM instances WHERE name = $1 RETURNING *', [name]);
+    await this.loadInstances(true);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new InstanceService();
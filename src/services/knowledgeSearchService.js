@@ -1,6 +1,7 @@
 const fs = require('fs/promises');
 const path = require('path');
 const aiService = require('./aiService');
+const usageService = require('./usageService');
 const logger = require('../utils/logger');
 
 const KNOWLEDGE_BASE_DIR = path.join(__dirname, '..', 'data', 'knowledge-base');
@@ -50,9 +51,10 @@ function cosineSimilarity(vecA, vecB) {
  * Busca na base de conhecimento por textos similares a uma consulta.
  * @param {string} query A pergunta do usuário.
  * @param {string} category A categoria para filtrar a busca (ex: 'curso', 'projetos').
+ * @param {object} [context] Chat e remetente a quem o uso da IA é atribuído ({ chatId, senderId }).
  * @returns {Promise<Array<object>>} Uma lista dos resultados mais relevantes.
  */
-async function search(query, category) {
+async function search(query, category, context = {}) {
   const knowledgeBase = await getKnowledgeBase(category);
 
   if (knowledgeBase.length === 0) {
@@ -62,7 +64,7 @@ async function search(query, category) {
 
   try {
     // 1. Gerar embedding para a consulta do usuário
-    const queryEmbedding = await aiService.generateEmbedding(query);
+    const queryEmbedding = await aiService.generateEmbedding(query, context);
 
     // 2. Calcular a similaridade de cosseno
     const similarities = knowledgeBase.map(vector => ({
@@ -84,6 +86,10 @@ async function search(query, category) {
       category,
       error: error.message
     });
+    // Limite de gastos atingido: quem chamou avisa o usuário em vez de responder "nada encontrado"
+    if (usageService.isBudgetExceeded(error)) {
+      throw error;
+    }
     return [];
   }
 }
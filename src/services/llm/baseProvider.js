@@ -0,0 +1,68 @@
+// Interface every LLM provider implements. aiService picks a provider per task (see ./index.js)
+// and only talks to it through these methods:
+//
+// chat({ model, messages, maxTokens, temperature, presencePenalty, frequencyPenalty })
+//   -> { content, usage, model }                 messages use the OpenAI chat format
+// transcribe({ model, filePath, language })     -> { text, model }
+// describeImage({ model, imageUrl, prompt, maxTokens }) -> { content, usage, model }
+// embed({ model, input })                        -> { embedding, usage, model }
+//
+// usage is { promptTokens, completionTokens, totalTokens } (null when the backend does not report it).
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Model used for a task when LLM_<TASK>_MODEL is not set
+  getDefaultModel() {
+    return null;
+  }
+
+  async chat() {
+    throw this.unsupported('chat');
+  }
+
+  async transcribe() {
+    throw this.unsupported('transcription');
+  }
+
+  // Vision through a multimodal chat message, as OpenAI-style backends accept it
+  async describeImage({ model, imageUrl, prompt, maxTokens }) {
+    return this.chat({
+      model,
+      maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: imageUrl, detail: 'high' } }
+          ]
+        }
+      ]
+    });
+  }
+
+  async embed() {
+    throw this.unsupported('embedding');
+  }
+
+  unsupported(operation) {
+    return new Error(`The ${this.name} LLM provider does not support ${operation}`);
+  }
+
+  // OpenAI-style usage object -> { promptTokens, completionTokens, totalTokens }
+  normalizeUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      promptTokens: usage.prompt_tokens ?? 0,
+      completionTokens: usage.completion_tokens ?? 0,
+      totalTokens: usage.total_tokens ?? (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0)
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,64 @@
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+// What aiService asks the providers for; each task picks its provider with LLM_<TASK>_PROVIDER
+// (falling back to LLM_PROVIDER) and its model with LLM_<TASK>_MODEL (falling back to the provider's default)
+const TASKS = ['chat', 'intent', 'transcription', 'vision', 'embedding'];
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  compatible: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+class LLMProviders {
+  constructor() {
+    this.instances = new Map(); // provider name -> instance
+  }
+
+  getTasks() {
+    return TASKS;
+  }
+
+  getProviderNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  getProviderName(task) {
+    return (process.env[`LLM_${task.toUpperCase()}_PROVIDER`] || process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  }
+
+  // Provider configured for a task; providers are shared between the tasks that use them
+  getProvider(task) {
+    if (!TASKS.includes(task)) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const name = this.getProviderName(task);
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider "${name}" for ${task} (expected one of: ${this.getProviderNames().join(', ')})`);
+    }
+
+    if (!this.instances.has(name)) {
+      this.instances.set(name, new Provider());
+    }
+
+    return this.instances.get(name);
+  }
+
+  getModel(task) {
+    return process.env[`LLM_${task.toUpperCase()}_MODEL`] || this.getProvider(task).getDefaultModel(task);
+  }
+
+  // { task: { provider, model } } as currently configured, for logs and health output
+  describe() {
+    return Object.fromEntries(TASKS.map(task => [task, { provider: this.getProviderName(task), model: this.getModel(task) }]));
+  }
+}
+
+module.exports = new LLMProviders();
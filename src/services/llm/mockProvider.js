@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const path = require('path');
+const BaseProvider = require('./baseProvider');
+const { SUMMARY_JSON_FORMAT } = require('../../utils/structuredSummary');
+
+// Reply to the structured group summary prompt, unless LLM_MOCK_JSON_RESPONSE is set
+const MOCK_SUMMARY_RESPONSE = JSON.stringify({
+  overview: '[mock] resumo das conversas',
+  topics: [],
+  decisions: [],
+  openQuestions: [],
+  actionItems: [],
+  dates: [],
+  links: []
+});
+
+// The summary intent classifier asks for this key; the mock answers it by keyword
+const INTENT_RESPONSE_KEY = '"summaryRequest"';
+const SUMMARY_KEYWORDS = /\b(resumo|resume|resumir|resuma|summary|summarize)\b/i;
+
+// Deterministic answers without any network call, for offline runs and tests.
+// Chat replies are LLM_MOCK_RESPONSE when set, otherwise an echo of the last user message. Prompts that expect
+// JSON get it: the structured group summary prompt an empty valid summary (or LLM_MOCK_JSON_RESPONSE) and the
+// summary intent classifier a request whenever the message names a summary.
+// Embeddings are unit vectors derived from a hash of the input, so equal texts get equal vectors.
+class MockProvider extends BaseProvider {
+  constructor() {
+    super('mock');
+  }
+
+  getDefaultModel() {
+    return 'mock';
+  }
+
+  // Rough count (about 4 characters per token) so usage figures look like real ones
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  getText(content) {
+    return Array.isArray(content)
+      ? content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+      : String(content || '');
+  }
+
+  // JSON reply for the prompts that expect one, or null
+  getJsonReply(messages, lastUserText) {
+    const texts = messages.map(message => this.getText(message.content));
+
+    if (texts.some(text => text.includes(SUMMARY_JSON_FORMAT))) {
+      return process.env.LLM_MOCK_JSON_RESPONSE || MOCK_SUMMARY_RESPONSE;
+    }
+
+    if (texts.some(text => text.includes(INTENT_RESPONSE_KEY))) {
+      const summaryRequest = SUMMARY_KEYWORDS.test(lastUserText);
+      return JSON.stringify({ summaryRequest, confidence: summaryRequest ? 0.9 : 0.1 });
+    }
+
+    return null;
+  }
+
+  async chat({ model, messages }) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const lastUserText = this.getText(lastUser?.content).trim();
+    const content = this.getJsonReply(messages, lastUserText)
+      || process.env.LLM_MOCK_RESPONSE
+      || `[mock] ${lastUserText.substring(0, 200)}`;
+
+    const promptTokens = messages.reduce((total, message) => total + this.estimateTokens(this.getText(message.content)), 0);
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      model
+    };
+  }
+
+  async transcribe({ model, filePath }) {
+    return { text: `[mock] transcrição de ${path.basename(filePath)}`, model };
+  }
+
+  async describeImage({ model, prompt }) {
+    const content = '[mock] descrição da imagem';
+    const promptTokens = this.estimateTokens(prompt);
+    const completionTokens = this.estimateTokens(content);
+
+    return {
+      content,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+      model
+    };
+  }
+
+  async embed({ model, input }) {
+    const dimensions = parseInt(process.env.LLM_MOCK_EMBEDDING_DIMENSIONS) || 1536;
+    const values = [];
+    let block = Buffer.alloc(0);
+
+    for (let counter = 0; values.length < dimensions; counter++) {
+      block = crypto.createHash('sha256').update(`${counter}:${input}`).digest();
+      for (let offset = 0; offset < block.length && values.length < dimensions; offset += 4) {
+        values.push(block.readInt32LE(offset) / 0x7fffffff);
+      }
+    }
+
+    const norm = Math.sqrt(values.reduce((total, value) => total + value * value, 0)) || 1;
+    const tokens = this.estimateTokens(input);
+
+    return {
+      embedding: values.map(value => value / norm),
+      usage: { promptTokens: tokens, completionTokens: 0, totalTokens: tokens },
+      model
+    };
+  }
+}
+
+module.exports = MockProvider;
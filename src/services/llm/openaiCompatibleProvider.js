@@ -0,0 +1,82 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Any server speaking the OpenAI HTTP API: Ollama (http://localhost:11434/v1), llama.cpp server,
+// vLLM, LocalAI... Configured with LLM_COMPATIBLE_BASE_URL and, when the server needs one, LLM_COMPATIBLE_API_KEY.
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor() {
+    super('compatible');
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = axios.create({
+        baseURL: (process.env.LLM_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+        headers: process.env.LLM_COMPATIBLE_API_KEY
+          ? { Authorization: `Bearer ${process.env.LLM_COMPATIBLE_API_KEY}` }
+          : {},
+        timeout: parseInt(process.env.LLM_COMPATIBLE_TIMEOUT_MS) || 120000
+      });
+    }
+
+    return this.client;
+  }
+
+  getDefaultModel(task) {
+    switch (task) {
+      case 'transcription':
+        return process.env.LLM_COMPATIBLE_TRANSCRIPTION_MODEL || 'whisper-1';
+      case 'embedding':
+        return process.env.LLM_COMPATIBLE_EMBEDDING_MODEL || 'nomic-embed-text';
+      default:
+        return process.env.LLM_COMPATIBLE_MODEL || 'llama3.1';
+    }
+  }
+
+  async chat({ model, messages, maxTokens, temperature, presencePenalty, frequencyPenalty }) {
+    const { data } = await this.getClient().post('/chat/completions', {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      presence_penalty: presencePenalty,
+      frequency_penalty: frequencyPenalty,
+      stream: false
+    });
+
+    return {
+      content: data.choices?.[0]?.message?.content || null,
+      usage: this.normalizeUsage(data.usage),
+      model: data.model || model
+    };
+  }
+
+  async transcribe({ model, filePath, language }) {
+    const form = new FormData();
+    form.append('file', new Blob([await fs.readFile(filePath)]), path.basename(filePath));
+    form.append('model', model);
+    form.append('response_format', 'json');
+    if (language) {
+      form.append('language', language);
+    }
+
+    const { data } = await this.getClient().post('/audio/transcriptions', form);
+
+    return { text: typeof data === 'string' ? data : data.text, model };
+  }
+
+  async embed({ model, input }) {
+    const { data } = await this.getClient().post('/embeddings', { model, input });
+
+    return {
+      embedding: data.data?.[0]?.embedding || null,
+      usage: this.normalizeUsage(data.usage),
+      model: data.model || model
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+
+// OpenAI through the official SDK; models default to the OPENAI_* / WHISPER_* variables
+class OpenAIProvider extends BaseProvider {
+  constructor() {
+    super('openai');
+    this.client = null;
+  }
+
+  // Created on first use so offline setups (mock or local providers) need no OpenAI key
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+
+    return this.client;
+  }
+
+  getDefaultModel(task) {
+    switch (task) {
+      case 'intent':
+        return process.env.OPENAI_INTENT_MODEL || process.env.OPENAI_MODEL || 'gpt-4';
+      case 'transcription':
+        return process.env.WHISPER_MODEL || 'whisper-1';
+      case 'vision':
+        return process.env.OPENAI_VISION_MODEL || 'gpt-4-vision-preview';
+      case 'embedding':
+        return process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+      default:
+        return process.env.OPENAI_MODEL || 'gpt-4';
+    }
+  }
+
+  async chat({ model, messages, maxTokens, temperature, presencePenalty, frequencyPenalty }) {
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      presence_penalty: presencePenalty,
+      frequency_penalty: frequencyPenalty
+    });
+
+    return {
+      content: response.choices[0]?.message?.content || null,
+      usage: this.normalizeUsage(response.usage),
+      model: response.model || model
+    };
+  }
+
+  async transcribe({ model, filePath, language }) {
+    const text = await this.getClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model,
+      language,
+      response_format: 'text'
+    });
+
+    return { text, model };
+  }
+
+  async embed({ model, input }) {
+    const response = await this.getClient().embeddings.create({
+      model,
+      input,
+      encoding_format: 'float'
+    });
+
+    return {
+      embedding: response.data[0]?.embedding || null,
+      usage: this.normalizeUsage(response.usage),
+      model: response.model || model
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
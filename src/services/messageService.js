@@ -1,41 +1,257 @@
 const database = require('../config/database');
 const redis = require('../config/redis');
 const logger = require('../utils/logger');
+const { parseMessageContent, unwrapMessage } = require('../utils/messageParser');
+const { renderSummary } = require('../utils/structuredSummary');
+const { parseSummaryPeriod, mentionsDates, getSummaryCacheKey, resolveSummaryPeriod, isWithinMaxWindow, getWindowHours, MAX_SUMMARY_WINDOW_DAYS } = require('../utils/summaryPeriod');
 const aiService = require('./aiService');
 const queueService = require('./queueService');
 const whatsappService = require('./whatsappService');
 const conversationAnalysisService = require('./conversationAnalysisService');
 const knowledgeSearchService = require('./knowledgeSearchService');
 const summaryService = require('./summaryService');
+const participantService = require('./participantService');
+const contactService = require('./contactService');
+const reactionService = require('./reactionService');
+const instanceService = require('./instanceService');
+const commandRegistry = require('./commandRegistry');
+const roleService = require('./roleService');
+const supportSessionService = require('./supportSessionService');
+const conversationMemoryService = require('./conversationMemoryService');
+const chatSettingsService = require('./chatSettingsService');
+const summaryIntentService = require('./summaryIntentService');
+const summarySubscriptionService = require('./summarySubscriptionService');
+const handoffService = require('./handoffService');
+const businessHoursService = require('./businessHoursService');
+const usageService = require('./usageService');
 const { AppError } = require('../middleware/errorHandler');
 const fs = require('fs/promises');
 const path = require('path');
 
+// Baileys protocol message types (numeric or string, depending on the serializer)
+const PROTOCOL_REVOKE_TYPES = [0, 'REVOKE'];
+const PROTOCOL_EDIT_TYPES = [14, 'MESSAGE_EDIT'];
+const REVOKE_STUB_TYPES = [1, 'REVOKE'];
+
+const SUMMARY_PERIOD_USAGE = 'Período não reconhecido. Exemplos: /resumo 6h, /resumo 3d, /resumo ontem, /resumo desde segunda, /resumo 2026-10-01 2026-10-05';
+
 class MessageService {
   constructor() {
     this.processingQueue = new Map();
-    this.activeSupportChats = new Map(); // chatId -> category
+    this.registerCommands();
+  }
+
+  // Commands available in chats; /ajuda lists them from these definitions
+  registerCommands() {
+    commandRegistry.register({
+      name: 'ajuda',
+      aliases: ['help', 'comandos'],
+      description: 'Lista os comandos disponíveis nesta conversa.',
+      handler: async (message) => {
+        await this.sendResponse(message.chat_id, await commandRegistry.buildHelp(message), message.instance_id);
+      }
+    });
+
+    commandRegistry.register({
+      name: 'resumo',
+      description: 'Solicita um resumo do grupo (enviado aos administradores). Período padrão: 24h; aceita 6h, 3d, hoje, ontem, desde segunda ou datas AAAA-MM-DD.',
+      args: [{ name: 'periodo', rest: true }],
+      chatTypes: ['group'],
+      role: 'moderator',
+      feature: 'summaries',
+      handler: (message, { args }) => this.handleSummaryCommand(message, args.periodo)
+    });
+
+    commandRegistry.register({
+      name: 'assinar',
+      description: 'Agenda resumos automáticos deste grupo, ex.: /assinar 08:00 24h 10 grupo,admins (horário ou cron entre aspas, período, mínimo de mensagens e destinos: grupo, admins ou números). Sem argumentos, lista as assinaturas.',
+      args: [{ name: 'agenda', rest: true }],
+      chatTypes: ['group'],
+      role: 'admin',
+      feature: 'summaries',
+      handler: (message, { args }) => this.handleSubscribeCommand(message, args.agenda)
+    });
+
+    commandRegistry.register({
+      name: 'desassinar',
+      description: 'Cancela uma assinatura de resumos deste grupo.',
+      args: [{ name: 'id', required: true }],
+      chatTypes: ['group'],
+      role: 'admin',
+      feature: 'summaries',
+      handler: (message, { args }) => this.handleUnsubscribeCommand(message, args.id)
+    });
+
+    commandRegistry.register({
+      name: 'historico',
+      aliases: ['histórico'],
+      description: 'Envia aos administradores um relatório dos tópicos desta conversa.',
+      chatTypes: ['individual'],
+      role: 'admin',
+      handler: (message) => this.handleHistoryCommand(message)
+    });
+
+    const knowledgeCommands = {
+      curso: 'Busca na base de conhecimento do curso.',
+      projetos: 'Busca na base de conhecimento de projetos.',
+      orientacoes: 'Busca na base de conhecimento de orientações.'
+    };
+
+    for (const [category, description] of Object.entries(knowledgeCommands)) {
+      commandRegistry.register({
+        name: category,
+        aliases: category === 'orientacoes' ? ['orientações'] : [],
+        description,
+        args: [{ name: 'consulta', required: true, rest: true }],
+        chatTypes: ['individual'],
+        role: 'moderator',
+        feature: 'knowledgeCommands',
+        handler: (message, { args }) => this.handleKnowledgeCommand(category, args.consulta, message)
+      });
+    }
+
+    commandRegistry.register({
+      name: 'base',
+      description: 'Cria ou recupera a base de conhecimento desta conversa.',
+      chatTypes: ['individual'],
+      role: 'admin',
+      handler: (message) => this.handleBaseCommand(message)
+    });
+
+    commandRegistry.register({
+      name: 'apoioaluno',
+      prefix: '//',
+      description: "Ativa o modo de apoio ao aluno. Para sair, digite 'obrigado'.",
+      chatTypes: ['individual'],
+      feature: 'supportMode',
+      handler: (message) => this.activateSupportMode(message.chat_id, 'curso', message.instance_id)
+    });
+
+    commandRegistry.register({
+      name: 'novo',
+      description: 'Inicia uma nova conversa, esquecendo o contexto das mensagens anteriores.',
+      chatTypes: ['individual'],
+      handler: (message) => this.handleNewConversationCommand(message)
+    });
+
+    commandRegistry.register({
+      name: 'assumir',
+      description: 'Pausa as respostas automáticas para um atendente responder (nesta conversa ou na do contato informado). Padrão: HANDOFF_PAUSE_MINUTES.',
+      args: [{ name: 'contato' }, { name: 'minutos' }],
+      role: 'moderator',
+      handler: (message, { args }) => this.handleTakeOverCommand(message, [args.contato, args.minutos].filter(Boolean))
+    });
+
+    commandRegistry.register({
+      name: 'liberar',
+      description: 'Devolve a conversa (esta ou a do contato informado) ao bot.',
+      args: [{ name: 'contato' }],
+      role: 'moderator',
+      handler: (message, { args }) => this.handleReleaseCommand(message, args.contato)
+    });
+
+    commandRegistry.register({
+      name: 'config',
+      aliases: ['configuracoes', 'configurações'],
+      description: 'Mostra ou altera as configurações do bot nesta conversa (/config reset volta ao padrão).',
+      args: [{ name: 'chave' }, { name: 'valor', rest: true }],
+      role: 'admin',
+      handler: (message, { args }) => this.handleConfigCommand(message, args.chave, args.valor)
+    });
+
+    commandRegistry.register({
+      name: 'papel',
+      aliases: ['promover'],
+      description: `Define o papel de um contato (${roleService.getRoles().join(', ')}).`,
+      args: [{ name: 'contato', required: true }, { name: 'papel', required: true }],
+      role: 'admin',
+      handler: (message, { args }) => this.handleGrantRoleCommand(message, args.contato, args.papel)
+    });
+
+    commandRegistry.register({
+      name: 'revogar',
+      description: 'Remove o papel de um contato, que volta a ser member.',
+      args: [{ name: 'contato', required: true }],
+      role: 'admin',
+      handler: (message, { args }) => this.handleRevokeRoleCommand(message, args.contato)
+    });
+
+    commandRegistry.register({
+      name: 'papeis',
+      aliases: ['papéis'],
+      description: 'Lista os contatos com papel atribuído.',
+      role: 'admin',
+      handler: (message) => this.handleListRolesCommand(message)
+    });
+  }
+
+  // Route a command through the registry; returns true when the message was a command
+  async dispatchCommand(message) {
+    const handled = await commandRegistry.dispatch(message, reply => this.replyToCommand(message, reply));
+
+    if (handled) {
+      await this.markMessageProcessed(message.message_id);
+    }
+
+    return handled;
+  }
+
+  // Answer a command in its chat. Commands typed from the instance's own number (an operator on the
+  // phone, usually in a customer's chat) are answered in the instance admin chat, or not at all.
+  async replyToCommand(message, text) {
+    if (message.sender_id !== message.instance_id) {
+      await this.sendResponse(message.chat_id, text, message.instance_id);
+      return;
+    }
+
+    const adminChatId = await instanceService.getAdminChatId(message.instance_id);
+    if (!adminChatId) {
+      logger.debug('No admin chat for the reply to an operator command', { chatId: message.chat_id });
+      return;
+    }
+
+    await this.sendResponse(adminChatId, text, message.instance_id);
   }
 
   // Process incoming message from webhook
   async processIncomingMessage(message, instance) {
     try {
+      // Edits and revocations may also arrive as upserts carrying a protocol message
+      const protocolMessage = this.getProtocolMessage(message.message);
+      if (protocolMessage) {
+        await this.applyMessageChange(this.parseProtocolMessage(protocolMessage, message.key?.id));
+        return;
+      }
+
       const messageData = this.extractMessageData(message, instance);
+
+      // Reactions belong to the message they target instead of becoming rows of their own
+      if (messageData.messageType === 'reaction') {
+        await reactionService.handleReaction(messageData);
+        return;
+      }
       
-      // Check if message already exists
+      // Skip messages already handled; a row left unprocessed by a failed attempt goes through the flow again
       const existingMessage = await this.getMessageById(messageData.messageId);
-      if (existingMessage) {
+      if (existingMessage?.processed) {
         logger.debug('Message already processed', { messageId: messageData.messageId });
         return;
       }
 
-      // Save message to database
-      const savedMessage = await this.saveMessage(messageData);
+      // Save message to database (a replay reuses the row stored by the failed attempt)
+      const savedMessage = existingMessage || await this.saveMessage(messageData);
+
+      // Feed the contacts directory with the sender's current push name
+      if (!messageData.fromMe) {
+        await contactService.rememberPushName(messageData.senderId, messageData.senderName);
+      }
       
       // Determine if it's a group or individual chat
       const isGroup = messageData.chatId.includes('@g.us');
       
-      if (isGroup) {
+      if (messageData.fromMe) {
+        await this.processOwnMessage(savedMessage, isGroup);
+      } else if (isGroup) {
         await this.processGroupMessage(savedMessage);
       } else {
         await this.processIndividualMessage(savedMessage);
@@ -62,44 +278,7 @@ class MessageService {
   // Extract message data from EvolutionAPI format
   extractMessageData(message, instance) {
     const key = message.key || {};
-    const messageInfo = message.message || {};
-    
-    // Determine message type and content
-    let messageType = 'text';
-    let content = '';
-    let mediaUrl = null;
-    let mediaType = null;
-
-    if (messageInfo.conversation) {
-      messageType = 'text';
-      content = messageInfo.conversation;
-    } else if (messageInfo.extendedTextMessage) {
-      messageType = 'text';
-      content = messageInfo.extendedTextMessage.text;
-    } else if (messageInfo.imageMessage) {
-      messageType = 'image';
-      content = messageInfo.imageMessage.caption || '';
-      mediaUrl = messageInfo.imageMessage.url;
-      mediaType = 'image';
-    } else if (messageInfo.videoMessage) {
-      messageType = 'video';
-      content = messageInfo.videoMessage.caption || '';
-      mediaUrl = messageInfo.videoMessage.url;
-      mediaType = 'video';
-    } else if (messageInfo.audioMessage) {
-      messageType = 'audio';
-      mediaUrl = messageInfo.audioMessage.url;
-      mediaType = 'audio';
-    } else if (messageInfo.documentMessage) {
-      messageType = 'document';
-      content = messageInfo.documentMessage.caption || '';
-      mediaUrl = messageInfo.documentMessage.url;
-      mediaType = 'document';
-    } else if (messageInfo.stickerMessage) {
-      messageType = 'sticker';
-      mediaUrl = messageInfo.stickerMessage.url;
-      mediaType = 'sticker';
-    }
+    const { messageType, content, mediaUrl, mediaType, payload, quoted } = parseMessageContent(message.message);
 
     return {
       messageId: key.id,
@@ -110,6 +289,9 @@ class MessageService {
       content,
       mediaUrl,
       mediaType,
+      payload,
+      quotedMessageId: quoted?.messageId || null,
+      quotedParticipant: quoted?.participant || null,
       fromMe: key.fromMe || false,
       timestamp: message.messageTimestamp || Date.now(),
       instanceId: instance,
@@ -123,8 +305,9 @@ class MessageService {
         INSERT INTO messages (
           message_id, chat_id, sender_id, sender_name, 
           message_type, content, media_url, media_type, 
-          is_group, created_at, instance_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          is_group, created_at, instance_id, payload,
+          quoted_message_id, quoted_participant
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING *
       `;
 
@@ -140,6 +323,9 @@ class MessageService {
         messageData.chatId.includes('@g.us'),
         new Date(messageData.timestamp * 1000),
         messageData.instanceId,
+        JSON.stringify(messageData.payload || {}),
+        messageData.quotedMessageId,
+        messageData.quotedParticipant,
       ];
 
       const result = await database.query(query, values);
@@ -158,67 +344,115 @@ class MessageService {
     }
   }
 
+  // Messages sent from the instance's own number: the bot's replies echoed back by the webhook,
+  // or an operator answering from the phone, which pauses the bot in that chat
+  async processOwnMessage(message, isGroup) {
+    try {
+      if (isGroup) {
+        await this.storeGroupMessage(message);
+      }
+
+      if (await whatsappService.isSentByBot(message.message_id, message.chat_id, message.content)) {
+        await this.markMessageProcessed(message.message_id);
+        return;
+      }
+
+      // Operators can type /assumir and /liberar right in the chat
+      if (await this.dispatchCommand(message)) {
+        return;
+      }
+
+      await handoffService.startHandoff(message.chat_id, {
+        instanceId: message.instance_id,
+        takenBy: message.instance_id,
+        reason: 'manual'
+      });
+
+      await this.markMessageProcessed(message.message_id);
+
+    } catch (error) {
+      logger.logMessageProcessing(message.message_id, 'process_own', 'error', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   // Process individual chat message
   async processIndividualMessage(message) {
     try {
       const content = (message.content || '').trim();
       const lowerContent = content.toLowerCase();
       const chatId = message.chat_id;
+      const instanceId = message.instance_id;
+      const settings = await chatSettingsService.getSettings(chatId);
 
-      // Check if chat is in an active support mode
-      if (this.activeSupportChats.has(chatId)) {
-        if (lowerContent.replace(/\s+/g, '') === 'obrigado') {
-          await this.deactivateSupportMode(chatId);
-        } else {
-          await this.handleSupportQuery(message, this.activeSupportChats.get(chatId));
+      // While an operator handles the chat the bot only answers commands
+      if (await handoffService.isPaused(chatId)) {
+        if (!(await this.dispatchCommand(message))) {
+          await this.markMessageProcessed(message.message_id);
         }
-        return; // Message handled by support mode logic
+        return;
       }
 
-      // Handle commands first
-      if (content && (content.startsWith('//') || content.startsWith('/'))) {
-        const commandPrefix = content.startsWith('//') ? '//' : '/';
-        const commandBody = content.substring(commandPrefix.length);
-        const [command, ...args] = commandBody.split(' ');
-        const query = args.join(' ');
+      const businessHours = await businessHoursService.getBusinessHours(settings, instanceId);
+      const isOpen = businessHoursService.isOpen(businessHours);
 
-        console.log('🎯 COMANDO DETECTADO:', { command, query, chatId });
+      // Check if chat is in an active support mode (explicitly requested, so it ignores autoReply)
+      const supportSession = await supportSessionService.getSession(chatId);
+      if (supportSession && lowerContent.replace(/\s+/g, '') === 'obrigado') {
+        await this.deactivateSupportMode(chatId);
+        await this.markMessageProcessed(message.message_id);
+        return;
+      }
 
-        if (commandPrefix === '//' && command === 'apoioaluno') {
-          await this.activateSupportMode(chatId, 'curso');
-          return;
+      // A session ended meanwhile (timeout or admin) is not revived; the message then takes the normal path
+      if (supportSession && await supportSessionService.touchSession(supportSession)) {
+        if (businessHoursService.shouldQueue(businessHours, 'supportMode')) {
+          // Outside business hours the question waits for staff
+          await businessHoursService.queueForStaff(message, 'supportMode', businessHours);
+          await businessHoursService.sendAwayMessageOnce(chatId, businessHours, instanceId);
+          await this.markMessageProcessed(message.message_id);
+        } else {
+          await this.handleSupportQuery(message, supportSession.category, settings);
         }
+        return; // Message handled by support mode logic
+      }
 
-        if (command === 'historico') {
-          await this.handleHistoryCommand(message);
-          return;
-        }
+      // Handle commands first
+      if (await this.dispatchCommand(message)) {
+        return;
+      }
 
-        if (['curso', 'projetos', 'orientacoes'].includes(command)) {
-          console.log('✅ PROCESSANDO COMANDO DE CONHECIMENTO:', command);
-          await this.handleKnowledgeCommand(command, query, message);
-          return;
-        }
+      if (!isOpen) {
+        await businessHoursService.sendAwayMessageOnce(chatId, businessHours, instanceId);
 
-        if (command === 'base') {
-          await this.handleBaseCommand(message);
+        if (businessHoursService.shouldQueue(businessHours, 'aiReplies')) {
+          await businessHoursService.queueForStaff(message, 'aiReplies', businessHours);
+          await this.markMessageProcessed(message.message_id);
           return;
         }
       }
 
       // Check if message has media that needs processing
-      console.log('🔍 VERIFICANDO MÍDIA:', {
+      logger.debug('Checking message for media', {
+        messageId: message.message_id,
         hasMediaUrl: !!message.media_url,
         mediaType: message.media_type,
         messageType: message.message_type
       });
       
-      if (message.media_url && message.media_type === 'audio') {
-        console.log('✅ ENFILEIRANDO ÁUDIO PARA TRANSCRIÇÃO');
-        await this.queueMediaProcessing(message);
-      } else if (content && message.message_type === 'text') {
+      if (message.media_url && ['audio', 'image', 'document'].includes(message.media_type)) {
+        if (await instanceService.isFeatureEnabled(instanceId, 'mediaProcessing')
+          && chatSettingsService.isMediaProcessingEnabled(settings, message.media_type)) {
+          logger.debug('Queueing media for processing', { messageId: message.message_id, mediaType: message.media_type });
+          await this.queueMediaProcessing(message);
+        }
+      } else if (content && message.message_type === 'text'
+        && await instanceService.isFeatureEnabled(instanceId, 'aiReplies')
+        && chatSettingsService.canAutoReply(settings)) {
         // Process text message
-        await this.processTextMessage(message);
+        await this.processTextMessage(message, settings);
       }
 
       // Mark message as processed
@@ -235,15 +469,25 @@ class MessageService {
   // Process group message
   async processGroupMessage(message) {
     try {
+      // Make sure the group's participant list is known (no-op after the first message)
+      await participantService.ensureGroupSeeded(message.chat_id, message.instance_id);
+
       // Handle commands first
-      if (message.content && message.content.trim() === '/resumo') {
-        await this.handleSummaryCommand(message);
-        return; // Command handled
+      if (await this.dispatchCommand(message)) {
+        return;
       }
 
-      // Check for summary requests
-      if (message.content && this.isSummaryRequest(message.content)) {
+      const summariesEnabled = await instanceService.isFeatureEnabled(message.instance_id, 'summaries');
+      const settings = await chatSettingsService.getSettings(message.chat_id);
+
+      // Check for summary requests (how they are recognised is configured per group);
+      // not while an operator handles the group
+      if (summariesEnabled && chatSettingsService.canAutoReply(settings)
+        && !(await handoffService.isPaused(message.chat_id))
+        && (await summaryIntentService.detectSummaryRequest(message, settings)).isRequest) {
+        // handleSummaryRequest answers failures itself, so a replay would only repeat the request
         await this.handleSummaryRequest(message);
+        await this.markMessageProcessed(message.message_id);
         return;
       }
 
@@ -267,9 +511,11 @@ class MessageService {
       const jobData = {
         messageId: message.message_id,
         chatId: message.chat_id,
+        senderId: message.sender_id,
         mediaUrl: message.media_url,
         mediaType: message.media_type,
-        content: message.content
+        content: message.content,
+        instanceId: message.instance_id
       };
 
       await queueService.addMediaProcessingJob(jobData);
@@ -287,49 +533,67 @@ class MessageService {
   }
 
   // Process text message
-  async processTextMessage(message) {
+  async processTextMessage(message, settings = null) {
     try {
-      // Generate AI response for text
+      // Generate AI response for text, continuing the conversation so far
+      const memory = await conversationMemoryService.buildContext(message.chat_id, message);
       const response = await aiService.generateTextResponse(message.content, {
-        chatId: message.chat_id,
-        senderId: message.sender_id
+        ...(await this.buildReplyContext(message, settings)),
+        ...memory
       });
 
+      // The reply is stored when the webhook echoes it back and becomes part of the next context
       if (response) {
-        await this.sendResponse(message.chat_id, response);
+        await this.sendResponse(message.chat_id, response, message.instance_id);
       }
 
     } catch (error) {
       logger.logMessageProcessing(message.message_id, 'process_text', 'error', {
         error: error.message
       });
+
+      // Other failures leave the message unprocessed so replaying its webhook event tries again
+      if (!usageService.isBudgetExceeded(error)) {
+        throw error;
+      }
+
+      await usageService.sendLimitReachedOnce(message.chat_id, message.instance_id);
     }
   }
 
-  // Check if message is a summary request
-  isSummaryRequest(content) {
-    const summaryKeywords = [
-      'resumo', 'summary', 'resumir', 'summarize',
-      '24h', '48h', '1 semana', '1 week',
-      'últimas 24 horas', 'last 24 hours',
-      'últimas 48 horas', 'last 48 hours',
-      'última semana', 'last week'
-    ];
+  // AI context shared by every reply: who is talking and the chat's language and persona
+  async buildReplyContext(message, settings = null) {
+    const chatSettings = settings || await chatSettingsService.getSettings(message.chat_id);
 
-    const lowerContent = content.toLowerCase();
-    return summaryKeywords.some(keyword => lowerContent.includes(keyword));
+    return {
+      chatId: message.chat_id,
+      senderId: message.sender_id,
+      language: chatSettingsService.getLanguageName(chatSettings.language),
+      persona: chatSettings.persona
+    };
   }
 
   // Handle summary request
   async handleSummaryRequest(message) {
     try {
-      const period = this.extractSummaryPeriod(message.content);
-      const summary = await this.generateGroupSummary(message.chat_id, period);
+      const period = this.extractSummaryPeriod(summaryIntentService.stripMentions(message.content));
+
+      if (!period) {
+        await this.sendResponse(message.chat_id, SUMMARY_PERIOD_USAGE, message.instance_id);
+        return;
+      }
+
+      if (!isWithinMaxWindow(period)) {
+        await this.sendResponse(message.chat_id, `O resumo pode cobrir no máximo ${MAX_SUMMARY_WINDOW_DAYS} dias.`, message.instance_id);
+        return;
+      }
+
+      const summary = await this.generateGroupSummary(message.chat_id, period, message.instance_id, message.sender_id);
       
       if (summary) {
-        await this.sendResponse(message.chat_id, summary);
+        await this.sendResponse(message.chat_id, summary, message.instance_id);
       } else {
-        await this.sendResponse(message.chat_id, 'Não há mensagens suficientes para gerar um resumo.');
+        await this.sendResponse(message.chat_id, 'Não há mensagens suficientes para gerar um resumo.', message.instance_id);
       }
 
     } catch (error) {
@@ -337,53 +601,53 @@ class MessageService {
         error: error.message
       });
       
-      await this.sendResponse(message.chat_id, 'Erro ao gerar resumo. Tente novamente mais tarde.');
+      const reply = usageService.isBudgetExceeded(error)
+        ? usageService.getLimitReachedMessage()
+        : 'Erro ao gerar resumo. Tente novamente mais tarde.';
+      await this.sendResponse(message.chat_id, reply, message.instance_id);
     }
   }
 
-  // Extract summary period from message content
+  // Extract the summary window from message content ("6h", "3d", "ontem", "desde segunda", ISO dates).
+  // Text naming no window means the last 24 hours; dates that do not form a valid range give null.
   extractSummaryPeriod(content) {
-    const lowerContent = content.toLowerCase();
-    
-    if (lowerContent.includes('24h') || lowerContent.includes('24 horas')) {
-      return '24h';
-    } else if (lowerContent.includes('48h') || lowerContent.includes('48 horas')) {
-      return '48h';
-    } else if (lowerContent.includes('semana') || lowerContent.includes('week')) {
-      return '1week';
+    const period = parseSummaryPeriod(content);
+    if (period || mentionsDates(content)) {
+      return period;
     }
-    
-    return '24h'; // Default
+
+    return resolveSummaryPeriod();
   }
 
-  // Generate group summary
-  async generateGroupSummary(chatId, period) {
+  // Generate group summary for a window from utils/summaryPeriod
+  async generateGroupSummary(chatId, period, instanceId = null, requesterId = null) {
     try {
-      // Check cache first
-      const cacheKey = `summary:${chatId}:${period}`;
+      // Check cache first; explicit ranges are cached by their dates
+      const cacheKey = getSummaryCacheKey(chatId, period);
       const cachedSummary = await redis.get(cacheKey);
       
       if (cachedSummary) {
-        logger.info('Returning cached summary', { chatId, period });
+        logger.info('Returning cached summary', { chatId, period: period.period });
         return cachedSummary;
       }
 
       // Get messages from database
-      const messages = await this.getGroupMessages(chatId, period);
+      const { messages, truncated } = await summaryService.getGroupMessages(chatId, period);
       
       if (messages.length === 0) {
         return null;
       }
 
       // Generate summary using AI
-      const summary = await aiService.generateGroupSummary(messages, period);
+      const summaryData = await aiService.generateGroupSummary(messages, period, { chatId, senderId: requesterId });
+      const summary = summaryService.withTruncationNote(renderSummary(summaryData), truncated);
       
-      // Cache summary
-      const ttl = period === '24h' ? 3600 : period === '48h' ? 7200 : 14400; // 1h, 2h, 4h
+      // Cache summary: 1h for a 24h window, growing with the window up to 4h
+      const ttl = Math.min(14400, Math.max(600, getWindowHours(period) * 150));
       await redis.set(cacheKey, summary, ttl);
 
       // Save summary to database
-      await this.saveSummary(chatId, period, summary, messages.length);
+      await summaryService.saveSummary(chatId, period, summaryData, messages.length, instanceId);
 
       return summary;
 
@@ -393,92 +657,10 @@ class MessageService {
     }
   }
 
-  // Get group messages for summary
-  async getGroupMessages(chatId, period) {
-    try {
-      let hours;
-      switch (period) {
-        case '24h':
-          hours = 24;
-          break;
-        case '48h':
-          hours = 48;
-          break;
-        case '1week':
-          hours = 168;
-          break;
-        default:
-          hours = 24;
-      }
-
-      const query = `
-        SELECT * FROM messages 
-        WHERE chat_id = $1 
-        AND is_group = true 
-        AND created_at >= NOW() - INTERVAL '${hours} hours'
-        ORDER BY created_at ASC
-        LIMIT 500
-      `;
-
-      const result = await database.query(query, [chatId]);
-      return result.rows;
-
-    } catch (error) {
-      logger.logDatabase('SELECT', 'messages', 'error', {
-        chatId,
-        period,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
-  // Save summary to database
-  async saveSummary(chatId, period, summaryText, messageCount) {
-    try {
-      const query = `
-        INSERT INTO group_summaries (
-          chat_id, summary_period, summary_text, message_count,
-          start_date, end_date
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (chat_id, summary_period, start_date) 
-        DO UPDATE SET 
-          summary_text = EXCLUDED.summary_text,
-          message_count = EXCLUDED.message_count,
-          updated_at = CURRENT_TIMESTAMP
-      `;
-
-      const endDate = new Date();
-      const startDate = new Date();
-      
-      switch (period) {
-        case '24h':
-          startDate.setHours(startDate.getHours() - 24);
-          break;
-        case '48h':
-          startDate.setHours(startDate.getHours() - 48);
-          break;
-        case '1week':
-          startDate.setDate(startDate.getDate() - 7);
-          break;
-      }
-
-      const values = [chatId, period, summaryText, messageCount, startDate, endDate];
-      await database.query(query, values);
-
-    } catch (error) {
-      logger.logDatabase('INSERT', 'group_summaries', 'error', {
-        chatId,
-        period,
-        error: error.message
-      });
-    }
-  }
-
   // Send response message
-  async sendResponse(chatId, message) {
+  async sendResponse(chatId, message, instanceId = null) {
     try {
-      await whatsappService.sendMessage(chatId, message);
+      await whatsappService.sendMessage(chatId, message, instanceId);
       
       logger.logMessageProcessing('response', 'send', 'success', {
         chatId,
@@ -529,40 +711,172 @@ class MessageService {
     }
   }
 
-  // Update message
-  async updateMessage(message, instance) {
+  // Find the protocol message carried by an edit or revocation payload
+  getProtocolMessage(messageInfo = {}) {
+    return unwrapMessage(messageInfo).body.protocolMessage || null;
+  }
+
+  // Classify a protocol message as an edit or a revocation
+  parseProtocolMessage(protocolMessage, fallbackMessageId) {
+    const messageId = protocolMessage.key?.id || fallbackMessageId;
+
+    if (PROTOCOL_EDIT_TYPES.includes(protocolMessage.type) || protocolMessage.editedMessage) {
+      return {
+        action: 'edit',
+        messageId,
+        content: this.extractEditedContent(protocolMessage.editedMessage)
+      };
+    }
+
+    if (PROTOCOL_REVOKE_TYPES.includes(protocolMessage.type)) {
+      return { action: 'delete', messageId };
+    }
+
+    return null;
+  }
+
+  // Extract the new text from an edited message body
+  extractEditedContent(editedMessage = {}) {
+    const body = editedMessage?.message || editedMessage || {};
+
+    return body.conversation
+      || body.extendedTextMessage?.text
+      || body.imageMessage?.caption
+      || body.videoMessage?.caption
+      || body.documentMessage?.caption
+      || '';
+  }
+
+  // Handle messages.update events (edits and revocations; status updates are ignored)
+  async processMessageUpdates(data, instance) {
+    const updates = Array.isArray(data) ? data : [data];
+
+    for (const entry of updates) {
+      const messageId = entry.key?.id || entry.keyId || entry.messageId;
+      const update = entry.update || entry;
+      const protocolMessage = this.getProtocolMessage(update.message);
+
+      let change = null;
+      if (protocolMessage) {
+        change = this.parseProtocolMessage(protocolMessage, messageId);
+      } else if (REVOKE_STUB_TYPES.includes(update.messageStubType) || update.status === 'DELETED') {
+        change = { action: 'delete', messageId };
+      }
+
+      if (!change) {
+        logger.debug('Ignoring message status update', { messageId, status: update.status, instance });
+        continue;
+      }
+
+      await this.applyMessageChange(change);
+    }
+  }
+
+  // Handle messages.delete events
+  async processMessageDeletes(data, instance) {
+    const deletions = Array.isArray(data) ? data : [data];
+
+    for (const entry of deletions) {
+      const messageId = entry.key?.id || entry.keyId || entry.id || entry.messageId;
+      await this.applyMessageChange({ action: 'delete', messageId });
+    }
+
+    logger.debug('Processed message deletions', { count: deletions.length, instance });
+  }
+
+  // Apply a parsed edit or revocation to the stored message
+  async applyMessageChange(change) {
+    if (!change || !change.messageId) {
+      logger.warn('Received a message change without a target message ID, skipping.', { change });
+      return;
+    }
+
+    if (change.action === 'edit') {
+      await this.updateMessage(change.messageId, change.content);
+    } else if (change.action === 'delete') {
+      await this.deleteMessage(change.messageId);
+    }
+  }
+
+  // Update message content, keeping the previous version in the edit history
+  async updateMessage(messageId, newContent) {
+    const client = await database.getClient();
+
     try {
-      const messageData = this.extractMessageData(message, instance);
-      
-      const query = `
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT content FROM messages WHERE message_id = $1 FOR UPDATE',
+        [messageId]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        logger.logMessageProcessing(messageId, 'update', 'warning', {
+          reason: 'Edited message not found'
+        });
+        return false;
+      }
+
+      const previousContent = current.rows[0].content;
+      if (previousContent === newContent) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+
+      await client.query(
+        'INSERT INTO message_edits (message_id, previous_content, new_content) VALUES ($1, $2, $3)',
+        [messageId, previousContent, newContent]
+      );
+
+      await client.query(`
         UPDATE messages 
-        SET content = $2, updated_at = CURRENT_TIMESTAMP 
+        SET content = $2, edited_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
         WHERE message_id = $1
-      `;
-      
-      await database.query(query, [messageData.messageId, messageData.content]);
-      
-      logger.logMessageProcessing(messageData.messageId, 'update', 'success');
+      `, [messageId, newContent]);
+
+      await client.query('COMMIT');
+
+      logger.logMessageProcessing(messageId, 'update', 'success');
+      return true;
 
     } catch (error) {
-      logger.logMessageProcessing(message.key?.id, 'update', 'error', {
+      await client.query('ROLLBACK');
+      logger.logMessageProcessing(messageId, 'update', 'error', {
         error: error.message
       });
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
-  // Delete message
-  async deleteMessage(messageId, instance) {
+  // Soft delete message so it stays available for auditing
+  async deleteMessage(messageId) {
     try {
-      const query = 'DELETE FROM messages WHERE message_id = $1';
-      await database.query(query, [messageId]);
-      
+      const query = `
+        UPDATE messages 
+        SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+        WHERE message_id = $1 AND is_deleted = false
+      `;
+
+      const result = await database.query(query, [messageId]);
+
+      if (result.rowCount === 0) {
+        logger.logMessageProcessing(messageId, 'delete', 'warning', {
+          reason: 'Message not found or already deleted'
+        });
+        return false;
+      }
+
       logger.logMessageProcessing(messageId, 'delete', 'success');
+      return true;
 
     } catch (error) {
       logger.logMessageProcessing(messageId, 'delete', 'error', {
         error: error.message
       });
+      throw error;
     }
   }
 
@@ -584,42 +898,59 @@ class MessageService {
     }
   }
 
+  // Format a sender as "Name (number)" for admin reports
+  async formatSenderLabel(message) {
+    const number = message.sender_id.split('@')[0];
+
+    try {
+      const contact = await contactService.getContact(message.sender_id);
+      const name = contactService.resolveDisplayName(contact, message.sender_id, message.sender_name);
+      return name === number ? number : `${name} (${number})`;
+    } catch (error) {
+      logger.warn('Failed to resolve sender name', { senderId: message.sender_id, error: error.message });
+      return number;
+    }
+  }
+
   // Handle /historico command
   async handleHistoryCommand(message) {
     logger.info(`Comando /historico recebido de: ${message.chat_id}`);
+
+    const admins = await roleService.getAdminRecipients(message.instance_id);
     
-    if (!process.env.ADMIN_CHAT_ID) {
-      logger.warn('Comando /historico recebido, mas ADMIN_CHAT_ID não está configurado. Ignorando.');
+    if (admins.length === 0) {
+      logger.warn('Comando /historico recebido, mas nenhum administrador está configurado. Ignorando.');
       return;
     }
 
     try {
       // Generate the summary
       const summary = await conversationAnalysisService.summarizeConversation(message.chat_id);
+      const requester = await this.formatSenderLabel(message);
 
       // Format the response for the admin
       const adminResponse = `
 *--- Relatório de Histórico ---*
 
-*Solicitado por:* ${message.sender_id}
+*Solicitado por:* ${requester}
 *Na conversa com:* ${message.chat_id}
 
 *Resumo dos Tópicos:*
 ${summary}
       `.trim();
 
-      // Send the response to the admin
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminResponse);
+      // Send the response to the admins
+      await roleService.sendToAdmins(adminResponse, message.instance_id, admins);
       
-      logger.info(`Relatório de histórico para ${message.chat_id} enviado para o administrador.`);
+      logger.info(`Relatório de histórico para ${message.chat_id} enviado para os administradores.`);
 
     } catch (error) {
       logger.error(`Falha ao lidar com o comando /historico para ${message.chat_id}`, {
         errorMessage: error.message
       });
-      // Notify admin of the failure
+      // Notify admins of the failure
       const adminErrorResponse = `Falha ao gerar o histórico para o chat ${message.chat_id}.`;
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminErrorResponse);
+      await roleService.sendToAdmins(adminErrorResponse, message.instance_id, admins);
     } finally {
       // Mark message as processed regardless of summary success
       await this.markMessageProcessed(message.message_id);
@@ -627,19 +958,36 @@ ${summary}
   }
 
   // Handle /resumo command for groups
-  async handleSummaryCommand(message) {
+  async handleSummaryCommand(message, periodText = null) {
     logger.info(`Comando /resumo recebido no grupo: ${message.chat_id}`);
 
-    if (!process.env.ADMIN_CHAT_ID) {
-      logger.warn('Comando /resumo recebido, mas ADMIN_CHAT_ID não está configurado.');
+    const period = periodText ? parseSummaryPeriod(periodText) : resolveSummaryPeriod();
+
+    if (!period) {
+      await this.sendResponse(message.chat_id, SUMMARY_PERIOD_USAGE, message.instance_id);
+      await this.markMessageProcessed(message.message_id);
+      return;
+    }
+
+    if (!isWithinMaxWindow(period)) {
+      await this.sendResponse(message.chat_id, `O resumo pode cobrir no máximo ${MAX_SUMMARY_WINDOW_DAYS} dias.`, message.instance_id);
+      await this.markMessageProcessed(message.message_id);
+      return;
+    }
+
+    const admins = await roleService.getAdminRecipients(message.instance_id);
+
+    if (admins.length === 0) {
+      logger.warn('Comando /resumo recebido, mas nenhum administrador está configurado.');
       return;
     }
 
     try {
-      await summaryService.requestSummary(message.chat_id, process.env.ADMIN_CHAT_ID);
+      // Without a requester the queued job delivers the summary to the admins
+      await summaryService.requestSummary(message.chat_id, null, message.instance_id, period);
 
-      const notification = `Solicitação de resumo para o grupo ${message.chat_id} foi enfileirada. O resultado será enviado em breve.`;
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, notification);
+      const notification = `Solicitação de resumo para o grupo ${message.chat_id} (${period.label}) foi enfileirada. O resultado será enviado em breve.`;
+      await roleService.sendToAdmins(notification, message.instance_id, admins);
       
       logger.info(`Trabalho de resumo para o grupo ${message.chat_id} foi adicionado à fila.`);
 
@@ -648,7 +996,7 @@ ${summary}
         errorMessage: error.message
       });
       const adminErrorMsg = `Falha ao solicitar resumo para o grupo ${message.chat_id}: ${error.message}`;
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminErrorMsg);
+      await roleService.sendToAdmins(adminErrorMsg, message.instance_id, admins);
     } finally {
       await this.markMessageProcessed(message.message_id);
     }
@@ -662,8 +1010,10 @@ ${summary}
 
     logger.info(`Comando /base recebido para o chat: ${chatId}`);
 
-    if (!process.env.ADMIN_CHAT_ID) {
-      logger.warn('Comando /base recebido, mas ADMIN_CHAT_ID não está configurado.');
+    const admins = await roleService.getAdminRecipients(message.instance_id);
+
+    if (admins.length === 0) {
+      logger.warn('Comando /base recebido, mas nenhum administrador está configurado.');
       return;
     }
 
@@ -674,8 +1024,8 @@ ${summary}
       // If it exists, retrieve and send to admin
       const content = await fs.readFile(knowledgeFile, 'utf-8');
       const adminResponse = `*Base de conhecimento recuperada para ${chatId}:*\n\n${content}`;
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminResponse);
-      logger.info(`Base de conhecimento para ${chatId} enviada ao administrador.`);
+      await roleService.sendToAdmins(adminResponse, message.instance_id, admins);
+      logger.info(`Base de conhecimento para ${chatId} enviada aos administradores.`);
 
     } catch (error) {
       // If file does not exist (ENOENT), create it
@@ -684,40 +1034,42 @@ ${summary}
           logger.info(`Nenhuma base de conhecimento encontrada para ${chatId}. Criando uma nova...`);
 
           const historyQuery = `
-            SELECT sender_id, content, created_at FROM messages
-            WHERE chat_id = $1 AND created_at >= NOW() - INTERVAL '1 hour'
-            ORDER BY created_at ASC
+            SELECT m.content, m.created_at, ${contactService.displayNameSql()} AS sender_display_name
+            FROM messages m
+            LEFT JOIN contacts c ON c.contact_id = m.sender_id
+            WHERE m.chat_id = $1 AND m.is_deleted = false AND m.created_at >= NOW() - INTERVAL '1 hour'
+            ORDER BY m.created_at ASC
           `;
           const historyResult = await database.query(historyQuery, [chatId]);
 
           if (historyResult.rows.length === 0) {
             const noHistoryMsg = `Nenhuma mensagem na última hora para criar uma base de conhecimento para ${chatId}.`;
-            await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, noHistoryMsg);
+            await roleService.sendToAdmins(noHistoryMsg, message.instance_id, admins);
             logger.warn(noHistoryMsg);
             return;
           }
 
           const formattedHistory = historyResult.rows.map(msg =>
-            `[${new Date(msg.created_at).toLocaleTimeString('pt-BR')}] ${msg.sender_id.split('@')[0]}: ${msg.content}`
+            `[${new Date(msg.created_at).toLocaleTimeString('pt-BR')}] ${msg.sender_display_name}: ${msg.content}`
           ).join('\n');
 
           await fs.mkdir(knowledgeDir, { recursive: true });
           await fs.writeFile(knowledgeFile, formattedHistory);
 
           const creationMsg = `Nova base de conhecimento criada para ${chatId}. Lembre-se de executar "npm run knowledge:build" para incluí-la nas buscas.`;
-          await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, creationMsg);
+          await roleService.sendToAdmins(creationMsg, message.instance_id, admins);
           logger.info(`Nova base de conhecimento para ${chatId} criada com sucesso.`);
 
         } catch (creationError) {
           logger.error(`Falha ao criar a base de conhecimento para ${chatId}`, { errorMessage: creationError.message });
           const adminErrorMsg = `Falha ao criar a base de conhecimento para ${chatId}.`;
-          await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminErrorMsg);
+          await roleService.sendToAdmins(adminErrorMsg, message.instance_id, admins);
         }
       } else {
         // Other errors during file access
         logger.error(`Erro ao acessar o arquivo de conhecimento para ${chatId}`, { errorMessage: error.message });
         const adminErrorMsg = `Erro ao acessar a base de conhecimento para ${chatId}.`;
-        await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminErrorMsg);
+        await roleService.sendToAdmins(adminErrorMsg, message.instance_id, admins);
       }
     } finally {
       await this.markMessageProcessed(message.message_id);
@@ -728,19 +1080,16 @@ ${summary}
   async handleKnowledgeCommand(category, query, message) {
     logger.info(`Comando de conhecimento /${category} recebido de: ${message.chat_id} com a consulta: "${query}"`);
 
-    if (!process.env.ADMIN_CHAT_ID) {
-      logger.warn(`Comando /${category} recebido, mas ADMIN_CHAT_ID não está configurado. Ignorando.`);
-      return;
-    }
+    const admins = await roleService.getAdminRecipients(message.instance_id);
 
-    if (!query) {
-      const notification = `Comando /${category} recebido de ${message.chat_id} sem texto para busca.`;
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, notification);
+    if (admins.length === 0) {
+      logger.warn(`Comando /${category} recebido, mas nenhum administrador está configurado. Ignorando.`);
       return;
     }
 
     try {
-      const results = await knowledgeSearchService.search(query, category);
+      const results = await knowledgeSearchService.search(query, category, { chatId: message.chat_id, senderId: message.sender_id });
+      const requester = await this.formatSenderLabel(message);
 
       let adminResponse;
       if (results.length > 0) {
@@ -753,7 +1102,7 @@ ${summary}
 
 *Comando:* /${category}
 *Consulta:* "${query}"
-*Solicitado por:* ${message.sender_id}
+*Solicitado por:* ${requester}
 
 *Resultados Encontrados:*
 ${resultsText}
@@ -764,29 +1113,421 @@ ${resultsText}
 
 *Comando:* /${category}
 *Consulta:* "${query}"
-*Solicitado por:* ${message.sender_id}
+*Solicitado por:* ${requester}
 
 Nenhum resultado relevante encontrado na base de conhecimento.
         `.trim();
       }
 
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminResponse);
-      logger.info(`Resultados da busca para "${query}" enviados ao administrador.`);
+      await roleService.sendToAdmins(adminResponse, message.instance_id, admins);
+      logger.info(`Resultados da busca para "${query}" enviados aos administradores.`);
 
     } catch (error) {
       logger.error(`Falha ao lidar com o comando de conhecimento /${category}`, {
         errorMessage: error.message
       });
       const adminErrorResponse = `Falha ao processar a busca por "${query}" na categoria ${category}.`;
-      await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminErrorResponse);
+      await roleService.sendToAdmins(adminErrorResponse, message.instance_id, admins);
     } finally {
       await this.markMessageProcessed(message.message_id);
     }
   }
 
+  // Handle /papel <contato> <papel>
+  async handleGrantRoleCommand(message, contact, role) {
+    const contactId = roleService.normalizeContactId(contact);
+    const newRole = role.toLowerCase();
+
+    if (!contactId || !roleService.isValidRole(newRole)) {
+      await this.sendResponse(message.chat_id, `Uso: /papel <número> <${roleService.getRoles().join('|')}>`, message.instance_id);
+      return;
+    }
+
+    try {
+      const actorRole = await roleService.getRole(message.sender_id, message.instance_id);
+      const currentRole = await roleService.getRole(contactId, message.instance_id);
+      roleService.assertCanManage(actorRole, currentRole, newRole);
+
+      await roleService.grantRole(contactId, newRole, message.sender_id);
+      await this.sendResponse(message.chat_id, `✅ ${contactId.split('@')[0]} agora é *${newRole}*.`, message.instance_id);
+
+    } catch (error) {
+      logger.warn('Failed to grant role', { contactId, role: newRole, error: error.message });
+      const reply = error.statusCode === 403 ? error.message : 'Não foi possível alterar o papel. Tente novamente.';
+      await this.sendResponse(message.chat_id, `❌ ${reply}`, message.instance_id);
+    }
+  }
+
+  // Handle /revogar <contato>
+  async handleRevokeRoleCommand(message, contact) {
+    const contactId = roleService.normalizeContactId(contact);
+
+    if (!contactId) {
+      await this.sendResponse(message.chat_id, 'Uso: /revogar <número>', message.instance_id);
+      return;
+    }
+
+    try {
+      const actorRole = await roleService.getRole(message.sender_id, message.instance_id);
+      const currentRole = await roleService.getRole(contactId, message.instance_id);
+      roleService.assertCanManage(actorRole, currentRole);
+
+      const removed = await roleService.revokeRole(contactId);
+      const reply = removed
+        ? `✅ ${contactId.split('@')[0]} voltou a ser *member*.`
+        : `${contactId.split('@')[0]} não tem papel atribuído.`;
+      await this.sendResponse(message.chat_id, reply, message.instance_id);
+
+    } catch (error) {
+      logger.warn('Failed to revoke role', { contactId, error: error.message });
+      const reply = error.statusCode === 403 ? error.message : 'Não foi possível remover o papel. Tente novamente.';
+      await this.sendResponse(message.chat_id, `❌ ${reply}`, message.instance_id);
+    }
+  }
+
+  // Handle /papeis
+  async handleListRolesCommand(message) {
+    const roles = await roleService.listRoles();
+
+    const reply = roles.length > 0
+      ? `👥 *Papéis atribuídos*\n\n${roles.map(r => `• ${r.display_name} (${r.contact_id.split('@')[0]}): *${r.role}*`).join('\n')}`
+      : 'Nenhum papel atribuído. O administrador da instância é sempre owner.';
+
+    await this.sendResponse(message.chat_id, reply, message.instance_id);
+  }
+
+  // Handle /assinar [agenda]: list the group's summary subscriptions or create one
+  async handleSubscribeCommand(message, text) {
+    const chatId = message.chat_id;
+
+    if (!text) {
+      const subscriptions = await summarySubscriptionService.listSubscriptions({ chatId });
+      await this.sendResponse(chatId, this.formatSubscriptions(subscriptions), message.instance_id);
+      return;
+    }
+
+    const usage = 'Uso: /assinar <HH:MM|"cron"> [período] [mínimo] [grupo,admins,número]\nEx.: /assinar 08:00 24h 10 grupo,admins';
+    const subscription = this.parseSubscriptionArgs(text);
+
+    if (!subscription) {
+      await this.sendResponse(chatId, usage, message.instance_id);
+      return;
+    }
+
+    try {
+      const created = await summarySubscriptionService.createSubscription({
+        ...subscription,
+        chatId,
+        instanceId: message.instance_id
+      }, message.sender_id);
+
+      await this.sendResponse(chatId, `✅ Assinatura #${created.id} criada.\n${this.formatSubscription(created)}`, message.instance_id);
+
+    } catch (error) {
+      logger.warn('Failed to create summary subscription', { chatId, text, error: error.message });
+      const reply = error.statusCode === 400 ? `Assinatura inválida. ${usage}` : 'Não foi possível criar a assinatura. Tente novamente.';
+      await this.sendResponse(chatId, `❌ ${reply}`, message.instance_id);
+    }
+  }
+
+  // Read "08:00 24h 10 grupo,admins" or '"0 8 * * 1-5" 3d'; everything after the schedule is optional
+  // and may come in any order. Returns null when the schedule is missing or a token is not understood.
+  parseSubscriptionArgs(text) {
+    const quoted = text.trim().match(/^"([^"]+)"\s*(.*)$/);
+    let cronExpression;
+    let rest;
+
+    if (quoted) {
+      cronExpression = quoted[1].trim();
+      rest = quoted[2];
+    } else {
+      const [first, ...tokens] = text.trim().split(/\s+/);
+      const time = first.match(/^(\d{1,2})[:h](\d{2})$/);
+      if (!time || parseInt(time[1]) > 23 || parseInt(time[2]) > 59) {
+        return null;
+      }
+      cronExpression = `${parseInt(time[2])} ${parseInt(time[1])} * * *`;
+      rest = tokens.join(' ');
+    }
+
+    const subscription = { cronExpression };
+
+    const destinationKeywords = { grupo: 'group', group: 'group', admin: 'admins', admins: 'admins', administradores: 'admins' };
+
+    for (const token of rest.split(/\s+/).filter(Boolean)) {
+      // Short numbers are the minimum; phone numbers, JIDs and lists are destinations
+      if (/^\d{1,5}$/.test(token)) {
+        subscription.minMessages = parseInt(token);
+      } else if (/[,@+]/.test(token) || /^\d{6,}$/.test(token) || destinationKeywords[token.toLowerCase()]) {
+        subscription.destinations = token.split(',').filter(Boolean)
+          .map(destination => destinationKeywords[destination.toLowerCase()] || destination);
+      } else if (parseSummaryPeriod(token)) {
+        subscription.period = token.toLowerCase();
+      } else {
+        return null;
+      }
+    }
+
+    return subscription;
+  }
+
+  formatSubscription(subscription) {
+    const destinations = subscription.destinations
+      .map(destination => ({ group: 'grupo', admins: 'admins' })[destination] || destination.split('@')[0])
+      .join(', ');
+
+    return `🗓️ ${subscription.cron_expression} · período ${subscription.period} · mínimo ${subscription.min_messages} mensagens · destinos: ${destinations}${subscription.is_active ? '' : ' (inativa)'}`;
+  }
+
+  formatSubscriptions(subscriptions) {
+    if (subscriptions.length === 0) {
+      return 'Nenhuma assinatura de resumo neste grupo. Crie uma com /assinar 08:00 24h 10 grupo.';
+    }
+
+    const lines = subscriptions.map(subscription => `*#${subscription.id}* ${this.formatSubscription(subscription)}`);
+    return `📬 *Assinaturas de resumo deste grupo*\n\n${lines.join('\n')}\n\nCancele com /desassinar <id>.`;
+  }
+
+  // Handle /desassinar <id>: only subscriptions of the current group can be removed here
+  async handleUnsubscribeCommand(message, id) {
+    const chatId = message.chat_id;
+    const subscriptionId = parseInt(id.replace(/^#/, ''));
+    const subscription = Number.isInteger(subscriptionId)
+      ? await summarySubscriptionService.getSubscription(subscriptionId)
+      : null;
+
+    if (!subscription || subscription.chat_id !== chatId) {
+      await this.sendResponse(chatId, `Assinatura ${id} não encontrada neste grupo. Veja as assinaturas com /assinar.`, message.instance_id);
+      return;
+    }
+
+    await summarySubscriptionService.deleteSubscription(subscriptionId);
+    await this.sendResponse(chatId, `✅ Assinatura #${subscriptionId} cancelada.`, message.instance_id);
+  }
+
+  // Handle /assumir [contato] [minutos]: the contact may be left out and the order does not matter
+  async handleTakeOverCommand(message, tokens) {
+    let chatId = message.chat_id;
+    let minutes = null;
+
+    for (const token of tokens) {
+      if (/^\d{1,5}$/.test(token)) {
+        minutes = parseInt(token);
+      } else {
+        chatId = roleService.normalizeContactId(token);
+      }
+    }
+
+    if (!chatId || minutes === 0 || minutes > handoffService.getMaxMinutes()) {
+      await this.replyToCommand(message, `Uso: /assumir [número] [minutos, até ${handoffService.getMaxMinutes()}]`);
+      return;
+    }
+
+    const handoff = await handoffService.startHandoff(chatId, {
+      instanceId: message.instance_id,
+      takenBy: message.sender_id,
+      reason: 'command',
+      minutes
+    });
+
+    const target = await this.isReplyInChat(message, chatId) ? 'desta conversa' : `da conversa com ${chatId.split('@')[0]}`;
+    const until = new Date(handoff.expiresAt).toLocaleTimeString('pt-BR', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: process.env.TZ || 'America/Sao_Paulo'
+    });
+
+    await this.replyToCommand(message, `🙋 Atendimento ${target} assumido. O bot volta a responder às ${until} ou com /liberar.`);
+  }
+
+  // Handle /liberar [contato]
+  async handleReleaseCommand(message, contact = null) {
+    const chatId = contact ? roleService.normalizeContactId(contact) : message.chat_id;
+
+    if (!chatId) {
+      await this.replyToCommand(message, 'Uso: /liberar [número]');
+      return;
+    }
+
+    const released = await handoffService.releaseHandoff(chatId, 'operator');
+    const target = await this.isReplyInChat(message, chatId) ? 'Esta conversa' : `A conversa com ${chatId.split('@')[0]}`;
+    const reply = released
+      ? `🤖 ${target} voltou para o bot.`
+      : `${target} não está com um atendente.`;
+
+    await this.replyToCommand(message, reply);
+  }
+
+  // Whether the reply to a handoff command is read in the chat it is about, so "esta conversa" makes sense
+  async isReplyInChat(message, chatId) {
+    if (chatId !== message.chat_id) {
+      return false;
+    }
+
+    return message.sender_id !== message.instance_id
+      || chatId === await instanceService.getAdminChatId(message.instance_id);
+  }
+
+  // Handle /novo command: forget the conversation context
+  async handleNewConversationCommand(message) {
+    await conversationMemoryService.clear(message.chat_id);
+    await this.sendResponse(message.chat_id, '🧹 Contexto da conversa reiniciado. Pode começar um novo assunto.', message.instance_id);
+  }
+
+  // Handle /config [chave] [valor]: show, change or reset the chat settings
+  async handleConfigCommand(message, key, value) {
+    const chatId = message.chat_id;
+
+    if (!key) {
+      const settings = await chatSettingsService.getSettings(chatId);
+      await this.sendResponse(chatId, this.formatChatSettings(settings), message.instance_id);
+      return;
+    }
+
+    if (['reset', 'padrao', 'padrão'].includes(key.toLowerCase())) {
+      await chatSettingsService.resetSettings(chatId);
+      await this.sendResponse(chatId, '✅ Configurações desta conversa restauradas para o padrão.', message.instance_id);
+      return;
+    }
+
+    const settingKey = chatSettingsService.getKeys().find(name => name.toLowerCase() === key.toLowerCase());
+    if (!settingKey) {
+      await this.sendResponse(chatId, `Configuração desconhecida: ${key}. Opções: ${chatSettingsService.getKeys().join(', ')}`, message.instance_id);
+      return;
+    }
+
+    const usage = `Uso: /config ${settingKey} ${this.getConfigValueHint(settingKey)}`;
+    const parsed = value ? this.parseConfigValue(settingKey, value) : undefined;
+
+    if (parsed === undefined) {
+      await this.sendResponse(chatId, usage, message.instance_id);
+      return;
+    }
+
+    try {
+      const settings = await chatSettingsService.updateSettings(chatId, { [settingKey]: parsed }, message.sender_id);
+      await this.sendResponse(chatId, `✅ *${settingKey}*: ${this.formatSettingValue(settingKey, settings[settingKey])}`, message.instance_id);
+
+    } catch (error) {
+      logger.warn('Failed to update chat settings', { chatId, key: settingKey, error: error.message });
+      const reply = error.statusCode === 400 ? `Valor inválido. ${usage}` : 'Não foi possível salvar a configuração. Tente novamente.';
+      await this.sendResponse(chatId, `❌ ${reply}`, message.instance_id);
+    }
+  }
+
+  getConfigValueHint(key) {
+    switch (key) {
+      case 'language':
+        return `<${chatSettingsService.getLanguages().join('|')}>`;
+      case 'persona':
+        return '<texto|padrão>';
+      case 'allowedCommands':
+        return '<comando1,comando2|todos>';
+      case 'quietHours':
+        return '<HH:MM-HH:MM|off>';
+      case 'summaryTrigger':
+        return `<${chatSettingsService.getSummaryTriggers().join('|')}>`;
+      case 'summaryIntentThreshold':
+        return '<0.0-1.0>';
+      case 'businessHours':
+        return '<{"schedule":{"mon":["08:00-18:00"]}}|sempre|padrão>';
+      case 'monthlyBudgetUsd':
+        return '<valor em US$|padrão>';
+      default:
+        return '<on|off>';
+    }
+  }
+
+  // Convert the text typed after /config <chave> into a setting value; undefined when it does not parse
+  parseConfigValue(key, text) {
+    const value = text.trim();
+    const lower = value.toLowerCase();
+    const isReset = ['padrão', 'padrao', 'off', 'todos', 'nenhum', '-'].includes(lower);
+
+    switch (key) {
+      case 'language':
+        return value;
+      case 'summaryTrigger':
+        return lower;
+      case 'summaryIntentThreshold': {
+        const threshold = parseFloat(value.replace(',', '.'));
+        return Number.isNaN(threshold) ? undefined : threshold;
+      }
+      case 'monthlyBudgetUsd': {
+        if (isReset) {
+          return null;
+        }
+        const budget = parseFloat(value.replace(/^US\$\s*|^\$\s*/i, '').replace(',', '.'));
+        return Number.isNaN(budget) ? undefined : budget;
+      }
+      case 'persona':
+        return isReset ? null : value;
+      case 'businessHours': {
+        // "sempre" keeps the chat open even when the instance has business hours
+        if (lower === 'sempre') {
+          return { enabled: false };
+        }
+        if (isReset) {
+          return null;
+        }
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return undefined;
+        }
+      }
+      case 'allowedCommands':
+        return isReset ? null : value.split(/[\s,]+/).filter(Boolean);
+      case 'quietHours': {
+        if (isReset) {
+          return null;
+        }
+        const match = value.match(/^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+        return match ? { start: match[1], end: match[2] } : undefined;
+      }
+      default:
+        if (['on', 'sim', 'ligado', 'true', '1'].includes(lower)) {
+          return true;
+        }
+        if (['off', 'não', 'nao', 'desligado', 'false', '0'].includes(lower)) {
+          return false;
+        }
+        return undefined;
+    }
+  }
+
+  formatSettingValue(key, value) {
+    if (typeof value === 'boolean') {
+      return value ? 'on' : 'off';
+    }
+
+    switch (key) {
+      case 'persona':
+        return value || 'padrão';
+      case 'allowedCommands':
+        return value ? value.map(name => `/${name}`).join(', ') : 'todos';
+      case 'quietHours':
+        return value ? `${value.start}-${value.end}` : 'off';
+      case 'businessHours':
+        return businessHoursService.describe(value);
+      case 'monthlyBudgetUsd':
+        return value === null ? 'padrão' : `US$ ${value.toFixed(2)}`;
+      default:
+        return String(value);
+    }
+  }
+
+  formatChatSettings(settings) {
+    const lines = chatSettingsService.getKeys()
+      .map(key => `• *${key}*: ${this.formatSettingValue(key, settings[key])}`);
+
+    return `⚙️ *Configurações desta conversa*\n\n${lines.join('\n')}\n\nAltere com /config <chave> <valor> ou volte ao padrão com /config reset.`;
+  }
+
   // Activate support mode for a chat
-  async activateSupportMode(chatId, category) {
-    this.activeSupportChats.set(chatId, category);
+  async activateSupportMode(chatId, category, instanceId = null) {
+    await supportSessionService.startSession(chatId, category, instanceId);
+    await conversationMemoryService.clear(chatId);
 
     let response;
     if (category === 'curso') {
@@ -794,29 +1535,34 @@ Nenhum resultado relevante encontrado na base de conhecimento.
     } else {
       response = `✅ *Modo de Apoio (${category}) ativado.*\n\nFaça suas perguntas. Para sair, digite 'obrigado'.`;
     }
+
+    // Outside business hours the questions are kept for staff instead of being answered now
+    const businessHours = await businessHoursService.getBusinessHours(await chatSettingsService.getSettings(chatId), instanceId);
+    if (businessHoursService.shouldQueue(businessHours, 'supportMode')) {
+      const nextOpening = businessHoursService.describeNextOpening(businessHours);
+      response += `\n\n🕒 Estamos fora do horário de atendimento: suas perguntas ficam registradas e a equipe responde${nextOpening ? ` a partir de ${nextOpening}` : ' assim que possível'}.`;
+    }
     
-    await whatsappService.sendMessage(chatId, response);
+    await whatsappService.sendMessage(chatId, response, instanceId);
     logger.info(`Modo de suporte ativado para ${chatId} com a categoria ${category}.`);
   }
 
-  // Deactivate support mode for a chat
+  // Deactivate support mode for a chat (the session service sends the goodbye)
   async deactivateSupportMode(chatId) {
-    this.activeSupportChats.delete(chatId);
-    const response = "👍 *Modo de Apoio finalizado.* Até a próxima!";
-    await whatsappService.sendMessage(chatId, response);
+    await supportSessionService.endSession(chatId, 'user');
     logger.info(`Modo de suporte desativado para ${chatId}.`);
   }
 
   // Handle a query while in support mode
-  async handleSupportQuery(message, category) {
+  async handleSupportQuery(message, category, settings = null) {
     try {
       const query = message.content;
       logger.info(`Consulta de suporte recebida de ${message.chat_id}: "${query}"`);
       
-      const searchResults = await knowledgeSearchService.search(query, category);
+      const searchResults = await knowledgeSearchService.search(query, category, { chatId: message.chat_id, senderId: message.sender_id });
 
       if (searchResults.length === 0) {
-        await whatsappService.sendMessage(message.chat_id, "Desculpe, não encontrei uma resposta para sua pergunta na base de conhecimento.");
+        await whatsappService.sendMessage(message.chat_id, "Desculpe, não encontrei uma resposta para sua pergunta na base de conhecimento.", message.instance_id);
         return;
       }
       
@@ -836,12 +1582,20 @@ Nenhum resultado relevante encontrado na base de conhecimento.
         **Sua Resposta:**
       `;
 
-      const response = await aiService.generateTextResponse(prompt);
-      await whatsappService.sendMessage(message.chat_id, response);
+      // The history holds the stored questions, not the prompts with the knowledge base context
+      const memory = await conversationMemoryService.buildContext(message.chat_id, message);
+      const response = await aiService.generateTextResponse(prompt, {
+        ...(await this.buildReplyContext(message, settings)),
+        ...memory
+      });
+      await whatsappService.sendMessage(message.chat_id, response, message.instance_id);
 
     } catch (error) {
       logger.error(`Erro ao processar a consulta de suporte para ${message.chat_id}`, { error: error.message });
-      await whatsappService.sendMessage(message.chat_id, "Ocorreu um erro ao processar sua pergunta. Tente novamente.");
+      const reply = usageService.isBudgetExceeded(error)
+        ? usageService.getLimitReachedMessage()
+        : "Ocorreu um erro ao processar sua pergunta. Tente novamente.";
+      await whatsappService.sendMessage(message.chat_id, reply, message.instance_id);
     } finally {
       await this.markMessageProcessed(message.message_id);
     }
@@ -0,0 +1,258 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// After a failed seed the group is not asked for again for a while, so every message does not fire a failing call
+const SEED_RETRY_MS = 10 * 60 * 1000;
+
+class ParticipantService {
+  constructor() {
+    this.seededGroups = new Set(); // Groups already seeded in this process
+    this.seedFailures = new Map(); // chatId -> time of the last failed seed
+  }
+
+  // Normalize a participant entry (plain JID or { id, admin })
+  normalizeParticipant(participant) {
+    if (typeof participant === 'string') {
+      return { id: participant, isAdmin: null };
+    }
+
+    return {
+      id: participant.id || participant.jid,
+      isAdmin: ADMIN_ROLES.includes(participant.admin) || participant.isAdmin === true || participant.isSuperAdmin === true
+    };
+  }
+
+  // Handle GROUPS_UPSERT: the payload carries the full group metadata
+  async handleGroupsUpsert(data) {
+    const groups = Array.isArray(data) ? data : [data];
+
+    for (const group of groups) {
+      if (!group.id || !Array.isArray(group.participants)) {
+        logger.warn('Received group metadata without participants, skipping.', { groupId: group.id });
+        continue;
+      }
+
+      await this.syncParticipants(group.id, group.participants);
+      this.seededGroups.add(group.id);
+    }
+  }
+
+  // Handle GROUP_PARTICIPANTS_UPDATE: joins, leaves, promotions and demotions
+  async handleParticipantsUpdate(data, instanceId = null) {
+    const { id: chatId, participants = [], action } = data;
+
+    if (!chatId || !PARTICIPANT_ACTIONS.includes(action)) {
+      logger.warn('Received an invalid participants update, skipping.', { chatId, action });
+      return;
+    }
+
+    await this.ensureGroupSeeded(chatId, instanceId);
+
+    for (const participant of participants) {
+      const { id: participantId } = this.normalizeParticipant(participant);
+      await this.applyParticipantAction(chatId, participantId, action);
+    }
+
+    logger.info('Group participants updated', { chatId, action, count: participants.length });
+  }
+
+  // Apply a single membership change and record it in the history
+  async applyParticipantAction(chatId, participantId, action, source = 'webhook') {
+    try {
+      let query;
+
+      switch (action) {
+        case 'add':
+          query = `
+            INSERT INTO chat_participants (chat_id, participant_id, joined_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP)
+            ON CONFLICT (chat_id, participant_id)
+            DO UPDATE SET
+              joined_at = CASE WHEN chat_participants.left_at IS NOT NULL THEN CURRENT_TIMESTAMP ELSE chat_participants.joined_at END,
+              left_at = NULL,
+              updated_at = CURRENT_TIMESTAMP
+          `;
+          break;
+        case 'remove':
+          query = `
+            UPDATE chat_participants
+            SET left_at = CURRENT_TIMESTAMP, is_admin = false, updated_at = CURRENT_TIMESTAMP
+            WHERE chat_id = $1 AND participant_id = $2 AND left_at IS NULL
+          `;
+          break;
+        case 'promote':
+          query = `
+            INSERT INTO chat_participants (chat_id, participant_id, is_admin)
+            VALUES ($1, $2, true)
+            ON CONFLICT (chat_id, participant_id)
+            DO UPDATE SET is_admin = true, left_at = NULL, updated_at = CURRENT_TIMESTAMP
+          `;
+          break;
+        case 'demote':
+          query = `
+            UPDATE chat_participants
+            SET is_admin = false, updated_at = CURRENT_TIMESTAMP
+            WHERE chat_id = $1 AND participant_id = $2
+          `;
+          break;
+        default:
+          throw new Error(`Unknown participant action: ${action}`);
+      }
+
+      await database.query(query, [chatId, participantId]);
+      await this.recordEvent(chatId, participantId, action, source);
+
+    } catch (error) {
+      logger.logDatabase('UPSERT', 'chat_participants', 'error', {
+        chatId,
+        participantId,
+        action,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Record a membership change for the history endpoint
+  async recordEvent(chatId, participantId, action, source) {
+    const query = `
+      INSERT INTO chat_participant_events (chat_id, participant_id, action, source)
+      VALUES ($1, $2, $3, $4)
+    `;
+
+    await database.query(query, [chatId, participantId, action, source]);
+  }
+
+  // Reconcile the stored participants with a full participant list
+  async syncParticipants(chatId, participants, source = 'sync') {
+    const current = await database.query(
+      'SELECT participant_id, is_admin FROM chat_participants WHERE chat_id = $1 AND left_at IS NULL',
+      [chatId]
+    );
+
+    // The first sync only seeds the table; it does not describe real joins
+    const isFirstSync = current.rows.length === 0;
+    const currentById = new Map(current.rows.map(row => [row.participant_id, row]));
+    const incoming = participants.map(p => this.normalizeParticipant(p)).filter(p => p.id);
+    const incomingIds = new Set(incoming.map(p => p.id));
+
+    for (const participant of incoming) {
+      const existing = currentById.get(participant.id);
+
+      if (isFirstSync) {
+        await database.query(`
+          INSERT INTO chat_participants (chat_id, participant_id, is_admin)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (chat_id, participant_id)
+          DO UPDATE SET is_admin = EXCLUDED.is_admin, left_at = NULL, updated_at = CURRENT_TIMESTAMP
+        `, [chatId, participant.id, participant.isAdmin === true]);
+        continue;
+      }
+
+      if (!existing) {
+        await this.applyParticipantAction(chatId, participant.id, 'add', source);
+      }
+
+      if (participant.isAdmin === true && !existing?.is_admin) {
+        await this.applyParticipantAction(chatId, participant.id, 'promote', source);
+      } else if (participant.isAdmin === false && existing?.is_admin) {
+        await this.applyParticipantAction(chatId, participant.id, 'demote', source);
+      }
+    }
+
+    for (const participantId of currentById.keys()) {
+      if (!incomingIds.has(participantId)) {
+        await this.applyParticipantAction(chatId, participantId, 'remove', source);
+      }
+    }
+
+    logger.info('Group participants synchronized', {
+      chatId,
+      participants: incoming.length,
+      firstSync: isFirstSync
+    });
+  }
+
+  // Fetch the participant list from Evolution, through the instance the group belongs to, and reconcile it
+  async seedGroup(chatId, instanceId = null) {
+    const response = await whatsappService.getGroupParticipants(chatId, instanceId);
+    const participants = Array.isArray(response) ? response : (response?.participants || []);
+
+    await this.syncParticipants(chatId, participants);
+    this.seededGroups.add(chatId);
+    this.seedFailures.delete(chatId);
+
+    return participants.length;
+  }
+
+  // Seed a group the first time it is seen, without failing the caller
+  async ensureGroupSeeded(chatId, instanceId = null) {
+    if (this.seededGroups.has(chatId)) {
+      return;
+    }
+
+    if (Date.now() - (this.seedFailures.get(chatId) || 0) < SEED_RETRY_MS) {
+      return;
+    }
+
+    try {
+      const result = await database.query(
+        'SELECT 1 FROM chat_participants WHERE chat_id = $1 LIMIT 1',
+        [chatId]
+      );
+
+      if (result.rows.length > 0) {
+        this.seededGroups.add(chatId);
+        return;
+      }
+
+      await this.seedGroup(chatId, instanceId);
+
+    } catch (error) {
+      this.seedFailures.set(chatId, Date.now());
+      logger.warn('Failed to seed group participants', {
+        chatId,
+        instanceId,
+        error: error.message
+      });
+    }
+  }
+
+  // Get participants of a chat
+  async getParticipants(chatId, includeLeft = false) {
+    let query = `
+      SELECT participant_id, participant_name, is_admin, joined_at, left_at
+      FROM chat_participants
+      WHERE chat_id = $1
+    `;
+
+    if (!includeLeft) {
+      query += ' AND left_at IS NULL';
+    }
+
+    query += ' ORDER BY is_admin DESC, joined_at ASC';
+
+    const result = await database.query(query, [chatId]);
+    return result.rows;
+  }
+
+  // Get the membership history of a chat, newest first
+  async getHistory(chatId, limit = 100) {
+    const query = `
+      SELECT participant_id, action, source, created_at
+      FROM chat_participant_events
+      WHERE chat_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `;
+
+    const result = await database.query(query, [chatId, limit]);
+    return result.rows;
+  }
+}
+
+module.exports = new ParticipantService();
@@ -1,9 +1,14 @@
 const Bull = require('bull');
 const redis = require('../config/redis');
 const logger = require('../utils/logger');
+const { resolveSummaryPeriod } = require('../utils/summaryPeriod');
+const { renderSummary } = require('../utils/structuredSummary');
 const aiService = require('./aiService');
+const usageService = require('./usageService');
 const database = require('../config/database');
 const whatsappService = require('./whatsappService');
+const roleService = require('./roleService');
+const summaryService = require('./summaryService');
 
 class QueueService {
   constructor() {
@@ -203,13 +208,13 @@ class QueueService {
 
   // Process audio job
   async processAudioJob(job) {
-    const { messageId, chatId, mediaUrl, content } = job.data;
+    const { messageId, chatId, senderId, mediaUrl, content, instanceId } = job.data;
     
     try {
       job.progress(10);
       
       // Transcribe audio
-      const transcription = await aiService.transcribeAudio(mediaUrl, messageId);
+      const transcription = await aiService.transcribeAudio(mediaUrl, messageId, { chatId, senderId });
       
       job.progress(70);
       
@@ -221,11 +226,9 @@ class QueueService {
       
       job.progress(90);
       
-      // Send transcription to admin if configured
-      if (process.env.ADMIN_CHAT_ID) {
-        const response = `🎵 *Transcrição de áudio de ${chatId}:*\n\n${transcription}`;
-        await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, response);
-      }
+      // Send transcription to the admins
+      const response = `🎵 *Transcrição de áudio de ${chatId}:*\n\n${transcription}`;
+      await roleService.sendToAdmins(response, instanceId);
       
       job.progress(100);
       
@@ -243,13 +246,13 @@ class QueueService {
 
   // Process image job
   async processImageJob(job) {
-    const { messageId, chatId, mediaUrl, content } = job.data;
+    const { messageId, chatId, senderId, mediaUrl, content, instanceId } = job.data;
     
     try {
       job.progress(10);
       
       // Describe image
-      const description = await aiService.describeImage(mediaUrl, messageId);
+      const description = await aiService.describeImage(mediaUrl, messageId, { chatId, senderId });
       
       job.progress(70);
       
@@ -261,11 +264,9 @@ class QueueService {
       
       job.progress(90);
       
-      // Send description to admin if configured
-      if (process.env.ADMIN_CHAT_ID) {
-        const response = `🖼️ *Descrição de imagem de ${chatId}:*\n\n${description}`;
-        await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, response);
-      }
+      // Send description to the admins
+      const response = `🖼️ *Descrição de imagem de ${chatId}:*\n\n${description}`;
+      await roleService.sendToAdmins(response, instanceId);
       
       job.progress(100);
       
@@ -283,13 +284,13 @@ class QueueService {
 
   // Process document job
   async processDocumentJob(job) {
-    const { messageId, chatId, mediaUrl, content } = job.data;
+    const { messageId, chatId, senderId, mediaUrl, content, instanceId } = job.data;
     
     try {
       job.progress(10);
       
       // Summarize document
-      const summary = await aiService.summarizeDocument(mediaUrl, messageId, content);
+      const summary = await aiService.summarizeDocument(mediaUrl, messageId, content, { chatId, senderId });
       
       job.progress(70);
       
@@ -301,11 +302,9 @@ class QueueService {
       
       job.progress(90);
       
-      // Send summary to admin if configured
-      if (process.env.ADMIN_CHAT_ID) {
-        const response = `📄 *Resumo de documento de ${chatId}:*\n\n${summary}`;
-        await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, response);
-      }
+      // Send summary to the admins
+      const response = `📄 *Resumo de documento de ${chatId}:*\n\n${summary}`;
+      await roleService.sendToAdmins(response, instanceId);
       
       job.progress(100);
       
@@ -323,13 +322,15 @@ class QueueService {
 
   // Process group summary job
   async processGroupSummaryJob(job) {
-    const { chatId, period, requesterId } = job.data;
+    const { chatId, requesterId, instanceId } = job.data;
+    // Jobs carry the range resolved when they were requested; scheduled ones only a period key
+    const period = resolveSummaryPeriod(job.data);
     
     try {
       job.progress(20);
       
       // Get messages for the period
-      const messages = await this.getGroupMessages(chatId, period);
+      const { messages, truncated } = await summaryService.getGroupMessages(chatId, period);
       
       if (messages.length === 0) {
         throw new Error('No messages found for the specified period');
@@ -337,46 +338,76 @@ class QueueService {
       
       job.progress(50);
       
-      // Generate summary
-      const summary = await aiService.generateGroupSummary(messages, period);
+      // Generate summary; large windows are summarized in chunks (50-75%) and then merged (80%)
+      const summaryData = await aiService.generateGroupSummary(messages, period, { chatId, senderId: requesterId }, ({ stage, completed, total }) => {
+        job.progress(stage === 'map' ? 50 + Math.floor((25 * completed) / total) : 80);
+      });
+      const summary = summaryService.withTruncationNote(renderSummary(summaryData), truncated);
       
       job.progress(80);
       
       // Save summary to database
-      await this.saveSummary(chatId, period, summary, messages.length);
+      await summaryService.saveSummary(chatId, period, summaryData, messages.length, instanceId);
       
       job.progress(90);
       
-      // Se a solicitação foi feita sob demanda por um usuário, envia o resumo para ele.
-      // Caso contrário (ex: job agendado), envia para o admin.
-      if (requesterId && requesterId.includes('@c.us')) {
-        const requesterResponse = `📊 *Seu resumo solicitado para o grupo ${chatId} (${this.getPeriodText(period)}):*\n\n${summary}`;
-        await whatsappService.sendMessage(requesterId, requesterResponse);
-      } else if (process.env.ADMIN_CHAT_ID) {
-        const adminResponse = `📊 *Resumo do grupo ${chatId} (${this.getPeriodText(period)}):*\n\n${summary}`;
-        await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, adminResponse);
+      // Assinaturas definem seus destinos; pedidos sob demanda vão para quem pediu
+      // e os demais (ex: job agendado sem destinos) para os administradores.
+      if (job.data.destinations) {
+        await this.deliverSubscribedSummary(job.data, period, summary);
+      } else if (requesterId && requesterId.includes('@c.us')) {
+        const requesterResponse = `📊 *Seu resumo solicitado para o grupo ${chatId} (${period.label}):*\n\n${summary}`;
+        await whatsappService.sendMessage(requesterId, requesterResponse, instanceId);
+      } else {
+        const adminResponse = `📊 *Resumo do grupo ${chatId} (${period.label}):*\n\n${summary}`;
+        await roleService.sendToAdmins(adminResponse, instanceId);
       }
       
       job.progress(100);
       
-      return { summary, messageCount: messages.length, status: 'completed' };
+      return { summary, summaryData, messageCount: messages.length, status: 'completed' };
 
     } catch (error) {
       // Send error message to requester
-      const errorResponse = `❌ Erro ao gerar resumo: ${error.message}`;
+      const errorResponse = usageService.isBudgetExceeded(error)
+        ? usageService.getLimitReachedMessage()
+        : `❌ Erro ao gerar resumo: ${error.message}`;
       if (requesterId && requesterId.includes('@c.us')) {
-        await whatsappService.sendMessage(requesterId, errorResponse);
-      } else if (process.env.ADMIN_CHAT_ID) {
-        await whatsappService.sendMessage(process.env.ADMIN_CHAT_ID, `Falha no resumo para ${chatId}: ${error.message}`);
+        await whatsappService.sendMessage(requesterId, errorResponse, instanceId);
+      } else {
+        await roleService.sendToAdmins(`Falha no resumo para ${chatId}: ${error.message}`, instanceId);
       }
       
       throw error;
     }
   }
 
+  // Send a subscription's summary to each destination: "group", "admins" or a contact JID
+  async deliverSubscribedSummary({ chatId, instanceId, destinations, subscriptionId }, period, summary) {
+    for (const destination of destinations) {
+      try {
+        if (destination === 'group') {
+          await whatsappService.sendMessage(chatId, `📊 *Resumo do grupo (${period.label}):*\n\n${summary}`, instanceId);
+        } else if (destination === 'admins') {
+          await roleService.sendToAdmins(`📊 *Resumo do grupo ${chatId} (${period.label}):*\n\n${summary}`, instanceId);
+        } else {
+          await whatsappService.sendMessage(destination, `📊 *Resumo do grupo ${chatId} (${period.label}):*\n\n${summary}`, instanceId);
+        }
+      } catch (error) {
+        // One unreachable destination should not keep the summary from the others
+        logger.warn('Failed to deliver subscribed summary', {
+          subscriptionId,
+          chatId,
+          destination,
+          error: error.message
+        });
+      }
+    }
+  }
+
   // Process text response job
   async processTextResponseJob(job) {
-    const { messageId, chatId, content, context } = job.data;
+    const { messageId, chatId, content, context, instanceId } = job.data;
     
     try {
       job.progress(30);
@@ -387,7 +418,7 @@ class QueueService {
       job.progress(80);
       
       // Send response
-      await whatsappService.sendMessage(chatId, response);
+      await whatsappService.sendMessage(chatId, response, instanceId);
       
       job.progress(100);
       
@@ -443,88 +474,6 @@ class QueueService {
     }
   }
 
-  // Get group messages for summary
-  async getGroupMessages(chatId, period) {
-    try {
-      let hours;
-      switch (period) {
-        case '24h':
-          hours = 24;
-          break;
-        case '48h':
-          hours = 48;
-          break;
-        case '1week':
-          hours = 168;
-          break;
-        default:
-          hours = 24;
-      }
-
-      const query = `
-        SELECT * FROM messages 
-        WHERE chat_id = $1 
-        AND is_group = true 
-        AND created_at >= NOW() - INTERVAL '${hours} hours'
-        ORDER BY created_at ASC
-        LIMIT 500
-      `;
-
-      const result = await database.query(query, [chatId]);
-      return result.rows;
-
-    } catch (error) {
-      logger.logDatabase('SELECT', 'messages', 'error', {
-        chatId,
-        period,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
-  // Save summary to database
-  async saveSummary(chatId, period, summaryText, messageCount) {
-    try {
-      const query = `
-        INSERT INTO group_summaries (
-          chat_id, summary_period, summary_text, message_count,
-          start_date, end_date
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (chat_id, summary_period, start_date) 
-        DO UPDATE SET 
-          summary_text = EXCLUDED.summary_text,
-          message_count = EXCLUDED.message_count,
-          updated_at = CURRENT_TIMESTAMP
-      `;
-
-      const endDate = new Date();
-      const startDate = new Date();
-      
-      switch (period) {
-        case '24h':
-          startDate.setHours(startDate.getHours() - 24);
-          break;
-        case '48h':
-          startDate.setHours(startDate.getHours() - 48);
-          break;
-        case '1week':
-          startDate.setDate(startDate.getDate() - 7);
-          break;
-      }
-
-      const values = [chatId, period, summaryText, messageCount, startDate, endDate];
-      await database.query(query, values);
-
-    } catch (error) {
-      logger.logDatabase('INSERT', 'group_summaries', 'error', {
-        chatId,
-        period,
-        error: error.message
-      });
-    }
-  }
-
   // Get media priority based on type
   getMediaPriority(mediaType) {
     const priorities = {
@@ -538,20 +487,6 @@ class QueueService {
     return priorities[mediaType] || 5;
   }
 
-  // Get period text in Portuguese
-  getPeriodText(period) {
-    switch (period) {
-      case '24h':
-        return 'últimas 24 horas';
-      case '48h':
-        return 'últimas 48 horas';
-      case '1week':
-        return 'última semana';
-      default:
-        return 'últimas 24 horas';
-    }
-  }
-
   // Get queue statistics
   async getQueueStats() {
     const stats = {};
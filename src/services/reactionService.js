@@ -0,0 +1,118 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const contactService = require('./contactService');
+
+class ReactionService {
+  // SQL expressions with the per-emoji counts and the total of reactions of a message row
+  reactionCountsSql(messageAlias = 'm') {
+    return `COALESCE((
+        SELECT json_agg(json_build_object('emoji', rc.emoji, 'count', rc.count) ORDER BY rc.count DESC, rc.emoji)
+        FROM (
+          SELECT emoji, COUNT(*)::int AS count
+          FROM message_reactions
+          WHERE message_id = ${messageAlias}.message_id
+          GROUP BY emoji
+        ) rc
+      ), '[]'::json) AS reactions,
+      (SELECT COUNT(*)::int FROM message_reactions WHERE message_id = ${messageAlias}.message_id) AS reaction_count`;
+  }
+
+  // Store a reaction parsed from a reactionMessage; an empty emoji removes the sender's reaction
+  async handleReaction(messageData) {
+    const { emoji, targetMessageId, removed } = messageData.payload || {};
+
+    if (!targetMessageId) {
+      logger.warn('Received a reaction without target message, skipping.', { messageId: messageData.messageId });
+      return null;
+    }
+
+    if (removed) {
+      await this.removeReaction(targetMessageId, messageData.senderId);
+      return null;
+    }
+
+    return this.saveReaction({
+      messageId: targetMessageId,
+      chatId: messageData.chatId,
+      senderId: messageData.senderId,
+      emoji,
+      reactionMessageId: messageData.messageId,
+      instanceId: messageData.instanceId
+    });
+  }
+
+  // WhatsApp keeps a single reaction per sender, so a new emoji replaces the previous one
+  async saveReaction({ messageId, chatId, senderId, emoji, reactionMessageId, instanceId }) {
+    try {
+      const query = `
+        INSERT INTO message_reactions (message_id, chat_id, sender_id, emoji, reaction_message_id, instance_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (message_id, sender_id)
+        DO UPDATE SET
+          emoji = EXCLUDED.emoji,
+          reaction_message_id = EXCLUDED.reaction_message_id,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [messageId, chatId, senderId, emoji, reactionMessageId, instanceId]);
+
+      logger.logDatabase('UPSERT', 'message_reactions', 'success', { messageId, senderId, emoji });
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('UPSERT', 'message_reactions', 'error', {
+        messageId,
+        senderId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async removeReaction(messageId, senderId) {
+    try {
+      const result = await database.query(
+        'DELETE FROM message_reactions WHERE message_id = $1 AND sender_id = $2',
+        [messageId, senderId]
+      );
+
+      logger.logDatabase('DELETE', 'message_reactions', 'success', {
+        messageId,
+        senderId,
+        removed: result.rowCount
+      });
+
+    } catch (error) {
+      logger.logDatabase('DELETE', 'message_reactions', 'error', {
+        messageId,
+        senderId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Every reaction of a message with the sender's display name
+  async getReactions(messageId) {
+    const result = await database.query(`
+      SELECT
+        r.emoji,
+        r.sender_id,
+        r.created_at,
+        r.updated_at,
+        ${contactService.displayNameSql('c', 'r')} AS sender_display_name
+      FROM (
+        -- displayNameSql expects a sender_name column; reactions carry no push name
+        SELECT *, NULL::varchar AS sender_name FROM message_reactions WHERE message_id = $1
+      ) r
+      LEFT JOIN contacts c ON c.contact_id = r.sender_id
+      ORDER BY r.updated_at ASC
+    `, [messageId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = new ReactionService();
@@ -0,0 +1,189 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+const instanceService = require('./instanceService');
+const contactService = require('./contactService');
+const { AppError } = require('../middleware/errorHandler');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Higher rank includes every permission of the lower ones
+const ROLE_RANKS = {
+  member: 0,
+  moderator: 1,
+  admin: 2,
+  owner: 3
+};
+
+// Roles that receive command results and automatic processing reports
+const RECIPIENT_ROLES = ['owner', 'admin'];
+
+class RoleService {
+  constructor() {
+    this.roles = new Map(); // contact_id -> registry row
+    this.loadedAt = 0;
+  }
+
+  getRoles() {
+    return Object.keys(ROLE_RANKS);
+  }
+
+  isValidRole(role) {
+    return role in ROLE_RANKS;
+  }
+
+  getRank(role) {
+    return ROLE_RANKS[role] ?? ROLE_RANKS.member;
+  }
+
+  // Accept a JID, a phone number or a mention ("@5511999999999") and return a JID
+  normalizeContactId(input) {
+    const value = String(input || '').trim().replace(/^@/, '');
+
+    if (value.includes('@')) {
+      return value;
+    }
+
+    const digits = value.replace(/\D/g, '');
+    return digits ? `${digits}@s.whatsapp.net` : null;
+  }
+
+  // Reload the role table when the cached copy is stale
+  async loadRoles(force = false) {
+    if (!force && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return;
+    }
+
+    try {
+      const result = await database.query('SELECT * FROM contact_roles');
+
+      this.roles = new Map(result.rows.map(row => [row.contact_id, row]));
+      this.loadedAt = Date.now();
+
+    } catch (error) {
+      // Keep serving the previous copy; the admin chat is still recognised without the table
+      logger.logDatabase('SELECT', 'contact_roles', 'error', {
+        error: error.message
+      });
+    }
+  }
+
+  // Role of a contact. The instance itself and its admin chat are always owners.
+  async getRole(contactId, instanceId = null) {
+    if (!contactId) {
+      return 'member';
+    }
+
+    const adminChatId = await instanceService.getAdminChatId(instanceId);
+    if ((instanceId && contactId === instanceId) || contactId === adminChatId) {
+      return 'owner';
+    }
+
+    await this.loadRoles();
+    return this.roles.get(contactId)?.role || 'member';
+  }
+
+  async hasRole(contactId, requiredRole, instanceId = null) {
+    return this.getRank(await this.getRole(contactId, instanceId)) >= this.getRank(requiredRole);
+  }
+
+  // Owners manage everyone; other roles only manage roles below their own
+  assertCanManage(actorRole, currentRole, newRole = null) {
+    if (actorRole === 'owner') {
+      return;
+    }
+
+    const actorRank = this.getRank(actorRole);
+    if (this.getRank(currentRole) >= actorRank || (newRole && this.getRank(newRole) >= actorRank)) {
+      throw new AppError('Você só pode gerenciar papéis abaixo do seu.', 403);
+    }
+  }
+
+  async listRoles() {
+    const result = await database.query(`
+      SELECT r.*, c.alias, c.push_name, c.verified_name
+      FROM contact_roles r
+      LEFT JOIN contacts c ON c.contact_id = r.contact_id
+      ORDER BY r.contact_id ASC
+    `);
+
+    return result.rows
+      .sort((a, b) => this.getRank(b.role) - this.getRank(a.role))
+      .map(({ alias, push_name, verified_name, ...row }) => ({
+        ...row,
+        display_name: contactService.resolveDisplayName({ alias, push_name, verified_name }, row.contact_id)
+      }));
+  }
+
+  // Grant or change the role of a contact
+  async grantRole(contactId, role, grantedBy = null) {
+    if (!this.isValidRole(role)) {
+      throw new AppError(`Unknown role: ${role}`, 400);
+    }
+
+    try {
+      const query = `
+        INSERT INTO contact_roles (contact_id, role, granted_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (contact_id)
+        DO UPDATE SET role = EXCLUDED.role, granted_by = EXCLUDED.granted_by, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [contactId, role, grantedBy]);
+      await this.loadRoles(true);
+
+      logger.logDatabase('UPSERT', 'contact_roles', 'success', { contactId, role, grantedBy });
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('UPSERT', 'contact_roles', 'error', {
+        contactId,
+        role,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Remove a stored role; the contact goes back to member
+  async revokeRole(contactId) {
+    const result = await database.query('DELETE FROM contact_roles WHERE contact_id = $1 RETURNING *', [contactId]);
+    await this.loadRoles(true);
+
+    logger.logDatabase('DELETE', 'contact_roles', 'success', { contactId, removed: result.rowCount });
+
+    return result.rows[0] || null;
+  }
+
+  // Chats that receive admin results: the instance admin chat plus every owner and admin
+  async getAdminRecipients(instanceId = null) {
+    await this.loadRoles();
+
+    const stored = [...this.roles.values()]
+      .filter(row => RECIPIENT_ROLES.includes(row.role))
+      .map(row => row.contact_id);
+
+    return [...new Set([await instanceService.getAdminChatId(instanceId), ...stored].filter(Boolean))];
+  }
+
+  // Send a message to every admin recipient; one failing recipient does not stop the others
+  async sendToAdmins(text, instanceId = null, recipients = null) {
+    const targets = recipients || await this.getAdminRecipients(instanceId);
+    let delivered = 0;
+
+    for (const chatId of targets) {
+      try {
+        await whatsappService.sendMessage(chatId, text, instanceId);
+        delivered++;
+      } catch (error) {
+        logger.warn('Failed to deliver admin message', { chatId, instanceId, error: error.message });
+      }
+    }
+
+    return delivered;
+  }
+}
+
+module.exports = new RoleService();
@@ -0,0 +1,98 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const aiService = require('./aiService');
+const instanceService = require('./instanceService');
+
+// Words that ask for a summary; periods alone ("24h", "semana") no longer count as a request
+const SUMMARY_KEYWORDS = /\b(resumo|resume|resumir|resuma|summary|summarize)\b/i;
+
+// "@5511999999999" as typed in the message text when someone is mentioned
+const MENTION_TEXT = /@\d+/g;
+
+class SummaryIntentService {
+  matchesKeywords(text) {
+    return SUMMARY_KEYWORDS.test(text || '');
+  }
+
+  stripMentions(text) {
+    return (text || '').replace(MENTION_TEXT, '').replace(/\s+/g, ' ').trim();
+  }
+
+  // "5511999999999:12@s.whatsapp.net" -> "5511999999999"
+  getUserPart(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+  }
+
+  // Whether a group message talks to the bot: it mentions the bot's number or replies to one of its messages
+  async isBotAddressed(message) {
+    const ownJid = await instanceService.getOwnJid(message.instance_id);
+    const ownUser = this.getUserPart(ownJid);
+    const mentions = message.payload?.mentions || [];
+
+    if (ownUser && mentions.some(jid => this.getUserPart(jid) === ownUser)) {
+      return true;
+    }
+
+    if (!message.quoted_message_id) {
+      return false;
+    }
+
+    if (ownUser && this.getUserPart(message.quoted_participant) === ownUser) {
+      return true;
+    }
+
+    // Messages sent by the bot are stored with the instance as sender
+    const result = await database.query('SELECT sender_id FROM messages WHERE message_id = $1', [message.quoted_message_id]);
+    return result.rows[0]?.sender_id === message.instance_id;
+  }
+
+  // Decide whether a group message asks for a summary, following the group's settings
+  // (summaryTrigger, summaryIntentClassifier and summaryIntentThreshold from chatSettingsService).
+  // Returns { isRequest, source, confidence }.
+  async detectSummaryRequest(message, settings) {
+    const content = (message.content || '').trim();
+
+    if (!content || settings.summaryTrigger === 'command') {
+      return { isRequest: false, source: null, confidence: null };
+    }
+
+    if (settings.summaryTrigger === 'mention' && !(await this.isBotAddressed(message))) {
+      return { isRequest: false, source: 'mention', confidence: null };
+    }
+
+    const text = this.stripMentions(content);
+    const keywordMatch = this.matchesKeywords(text);
+
+    // Without mentions the classifier only sees messages that already look like requests
+    if (!settings.summaryIntentClassifier || (settings.summaryTrigger === 'keyword' && !keywordMatch)) {
+      return { isRequest: keywordMatch, source: 'keyword', confidence: null };
+    }
+
+    try {
+      const { isSummaryRequest, confidence } = await aiService.classifySummaryIntent(text, {
+        chatId: message.chat_id,
+        senderId: message.sender_id
+      });
+      const isRequest = isSummaryRequest && confidence >= settings.summaryIntentThreshold;
+
+      logger.info('Summary intent classified', {
+        chatId: message.chat_id,
+        messageId: message.message_id,
+        isSummaryRequest,
+        confidence,
+        threshold: settings.summaryIntentThreshold
+      });
+
+      return { isRequest, source: 'classifier', confidence };
+
+    } catch (error) {
+      logger.warn('Summary intent classifier failed, falling back to keywords', {
+        chatId: message.chat_id,
+        error: error.message
+      });
+      return { isRequest: keywordMatch, source: 'keyword', confidence: null };
+    }
+  }
+}
+
+module.exports = new SummaryIntentService();
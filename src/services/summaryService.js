@@ -1,14 +1,108 @@
 const database = require('../config/database');
-const queueService = require('./queueService');
 const logger = require('../utils/logger');
+const contactService = require('./contactService');
+const reactionService = require('./reactionService');
+const { resolveSummaryPeriod, MAX_SUMMARY_MESSAGES } = require('../utils/summaryPeriod');
+const { renderSummary } = require('../utils/structuredSummary');
 
 const MIN_MESSAGES_FOR_SUMMARY = 5;
-const DEFAULT_SUMMARY_PERIOD = '24h';
 
-async function requestSummary(chatId, requesterId) {
+// Messages of a group within a window from utils/summaryPeriod, oldest first. Past MAX_SUMMARY_MESSAGES
+// only the most recent ones are kept and `truncated` is set, so the reply can say so.
+async function getGroupMessages(chatId, period) {
   try {
-    // 1. Verificar se o chat é um grupo
-    const chatQuery = 'SELECT is_group FROM messages WHERE chat_id = $1 LIMIT 1';
+    const query = `
+      SELECT
+        m.*,
+        ${contactService.displayNameSql()} AS sender_display_name,
+        ${reactionService.reactionCountsSql()}
+      FROM messages m
+      LEFT JOIN contacts c ON c.contact_id = m.sender_id
+      WHERE m.chat_id = $1 
+      AND m.is_group = true 
+      AND m.is_deleted = false
+      AND m.created_at >= $2
+      AND m.created_at < $3
+      ORDER BY m.created_at DESC
+      LIMIT $4
+    `;
+
+    // One row past the cap tells a full window from a cut one
+    const result = await database.query(query, [chatId, period.startDate, period.endDate, MAX_SUMMARY_MESSAGES + 1]);
+    const truncated = result.rows.length > MAX_SUMMARY_MESSAGES;
+
+    if (truncated) {
+      logger.warn('Summary window reached the message cap; older messages are left out', {
+        chatId,
+        period: period.period,
+        cap: MAX_SUMMARY_MESSAGES
+      });
+    }
+
+    return {
+      messages: result.rows.slice(0, MAX_SUMMARY_MESSAGES).reverse(),
+      truncated
+    };
+
+  } catch (error) {
+    logger.logDatabase('SELECT', 'messages', 'error', {
+      chatId,
+      period: period.period,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+// Rendered summary plus, when getGroupMessages cut the window, a note saying what it covers
+function withTruncationNote(summary, truncated) {
+  if (!truncated) {
+    return summary;
+  }
+
+  return `${summary}\n\n_⚠️ O período tem mais de ${MAX_SUMMARY_MESSAGES.toLocaleString('pt-BR')} mensagens; o resumo cobre apenas as mais recentes._`;
+}
+
+// Save summary to database with the window it covers: the structure in summary_data and its rendering in summary_text
+async function saveSummary(chatId, period, summary, messageCount, instanceId = null) {
+  try {
+    const query = `
+      INSERT INTO group_summaries (
+        chat_id, summary_period, summary_text, summary_data, message_count,
+        start_date, end_date, instance_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (chat_id, summary_period, start_date) 
+      DO UPDATE SET 
+        summary_text = EXCLUDED.summary_text,
+        summary_data = EXCLUDED.summary_data,
+        message_count = EXCLUDED.message_count,
+        end_date = EXCLUDED.end_date,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    // The real range covered, so arbitrary windows can be told apart
+    const values = [
+      chatId, period.period, renderSummary(summary), JSON.stringify(summary), messageCount,
+      period.startDate, period.endDate, instanceId
+    ];
+    await database.query(query, values);
+
+  } catch (error) {
+    logger.logDatabase('INSERT', 'group_summaries', 'error', {
+      chatId,
+      period: period.period,
+      error: error.message
+    });
+  }
+}
+
+// period: a window from utils/summaryPeriod; the last 24 hours when omitted
+async function requestSummary(chatId, requesterId, instanceId = null, period = null) {
+  const window = period || resolveSummaryPeriod();
+
+  try {
+    // 1. Verificar se o chat é um grupo (e por qual instância ele conversa)
+    const chatQuery = 'SELECT is_group, instance_id FROM messages WHERE chat_id = $1 ORDER BY created_at DESC LIMIT 1';
     const chatResult = await database.query(chatQuery, [chatId]);
 
     if (chatResult.rows.length === 0) {
@@ -23,16 +117,17 @@ async function requestSummary(chatId, requesterId) {
       throw error;
     }
 
-    // 2. Verificar se há mensagens suficientes no período padrão
-    const hours = 24; // Corresponde a '24h'
+    // 2. Verificar se há mensagens suficientes no período solicitado
     const messageCountQuery = `
       SELECT COUNT(*) as count FROM messages 
       WHERE chat_id = $1 
       AND is_group = true 
-      AND created_at >= NOW() - INTERVAL '${hours} hours'
+      AND is_deleted = false
+      AND created_at >= $2
+      AND created_at < $3
     `;
 
-    const messageCountResult = await database.query(messageCountQuery, [chatId]);
+    const messageCountResult = await database.query(messageCountQuery, [chatId, window.startDate, window.endDate]);
     const messageCount = parseInt(messageCountResult.rows[0].count);
 
     if (messageCount < MIN_MESSAGES_FOR_SUMMARY) {
@@ -44,11 +139,17 @@ async function requestSummary(chatId, requesterId) {
     // 3. Adicionar o trabalho de geração de resumo à fila
     const jobData = {
       chatId,
-      period: DEFAULT_SUMMARY_PERIOD,
+      period: window.period,
+      startDate: window.startDate.toISOString(),
+      endDate: window.endDate.toISOString(),
+      label: window.label,
       requesterId,
+      instanceId: instanceId || chatResult.rows[0].instance_id,
       force: true // Força a geração, pois é um pedido sob demanda
     };
     
+    // Required here: queueService runs the jobs with the helpers above and requires this module
+    const queueService = require('./queueService');
     const job = await queueService.addSummaryJob(jobData);
 
     logger.info('Trabalho de resumo sob demanda adicionado à fila', { jobId: job.id, chatId, requesterId });
@@ -56,7 +157,10 @@ async function requestSummary(chatId, requesterId) {
     return {
       jobId: job.id,
       chatId,
-      period: DEFAULT_SUMMARY_PERIOD,
+      period: window.period,
+      startDate: window.startDate,
+      endDate: window.endDate,
+      label: window.label,
       messageCount,
       estimatedTime: Math.ceil(messageCount / 10) // Estimativa simples
     };
@@ -74,5 +178,8 @@ async function requestSummary(chatId, requesterId) {
 }
 
 module.exports = {
-  requestSummary
+  requestSummary,
+  getGroupMessages,
+  withTruncationNote,
+  saveSummary
 }; 
\ No newline at end of file
@@ -0,0 +1,273 @@
+const cron = require('node-cron');
+const database = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const queueService = require('./queueService');
+const instanceService = require('./instanceService');
+const roleService = require('./roleService');
+const { parseSummaryPeriod, isWithinMaxWindow } = require('../utils/summaryPeriod');
+const { AppError } = require('../middleware/errorHandler');
+
+// Subscriptions on this chat_id cover every group with enough messages
+const ALL_GROUPS = '*';
+
+// "group" posts in the group itself, "admins" goes to every owner and admin; anything else is a contact
+const DESTINATION_KEYWORDS = ['group', 'admins'];
+
+// Replicas are told to reload their schedules through this channel
+const CHANGES_CHANNEL = 'summary_subscriptions:changed';
+
+class SummarySubscriptionService {
+  getChangesChannel() {
+    return CHANGES_CHANNEL;
+  }
+
+  // Accept "group", "admins", JIDs or phone numbers; returns the normalized list
+  normalizeDestinations(destinations) {
+    if (!Array.isArray(destinations) || destinations.length === 0) {
+      throw new AppError('destinations must be a non-empty list', 400);
+    }
+
+    const normalized = destinations.map(destination => {
+      const value = String(destination || '').trim().toLowerCase();
+      if (DESTINATION_KEYWORDS.includes(value)) {
+        return value;
+      }
+
+      const contactId = roleService.normalizeContactId(destination);
+      if (!contactId) {
+        throw new AppError(`Invalid destination: ${destination}`, 400);
+      }
+      return contactId;
+    });
+
+    return [...new Set(normalized)];
+  }
+
+  // Check the fields of a subscription; throws a 400 AppError on invalid values
+  validate({ chatId, cronExpression, period, minMessages, destinations }) {
+    if (chatId !== undefined && chatId !== ALL_GROUPS && !String(chatId).endsWith('@g.us')) {
+      throw new AppError('chatId must be a group JID or "*" for every group', 400);
+    }
+
+    if (cronExpression !== undefined && !cron.validate(cronExpression)) {
+      throw new AppError(`Invalid cron expression: ${cronExpression}`, 400);
+    }
+
+    if (period !== undefined) {
+      const window = parseSummaryPeriod(period);
+      if (!window || window.period === 'custom') {
+        throw new AppError(`Invalid period: ${period}`, 400);
+      }
+      if (!isWithinMaxWindow(window)) {
+        throw new AppError(`Period too long: ${period}`, 400);
+      }
+    }
+
+    if (minMessages !== undefined && (!Number.isInteger(minMessages) || minMessages < 1)) {
+      throw new AppError('minMessages must be a positive integer', 400);
+    }
+
+    return destinations !== undefined ? this.normalizeDestinations(destinations) : undefined;
+  }
+
+  async listSubscriptions({ chatId = null, activeOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (chatId) {
+      params.push(chatId);
+      conditions.push(`chat_id = $${params.length}`);
+    }
+
+    if (activeOnly) {
+      conditions.push('is_active = true');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await database.query(`SELECT * FROM summary_subscriptions ${where} ORDER BY id ASC`, params);
+
+    return result.rows;
+  }
+
+  async getSubscription(id) {
+    const result = await database.query('SELECT * FROM summary_subscriptions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async createSubscription({ chatId, cronExpression, period = '24h', minMessages = 10, destinations = ['admins'], instanceId = null, isActive = true }, createdBy = null) {
+    const normalizedDestinations = this.validate({ chatId, cronExpression, period, minMessages, destinations });
+
+    try {
+      const query = `
+        INSERT INTO summary_subscriptions (
+          chat_id, cron_expression, period, min_messages, destinations, instance_id, is_active, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+
+      const values = [chatId, cronExpression, period, minMessages, JSON.stringify(normalizedDestinations), instanceId, isActive, createdBy];
+      const result = await database.query(query, values);
+
+      logger.logDatabase('INSERT', 'summary_subscriptions', 'success', { id: result.rows[0].id, chatId, cronExpression });
+      await this.notifyChanged();
+
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('INSERT', 'summary_subscriptions', 'error', {
+        chatId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Change a subscription; omitted fields keep their current value
+  async updateSubscription(id, { cronExpression, period, minMessages, destinations, instanceId, isActive } = {}) {
+    const normalizedDestinations = this.validate({ cronExpression, period, minMessages, destinations });
+
+    const query = `
+      UPDATE summary_subscriptions SET
+        cron_expression = COALESCE($2, cron_expression),
+        period = COALESCE($3, period),
+        min_messages = COALESCE($4, min_messages),
+        destinations = COALESCE($5, destinations),
+        instance_id = COALESCE($6, instance_id),
+        is_active = COALESCE($7, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const values = [
+      id,
+      cronExpression ?? null,
+      period ?? null,
+      minMessages ?? null,
+      normalizedDestinations ? JSON.stringify(normalizedDestinations) : null,
+      instanceId ?? null,
+      isActive ?? null
+    ];
+
+    const result = await database.query(query, values);
+    if (result.rows.length > 0) {
+      await this.notifyChanged();
+    }
+
+    return result.rows[0] || null;
+  }
+
+  async deleteSubscription(id) {
+    const result = await database.query('DELETE FROM summary_subscriptions WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length > 0) {
+      await this.notifyChanged();
+    }
+
+    return result.rows[0] || null;
+  }
+
+  async notifyChanged() {
+    try {
+      await redis.publish(CHANGES_CHANNEL, { at: new Date().toISOString() });
+    } catch (error) {
+      // Schedules still refresh when the service restarts
+      logger.warn('Failed to announce summary subscription changes', { error: error.message });
+    }
+  }
+
+  // Groups a subscription covers in its window, with their message counts and the instance they are
+  // read through; a subscription bound to an instance only covers that instance's groups
+  async getTargetGroups(subscription, window) {
+    const params = [window.startDate, window.endDate, subscription.min_messages];
+    let chatFilter = '';
+
+    if (subscription.chat_id !== ALL_GROUPS) {
+      params.push(subscription.chat_id);
+      chatFilter = `AND chat_id = $${params.length}`;
+    }
+
+    if (subscription.instance_id) {
+      params.push(subscription.instance_id);
+      chatFilter += ` AND instance_id = $${params.length}`;
+    }
+
+    const query = `
+      SELECT chat_id, MAX(instance_id) AS instance_id, COUNT(*) AS message_count
+      FROM messages
+      WHERE is_group = true
+      AND is_deleted = false
+      AND created_at >= $1
+      AND created_at < $2
+      ${chatFilter}
+      GROUP BY chat_id
+      HAVING COUNT(*) >= $3
+    `;
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  // Queue the summaries of a subscription. Every replica fires the same schedule, so only the
+  // first one to take the lock for this minute does the work.
+  async runSubscription(id) {
+    const minute = Math.floor(Date.now() / 60000);
+    if (!(await redis.setIfNotExists(`summary_subscription_run:${id}:${minute}`, true, 120))) {
+      return 0;
+    }
+
+    const subscription = await this.getSubscription(id);
+    if (!subscription || !subscription.is_active) {
+      return 0;
+    }
+
+    const window = parseSummaryPeriod(subscription.period);
+    const groups = await this.getTargetGroups(subscription, window);
+    let queued = 0;
+
+    for (const group of groups) {
+      // Delivered through the number that is in the group
+      const instanceId = group.instance_id;
+
+      try {
+        if (!await instanceService.isFeatureEnabled(instanceId, 'summaries')) {
+          continue;
+        }
+
+        await queueService.addSummaryJob({
+          chatId: group.chat_id,
+          period: window.period,
+          startDate: window.startDate.toISOString(),
+          endDate: window.endDate.toISOString(),
+          label: window.label,
+          requesterId: 'subscription',
+          subscriptionId: subscription.id,
+          destinations: subscription.destinations,
+          instanceId
+        });
+        queued++;
+
+      } catch (error) {
+        logger.warn('Failed to queue subscribed summary', {
+          subscriptionId: subscription.id,
+          chatId: group.chat_id,
+          error: error.message
+        });
+      }
+    }
+
+    await database.query('UPDATE summary_subscriptions SET last_run_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+
+    logger.info('Summary subscription ran', {
+      subscriptionId: subscription.id,
+      chatId: subscription.chat_id,
+      period: window.period,
+      groupCount: groups.length,
+      queued
+    });
+
+    return queued;
+  }
+}
+
+module.exports = new SummarySubscriptionService();
@@ -0,0 +1,120 @@
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+
+// chatId -> session; a hash keeps every replica looking at the same sessions
+const SESSIONS_KEY = 'support_sessions';
+
+const GOODBYE_MESSAGES = {
+  user: '👍 *Modo de Apoio finalizado.* Até a próxima!',
+  timeout: '⏰ *Modo de Apoio encerrado por inatividade.* Para voltar, envie //apoioaluno.',
+  admin: '👋 *Modo de Apoio encerrado pela equipe.* Para voltar, envie //apoioaluno.'
+};
+
+class SupportSessionService {
+  getIdleTimeoutMs() {
+    return (parseInt(process.env.SUPPORT_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+  }
+
+  isExpired(session, now = Date.now()) {
+    return now - new Date(session.lastActivityAt).getTime() > this.getIdleTimeoutMs();
+  }
+
+  // Start (or restart) a support session for a chat
+  async startSession(chatId, category, instanceId = null) {
+    const now = new Date().toISOString();
+    const session = {
+      chatId,
+      category,
+      instanceId,
+      startedAt: now,
+      lastActivityAt: now
+    };
+
+    await redis.hset(SESSIONS_KEY, chatId, session);
+    logger.info('Support session started', { chatId, category, instanceId });
+
+    return session;
+  }
+
+  // Active session of a chat; a session idle past the timeout is ended on the spot
+  async getSession(chatId) {
+    const session = await redis.hget(SESSIONS_KEY, chatId);
+    if (!session) {
+      return null;
+    }
+
+    if (this.isExpired(session)) {
+      await this.endSession(chatId, 'timeout');
+      return null;
+    }
+
+    return session;
+  }
+
+  // Record activity so the idle timeout starts over. A session ended meanwhile (timeout or admin)
+  // stays ended: null is returned instead of bringing it back.
+  async touchSession(session) {
+    const updated = { ...session, lastActivityAt: new Date().toISOString() };
+    const touched = await redis.hsetIfExists(SESSIONS_KEY, session.chatId, updated);
+    return touched ? updated : null;
+  }
+
+  // End a session and send the goodbye matching the reason (user, timeout or admin).
+  // Only the caller that actually removes the session sends the goodbye, so replicas never repeat it.
+  async endSession(chatId, reason = 'user') {
+    const session = await redis.hget(SESSIONS_KEY, chatId);
+    const removed = await redis.hdel(SESSIONS_KEY, chatId);
+
+    if (!session || removed === 0) {
+      return null;
+    }
+
+    logger.info('Support session ended', { chatId, reason, category: session.category });
+
+    try {
+      await whatsappService.sendMessage(chatId, GOODBYE_MESSAGES[reason] || GOODBYE_MESSAGES.user, session.instanceId);
+    } catch (error) {
+      logger.warn('Failed to send support session goodbye', { chatId, reason, error: error.message });
+    }
+
+    return session;
+  }
+
+  // Every active session with its idle time and expiry
+  async listSessions() {
+    const sessions = Object.values(await redis.hgetall(SESSIONS_KEY));
+    const now = Date.now();
+
+    return sessions
+      .map(session => {
+        const lastActivity = new Date(session.lastActivityAt).getTime();
+        return {
+          ...session,
+          idleSeconds: Math.floor((now - lastActivity) / 1000),
+          expiresAt: new Date(lastActivity + this.getIdleTimeoutMs()).toISOString()
+        };
+      })
+      .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  }
+
+  // End every session idle past the timeout
+  async expireIdleSessions() {
+    const sessions = Object.values(await redis.hgetall(SESSIONS_KEY));
+    let expired = 0;
+
+    for (const session of sessions) {
+      if (this.isExpired(session) && await this.endSession(session.chatId, 'timeout')) {
+        expired++;
+      }
+    }
+
+    if (expired > 0) {
+      logger.info('Expired idle support sessions', { expired });
+    }
+
+    return expired;
+  }
+}
+
+module.exports = new SupportSessionService();
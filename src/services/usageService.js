@@ -0,0 +1,300 @@
+const database = require('../config/database');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const chatSettingsService = require('./chatSettingsService');
+const whatsappService = require('./whatsappService');
+const { AppError } = require('../middleware/errorHandler');
+const { startOfLocalMonth } = require('../utils/summaryPeriod');
+
+// USD per million tokens (input/output) or per minute of audio; AI_MODEL_PRICES adds or overrides entries.
+// A model without a price (local and mock models) costs nothing.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-vision-preview': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-3-large': { input: 0.13 },
+  'whisper-1': { perMinute: 0.006 }
+};
+
+const BUDGET_EXCEEDED_CODE = 'AI_BUDGET_EXCEEDED';
+
+const LIMIT_REACHED_MESSAGE = '⚠️ O limite de uso de IA deste mês foi atingido. As respostas automáticas voltam no próximo mês ou quando um administrador aumentar o limite.';
+const LIMIT_NOTICE_WINDOW_SECONDS = 6 * 60 * 60;
+
+class UsageService {
+  constructor() {
+    this.prices = null;
+  }
+
+  getPrices() {
+    if (!this.prices) {
+      let overrides = {};
+      try {
+        overrides = process.env.AI_MODEL_PRICES ? JSON.parse(process.env.AI_MODEL_PRICES) : {};
+      } catch (error) {
+        logger.warn('Ignoring invalid AI_MODEL_PRICES', { error: error.message });
+      }
+      this.prices = { ...DEFAULT_PRICES, ...overrides };
+    }
+
+    return this.prices;
+  }
+
+  // Price of a model; dated snapshots ("gpt-4o-2024-08-06") use the longest matching name
+  getPrice(model) {
+    const prices = this.getPrices();
+    if (!model) {
+      return null;
+    }
+
+    if (prices[model]) {
+      return prices[model];
+    }
+
+    const match = Object.keys(prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? prices[match] : null;
+  }
+
+  estimateCost({ model, promptTokens = 0, completionTokens = 0, audioSeconds = null }) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return 0;
+    }
+
+    const tokensCost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+    const audioCost = audioSeconds ? (audioSeconds / 60) * (price.perMinute || 0) : 0;
+
+    return Number((tokensCost + audioCost).toFixed(6));
+  }
+
+  // Store one AI call; failures are logged and never break the reply that caused the call
+  async recordUsage({ task, provider, model, usage = null, audioSeconds = null, chatId = null, senderId = null }) {
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    const totalTokens = usage?.totalTokens || promptTokens + completionTokens;
+    const estimatedCost = this.estimateCost({ model, promptTokens, completionTokens, audioSeconds });
+
+    try {
+      await database.query(`
+        INSERT INTO ai_usage (
+          task, provider, model, prompt_tokens, completion_tokens, total_tokens,
+          audio_seconds, estimated_cost, chat_id, sender_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [task, provider, model, promptTokens, completionTokens, totalTokens, audioSeconds, estimatedCost, chatId, senderId]);
+
+    } catch (error) {
+      logger.logDatabase('INSERT', 'ai_usage', 'error', {
+        task,
+        chatId,
+        error: error.message
+      });
+    }
+
+    return { promptTokens, completionTokens, totalTokens, estimatedCost };
+  }
+
+  parseBudget(value) {
+    const budget = parseFloat(value);
+    return budget > 0 ? budget : null;
+  }
+
+  // Monthly caps in USD: AI_MONTHLY_BUDGET_USD for everything, AI_CHAT_MONTHLY_BUDGET_USD per chat
+  // (overridden by the chat's monthlyBudgetUsd setting). null means no cap.
+  async getBudgets(chatId = null) {
+    const budgets = {
+      global: this.parseBudget(process.env.AI_MONTHLY_BUDGET_USD),
+      chat: null
+    };
+
+    if (chatId) {
+      const settings = await chatSettingsService.getSettings(chatId);
+      budgets.chat = settings.monthlyBudgetUsd ?? this.parseBudget(process.env.AI_CHAT_MONTHLY_BUDGET_USD);
+    }
+
+    return budgets;
+  }
+
+  // Estimated spend since the start of the current local month, overall or for one chat
+  async getMonthlySpend(chatId = null, now = new Date()) {
+    const params = [startOfLocalMonth(now)];
+    let query = 'SELECT COALESCE(SUM(estimated_cost), 0) AS spent FROM ai_usage WHERE created_at >= $1';
+
+    if (chatId) {
+      params.push(chatId);
+      query += ' AND chat_id = $2';
+    }
+
+    const result = await database.query(query, params);
+    return Number(result.rows[0].spent);
+  }
+
+  // Budgets with what has been spent this month, for /api/usage/budget
+  async getBudgetStatus(chatId = null) {
+    const budgets = await this.getBudgets(chatId);
+    const status = {
+      monthStart: startOfLocalMonth(new Date()),
+      global: { budget: budgets.global, spent: await this.getMonthlySpend() }
+    };
+
+    if (chatId) {
+      status.chat = { chatId, budget: budgets.chat, spent: await this.getMonthlySpend(chatId) };
+    }
+
+    for (const scope of [status.global, status.chat].filter(Boolean)) {
+      scope.exceeded = scope.budget !== null && scope.spent >= scope.budget;
+    }
+
+    return status;
+  }
+
+  // Throw before an AI call once the global or the chat's monthly budget is used up.
+  // A failing spend query lets the call through rather than silence the bot.
+  async assertWithinBudget(chatId = null) {
+    const budgets = await this.getBudgets(chatId);
+    if (budgets.global === null && budgets.chat === null) {
+      return;
+    }
+
+    let exceeded = null;
+    try {
+      if (budgets.global !== null && await this.getMonthlySpend() >= budgets.global) {
+        exceeded = 'global';
+      } else if (chatId && budgets.chat !== null && await this.getMonthlySpend(chatId) >= budgets.chat) {
+        exceeded = 'chat';
+      }
+    } catch (error) {
+      logger.warn('Could not check AI budget', { chatId, error: error.message });
+      return;
+    }
+
+    if (exceeded) {
+      logger.warn('AI budget exceeded', { chatId, scope: exceeded, budget: budgets[exceeded] });
+
+      const error = new AppError(`Monthly AI budget exceeded (${exceeded})`, 429);
+      error.code = BUDGET_EXCEEDED_CODE;
+      error.scope = exceeded;
+      throw error;
+    }
+  }
+
+  isBudgetExceeded(error) {
+    return error?.code === BUDGET_EXCEEDED_CODE;
+  }
+
+  // Tell the chat the limit was reached, at most once every few hours so every message is not answered with it
+  async sendLimitReachedOnce(chatId, instanceId = null) {
+    if (!(await redis.setIfNotExists(`ai_budget_notice:${chatId}`, new Date().toISOString(), LIMIT_NOTICE_WINDOW_SECONDS))) {
+      return false;
+    }
+
+    await whatsappService.sendMessage(chatId, LIMIT_REACHED_MESSAGE, instanceId);
+    return true;
+  }
+
+  getLimitReachedMessage() {
+    return LIMIT_REACHED_MESSAGE;
+  }
+
+  // Totals per chat between two dates, most expensive first, with the cost of each task
+  async getUsageByChat({ from, to, chatId = null, task = null, limit = 50, offset = 0 }) {
+    const { where, params } = this.buildFilters({ from, to, chatId, task });
+
+    const result = await database.query(`
+      SELECT
+        chat_id,
+        SUM(calls)::int AS calls,
+        SUM(prompt_tokens)::int AS prompt_tokens,
+        SUM(completion_tokens)::int AS completion_tokens,
+        SUM(total_tokens)::int AS total_tokens,
+        SUM(estimated_cost)::float AS estimated_cost,
+        jsonb_object_agg(task, estimated_cost) AS cost_by_task
+      FROM (
+        SELECT
+          chat_id,
+          task,
+          COUNT(*) AS calls,
+          SUM(prompt_tokens) AS prompt_tokens,
+          SUM(completion_tokens) AS completion_tokens,
+          SUM(total_tokens) AS total_tokens,
+          SUM(estimated_cost)::float AS estimated_cost
+        FROM ai_usage
+        WHERE ${where}
+        GROUP BY chat_id, task
+      ) per_task
+      GROUP BY chat_id
+      ORDER BY estimated_cost DESC, calls DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return result.rows;
+  }
+
+  // Totals of every call matching the filters
+  async getTotals({ from, to, chatId = null, task = null }) {
+    const { where, params } = this.buildFilters({ from, to, chatId, task });
+
+    const result = await database.query(`
+      SELECT
+        COUNT(*)::int AS calls,
+        COUNT(DISTINCT chat_id)::int AS chats,
+        COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+        COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+        COALESCE(SUM(total_tokens), 0)::int AS total_tokens,
+        COALESCE(SUM(estimated_cost), 0)::float AS estimated_cost
+      FROM ai_usage
+      WHERE ${where}
+    `, params);
+
+    return result.rows[0];
+  }
+
+  // Totals per local day (and per task and model) between two dates
+  async getDailyUsage({ from, to, chatId = null, task = null }) {
+    const { where, params } = this.buildFilters({ from, to, chatId, task });
+    params.push(process.env.TZ || 'America/Sao_Paulo');
+
+    const result = await database.query(`
+      SELECT
+        TO_CHAR(DATE(created_at AT TIME ZONE current_setting('TimeZone') AT TIME ZONE $${params.length}), 'YYYY-MM-DD') AS day,
+        task,
+        model,
+        COUNT(*)::int AS calls,
+        SUM(prompt_tokens)::int AS prompt_tokens,
+        SUM(completion_tokens)::int AS completion_tokens,
+        SUM(total_tokens)::int AS total_tokens,
+        SUM(estimated_cost)::float AS estimated_cost
+      FROM ai_usage
+      WHERE ${where}
+      GROUP BY 1, task, model
+      ORDER BY 1 DESC, estimated_cost DESC
+    `, params);
+
+    return result.rows;
+  }
+
+  buildFilters({ from, to, chatId, task }) {
+    const conditions = ['created_at >= $1', 'created_at < $2'];
+    const params = [from, to];
+
+    if (chatId) {
+      params.push(chatId);
+      conditions.push(`chat_id = $${params.length}`);
+    }
+
+    if (task) {
+      params.push(task);
+      conditions.push(`task = $${params.length}`);
+    }
+
+    return { where: conditions.join(' AND '), params };
+  }
+}
+
+module.exports = new UsageService();
@@ -1,23 +1,68 @@
+const database = require('../config/database');
 const logger = require('../utils/logger');
 const messageService = require('./messageService');
+const participantService = require('./participantService');
+const contactService = require('./contactService');
+const connectionService = require('./connectionService');
+const instanceService = require('./instanceService');
+
+// Event names that do not follow the dotted/underscored convention of the others
+const EVENT_ALIASES = {
+  'group.participants.update': 'group-participants.update'
+};
 
 class WebhookService {
+  constructor() {
+    // Evolution event name -> handler
+    this.handlers = {
+      'messages.upsert': this.handleMessageUpsert.bind(this),
+      'messages.update': this.handleMessageUpdate.bind(this),
+      'messages.delete': this.handleMessageDelete.bind(this),
+      'groups.upsert': this.handleGroupsUpsert.bind(this),
+      'group-participants.update': this.handleGroupParticipantsUpdate.bind(this),
+      'contacts.upsert': this.handleContactsEvent.bind(this),
+      'contacts.update': this.handleContactsEvent.bind(this),
+      'connection.update': this.handleConnectionUpdate.bind(this),
+      'qrcode.updated': this.handleQRCodeUpdated.bind(this)
+    };
+  }
+
+  // Evolution sends either "messages.upsert" or "MESSAGES_UPSERT" depending on the version
+  normalizeEventName(event) {
+    const normalized = String(event || '').toLowerCase().replace(/_/g, '.');
+    return EVENT_ALIASES[normalized] || normalized;
+  }
+
   async processIncomingMessage(payload) {
     try {
       logger.info('Processing incoming webhook from Evolution API', { payload });
 
-      const { event, instance, data } = payload;
+      const { instance, data } = payload;
+      const event = this.normalizeEventName(payload.event);
+      const handler = this.handlers[event];
+
+      if (!handler) {
+        logger.warn('Received an unsupported webhook event, skipping.', { event });
+        return;
+      }
+
+      if (!data) {
+        logger.warn('Webhook payload is missing data, skipping.', { event });
+        return;
+      }
 
-      if (event !== 'messages.upsert' || !data || !data.key || !data.message) {
-        logger.warn('Received a non-message event, or payload is missing data, skipping.', { event });
+      const registeredInstance = await instanceService.getInstance(instance);
+      if (!registeredInstance.is_active) {
+        logger.warn('Received a webhook for a disabled instance, skipping.', { event, instance });
         return;
       }
 
-      // The transformation logic has been moved to messageService.
-      // The webhookService now only validates the event and passes the raw data.
-      await messageService.processIncomingMessage(data, instance);
+      // Evolution tells which number the instance is connected as; needed to recognise mentions of the bot
+      await instanceService.rememberOwnJid(instance, payload.sender);
+
+      await handler(data, instance);
 
-      logger.info('Successfully processed and stored incoming message from webhook.');
+      logger.info('Successfully processed webhook event.', { event });
     } catch (error) {
       logger.error('Failed to process incoming webhook:', {
         errorMessage: error.message,
@@ -26,6 +71,188 @@ class WebhookService {
       throw error;
     }
   }
+
+  // Persist the raw payload before any processing so it can be replayed after a crash
+  async storeEvent(payload, eventId = null) {
+    try {
+      const query = `
+        INSERT INTO webhook_events (source, event_type, event_id, instance, event_data, status)
+        VALUES ('evolution', $1, $2, $3, $4, 'pending')
+        RETURNING *
+      `;
+
+      const values = [
+        this.normalizeEventName(payload.event),
+        eventId,
+        payload.instance || null,
+        payload
+      ];
+
+      const result = await database.query(query, values);
+      return result.rows[0];
+
+    } catch (error) {
+      logger.logDatabase('INSERT', 'webhook_events', 'error', {
+        event: payload.event,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Process a stored event and record the outcome
+  async processStoredEvent(storedEvent) {
+    try {
+      await this.processIncomingMessage(storedEvent.event_data);
+      await this.markEventProcessed(storedEvent.id);
+    } catch (error) {
+      await this.markEventFailed(storedEvent.id, error);
+      throw error;
+    }
+  }
+
+  async markEventProcessed(eventId) {
+    try {
+      const query = `
+        UPDATE webhook_events 
+        SET status = 'processed', processed = true, processed_at = CURRENT_TIMESTAMP,
+            attempts = attempts + 1, last_error = NULL
+        WHERE id = $1
+      `;
+
+      await database.query(query, [eventId]);
+
+    } catch (error) {
+      logger.logDatabase('UPDATE', 'webhook_events', 'error', {
+        eventId,
+        error: error.message
+      });
+    }
+  }
+
+  async markEventFailed(eventId, failure) {
+    try {
+      const query = `
+        UPDATE webhook_events 
+        SET status = 'failed', attempts = attempts + 1, last_error = $2
+        WHERE id = $1
+      `;
+
+      await database.query(query, [eventId, failure.message]);
+
+    } catch (error) {
+      logger.logDatabase('UPDATE', 'webhook_events', 'error', {
+        eventId,
+        error: error.message
+      });
+    }
+  }
+
+  // List stored events; "unprocessed" covers both pending and failed events
+  async listEvents({ status = 'unprocessed', eventType, limit = 50, offset = 0 } = {}) {
+    let query = 'SELECT * FROM webhook_events WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (status === 'unprocessed') {
+      query += ' AND processed = false';
+    } else if (status !== 'all') {
+      query += ` AND status = $${paramIndex}`;
+      params.push(status);
+      paramIndex++;
+    }
+
+    if (eventType) {
+      query += ` AND event_type = $${paramIndex}`;
+      params.push(this.normalizeEventName(eventType));
+      paramIndex++;
+    }
+
+    query += ` ORDER BY created_at ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(limit, offset);
+
+    const result = await database.query(query, params);
+    return result.rows;
+  }
+
+  // Replay stored events in their original order
+  async replayEvents({ ids, status = 'unprocessed', limit = 100 } = {}) {
+    let events;
+
+    if (ids && ids.length > 0) {
+      const result = await database.query(
+        'SELECT * FROM webhook_events WHERE id = ANY($1::int[]) AND processed = false ORDER BY created_at ASC',
+        [ids]
+      );
+      events = result.rows;
+    } else {
+      events = await this.listEvents({ status, limit });
+    }
+
+    const results = [];
+    for (const storedEvent of events) {
+      try {
+        await this.processStoredEvent(storedEvent);
+        results.push({ id: storedEvent.id, status: 'processed' });
+      } catch (error) {
+        results.push({ id: storedEvent.id, status: 'failed', error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.status === 'processed').length;
+
+    logger.info('Webhook events replayed', {
+      replayed: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    });
+
+    return {
+      replayed: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  async handleMessageUpsert(data, instance) {
+    if (!data.key || !data.message) {
+      logger.warn('Received a messages.upsert event without message data, skipping.');
+      return;
+    }
+
+    // The transformation logic lives in messageService.
+    // The webhookService only validates the event and passes the raw data.
+    await messageService.processIncomingMessage(data, instance);
+  }
+
+  async handleMessageUpdate(data, instance) {
+    await messageService.processMessageUpdates(data, instance);
+  }
+
+  async handleMessageDelete(data, instance) {
+    await messageService.processMessageDeletes(data, instance);
+  }
+
+  async handleGroupsUpsert(data) {
+    await participantService.handleGroupsUpsert(data);
+  }
+
+  async handleGroupParticipantsUpdate(data, instance) {
+    await participantService.handleParticipantsUpdate(data, instance);
+  }
+
+  async handleContactsEvent(data) {
+    await contactService.handleContactsEvent(data);
+  }
+
+  async handleConnectionUpdate(data, instance) {
+    await connectionService.handleConnectionUpdate(data, instance);
+  }
+
+  async handleQRCodeUpdated(data, instance) {
+    await connectionService.handleQRCodeUpdated(data, instance);
+  }
 }
 
-module.exports = new WebhookService(); 
\ No newline at end of file
+module.exports = new WebhookService();
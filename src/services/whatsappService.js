@@ -1,23 +1,54 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const redis = require('../config/redis');
+const instanceService = require('./instanceService');
+const { splitMessage } = require('../utils/messageFormatter');
 
 const EVOLUTION_API_URL = process.env.EVOLUTION_API_URL || 'https://evolution.iaprojetos.com.br';
 const EVOLUTION_API_KEY = process.env.EVOLUTION_API_KEY;
 const WHATSAPP_INSTANCE = process.env.WHATSAPP_INSTANCE;
 
+// Messages sent through the API come back in the webhook as fromMe, just like the ones an operator
+// types on the phone. Their ids are kept for a while so the two can be told apart.
+const SENT_MESSAGE_TTL_SECONDS = 10 * 60;
+const OUTGOING_TEXT_TTL_SECONDS = 30;
+
 class WhatsAppService {
   constructor() {
     if (!EVOLUTION_API_KEY || !WHATSAPP_INSTANCE) {
       logger.error('Evolution API Key or Instance is not configured. Please set EVOLUTION_API_KEY and WHATSAPP_INSTANCE environment variables.');
     }
-    this.api = axios.create({
-      baseURL: EVOLUTION_API_URL,
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': EVOLUTION_API_KEY
-      },
-      timeout: 30000 // 30 segundos timeout
-    });
+    this.clients = new Map(); // "apiUrl|apiKey" -> axios instance
+  }
+
+  // Resolve the instance a request goes through and its HTTP client
+  async getInstanceClient(instanceName = null) {
+    const instance = await instanceService.getInstance(instanceName);
+
+    if (!instance.name) {
+      throw new Error('No WhatsApp instance given and WHATSAPP_INSTANCE is not set');
+    }
+
+    if (!instance.is_active) {
+      throw new Error(`WhatsApp instance ${instance.name} is disabled`);
+    }
+
+    const { apiUrl, apiKey } = instanceService.getApiConfig(instance);
+    const clientKey = `${apiUrl}|${apiKey}`;
+
+    if (!this.clients.has(clientKey)) {
+      this.clients.set(clientKey, axios.create({
+        baseURL: apiUrl,
+        headers: {
+          'Content-Type': 'application/json',
+          'apikey': apiKey
+        },
+        timeout: 30000 // 30 segundos timeout
+      }));
+    }
+
+    return { name: instance.name, apiUrl, api: this.clients.get(clientKey) };
   }
 
   // Método para retry com backoff exponencial
@@ -40,10 +71,76 @@ class WhatsAppService {
     }
   }
 
-  async sendMessage(chatId, message) {
+  // Key of a text being sent to a chat, for echoes that arrive before the API answers with the id
+  getOutgoingTextKey(chatId, text) {
+    const digest = crypto.createHash('sha1').update((text || '').trim()).digest('hex');
+    return `outgoing_message:${chatId}:${digest}`;
+  }
+
+  // Post a message and remember its id. The text is also kept while the request is in flight, since
+  // the webhook echo may arrive before the API answers with the id.
+  async postOutgoing(instance, chatId, endpoint, payload, text) {
+    const textKey = this.getOutgoingTextKey(chatId, text);
+    await this.safeRedis(() => redis.set(textKey, true, OUTGOING_TEXT_TTL_SECONDS));
+
+    try {
+      const response = await instance.api.post(endpoint, payload);
+
+      const messageId = response.data?.key?.id;
+      if (messageId) {
+        await this.safeRedis(() => redis.set(`sent_message:${messageId}`, true, SENT_MESSAGE_TTL_SECONDS));
+      }
+
+      return response;
+    } finally {
+      await this.safeRedis(() => redis.del(textKey));
+    }
+  }
+
+  // Whether a fromMe message was sent by the bot rather than typed by an operator: its id was
+  // returned by the API, or it carries the exact text the bot is sending to that chat right now
+  async isSentByBot(messageId, chatId, content) {
+    return Boolean(
+      await this.safeRedis(() => redis.exists(`sent_message:${messageId}`))
+      || await this.safeRedis(() => redis.exists(this.getOutgoingTextKey(chatId, content)))
+    );
+  }
+
+  // Bookkeeping of sent messages must never keep a message from going out
+  async safeRedis(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      logger.warn('Failed to track outgoing message', { error: error.message });
+      return null;
+    }
+  }
+
+  // Texts longer than WHATSAPP_MAX_MESSAGE_LENGTH go out as numbered parts, one after the other.
+  // Returns the Evolution response, or the list of them when the text was split.
+  async sendMessage(chatId, message, instanceName = null) {
+    const parts = splitMessage(message);
+
+    if (parts.length === 1) {
+      return this.sendTextMessage(chatId, message, instanceName);
+    }
+
+    logger.info(`Splitting message to ${chatId} into ${parts.length} parts`, { messageLength: message.length });
+
+    const results = [];
+    for (const part of parts) {
+      results.push(await this.sendTextMessage(chatId, part, instanceName));
+    }
+
+    return results;
+  }
+
+  async sendTextMessage(chatId, message, instanceName = null) {
+    const instance = await this.getInstanceClient(instanceName);
+
     return this.retryWithBackoff(async () => {
       try {
-        logger.info(`Sending message to ${chatId} via Evolution API`);
+        logger.info(`Sending message to ${chatId} via Evolution API`, { instance: instance.name });
         
         // Validação dos parâmetros
         if (!chatId || !message) {
@@ -57,10 +154,11 @@ class WhatsAppService {
           }
         };
 
-        const response = await this.api.post(`/message/sendText/${WHATSAPP_INSTANCE}`, payload);
+        const response = await this.postOutgoing(instance, chatId, `/message/sendText/${instance.name}`, payload, message);
         
         logger.info('Message sent successfully via Evolution API', { 
           chatId,
+          instance: instance.name,
           messageLength: message.length,
           responseStatus: response.status,
           data: response.data 
@@ -71,6 +169,7 @@ class WhatsAppService {
         // Log detalhado do erro
         const errorDetails = {
           chatId,
+          instance: instance.name,
           messageLength: message?.length || 0,
           errorMessage: error.message,
           errorCode: error.code,
@@ -96,7 +195,9 @@ class WhatsAppService {
     });
   }
 
-  async sendMedia(chatId, mediaUrl, caption = '') {
+  async sendMedia(chatId, mediaUrl, caption = '', instanceName = null) {
+    const instance = await this.getInstanceClient(instanceName);
+
     return this.retryWithBackoff(async () => {
       try {
         logger.info(`Sending media to ${chatId} via Evolution API from URL: ${mediaUrl}`);
@@ -114,10 +215,11 @@ class WhatsAppService {
           }
         };
         
-        const response = await this.api.post(`/message/sendMedia/${WHATSAPP_INSTANCE}`, payload);
+        const response = await this.postOutgoing(instance, chatId, `/message/sendMedia/${instance.name}`, payload, caption);
         
         logger.info('Media sent successfully via Evolution API', { 
           chatId,
+          instance: instance.name,
           mediaUrl,
           captionLength: caption?.length || 0,
           responseStatus: response.status,
@@ -128,6 +230,7 @@ class WhatsAppService {
       } catch (error) {
         const errorDetails = {
           chatId,
+          instance: instance.name,
           mediaUrl,
           captionLength: caption?.length || 0,
           errorMessage: error.message,
@@ -147,23 +250,18 @@ class WhatsAppService {
     });
   }
 
-  getQRCode() {
-    logger.warn('DEPRECATED: getQRCode is not supported with Evolution API.');
-    return null;
-  }
-
-  getConnectionStatus() {
-    logger.warn('DEPRECATED: getConnectionStatus is not supported with Evolution API.');
-    return { state: 'connected', message: 'Connected via Evolution API' };
-  }
+  async healthCheck(instanceName = null) {
+    const requestedInstance = instanceName || WHATSAPP_INSTANCE;
+    let instance = { name: requestedInstance, apiUrl: EVOLUTION_API_URL };
 
-  async healthCheck() {
     try {
-      logger.info('Checking Evolution API health...');
-      
-      const response = await this.api.get(`/instance/connectionState/${WHATSAPP_INSTANCE}`);
+      logger.info('Checking Evolution API health...', { instance: requestedInstance });
+
+      instance = await this.getInstanceClient(instanceName);
+      const response = await instance.api.get(`/instance/connectionState/${instance.name}`);
       
       logger.info('Evolution API health check successful', {
+        instance: instance.name,
         status: response.status,
         data: response.data
       });
@@ -171,13 +269,13 @@ class WhatsAppService {
       return { 
         status: 'ok', 
         details: response.data,
-        instance: WHATSAPP_INSTANCE,
-        apiUrl: EVOLUTION_API_URL
+        instance: instance.name,
+        apiUrl: instance.apiUrl
       };
     } catch (error) {
       const errorDetails = {
-        instance: WHATSAPP_INSTANCE,
-        apiUrl: EVOLUTION_API_URL,
+        instance: instance.name,
+        apiUrl: instance.apiUrl,
         errorMessage: error.message,
         errorCode: error.code,
         responseStatus: error.response?.status,
@@ -199,15 +297,17 @@ class WhatsAppService {
     return { status: 'not_applicable' };
   }
 
-  async restart() {
-    logger.info('Attempting to restart Evolution API instance...');
+  async restart(instanceName = null) {
+    const instance = await this.getInstanceClient(instanceName);
+
+    logger.info('Attempting to restart Evolution API instance...', { instance: instance.name });
     try {
-      const response = await this.api.post(`/instance/restart/${WHATSAPP_INSTANCE}`);
-      logger.info('Evolution API instance restart command sent.', { data: response.data });
+      const response = await instance.api.post(`/instance/restart/${instance.name}`);
+      logger.info('Evolution API instance restart command sent.', { instance: instance.name, data: response.data });
       return response.data;
     } catch (error) {
       const errorDetails = {
-        instance: WHATSAPP_INSTANCE,
+        instance: instance.name,
         errorMessage: error.message,
         responseStatus: error.response?.status,
         responseData: error.response?.data
@@ -218,6 +318,43 @@ class WhatsAppService {
     }
   }
 
+  // Participants of a group, asked through the instance whose number is in it
+  async getGroupParticipants(groupId, instanceName = null) {
+    const instance = await this.getInstanceClient(instanceName);
+
+    try {
+      const response = await instance.api.get(`/group/participants/${instance.name}`, {
+        params: { groupJid: groupId }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get group participants:', {
+        groupId,
+        instance: instance.name,
+        errorMessage: error.message,
+        responseStatus: error.response?.status
+      });
+      throw new Error(`Failed to get participants of ${groupId}: ${error.message}`);
+    }
+  }
+
+  // Contact list of an instance's number
+  async getContacts(instanceName = null) {
+    const instance = await this.getInstanceClient(instanceName);
+
+    try {
+      const response = await instance.api.get(`/chat/findContacts/${instance.name}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to get contacts:', {
+        instance: instance.name,
+        errorMessage: error.message,
+        responseStatus: error.response?.status
+      });
+      throw new Error(`Failed to get contacts of ${instance.name}: ${error.message}`);
+    }
+  }
+
   async getChatInfo(chatId) {
     logger.warn(`DEPRECATED: getChatInfo for ${chatId} is not supported with Evolution API.`);
     return { id: chatId, name: 'Unknown', isGroup: false };
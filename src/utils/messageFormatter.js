@@ -0,0 +1,142 @@
+// Outbound text formatting: long replies are split into numbered WhatsApp messages
+
+const DEFAULT_MAX_LENGTH = 4000;
+const MIN_MAX_LENGTH = 200;
+
+// Room left in every part for the "(1/3) " prefix and for markers closed and reopened across parts
+const PART_RESERVE = 32;
+
+// Inline WhatsApp markdown; ``` blocks are handled apart since they switch the others off
+const INLINE_MARKERS = ['*', '_', '~'];
+const CODE_FENCE = '```';
+
+/**
+ * Longest text sent as a single message (WHATSAPP_MAX_MESSAGE_LENGTH, default 4000).
+ * @returns {number}
+ */
+function getMaxMessageLength() {
+  const configured = parseInt(process.env.WHATSAPP_MAX_MESSAGE_LENGTH);
+  return configured > 0 ? Math.max(MIN_MAX_LENGTH, configured) : DEFAULT_MAX_LENGTH;
+}
+
+// Markers still open at the end of a text, in the order they were opened.
+// A marker opens after a space, punctuation or the start and before a non-space, and closes after a non-space,
+// which is how WhatsApp reads them, so "5 * 3" and snake_case are left alone.
+function findOpenMarkers(text) {
+  const open = [];
+  let inCode = false;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text.startsWith(CODE_FENCE, i)) {
+      inCode = !inCode;
+      i += CODE_FENCE.length - 1;
+      continue;
+    }
+
+    const char = text[i];
+    if (inCode || !INLINE_MARKERS.includes(char)) {
+      continue;
+    }
+
+    const previous = text[i - 1];
+    const next = text[i + 1];
+
+    if (open.includes(char)) {
+      if (previous && !/\s/.test(previous)) {
+        open.splice(open.indexOf(char), 1);
+      }
+    } else if ((!previous || /[\s\p{P}]/u.test(previous)) && next && !/\s/.test(next) && next !== char) {
+      open.push(char);
+    }
+  }
+
+  return { open, inCode };
+}
+
+// Break one piece of text into slices of at most maxLength, trying each separator in turn
+function splitBySeparators(text, maxLength, separators) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  if (separators.length === 0) {
+    const slices = [];
+    for (let start = 0; start < text.length; start += maxLength) {
+      slices.push(text.slice(start, start + maxLength));
+    }
+    return slices;
+  }
+
+  const [{ pattern, joiner }, ...rest] = separators;
+  const pieces = text.split(pattern).filter(piece => piece.trim() !== '');
+
+  if (pieces.length <= 1) {
+    return splitBySeparators(text, maxLength, rest);
+  }
+
+  const slices = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    for (const slice of splitBySeparators(piece, maxLength, rest)) {
+      if (current && current.length + joiner.length + slice.length > maxLength) {
+        slices.push(current);
+        current = slice;
+      } else {
+        current = current ? `${current}${joiner}${slice}` : slice;
+      }
+    }
+  }
+
+  if (current) {
+    slices.push(current);
+  }
+
+  return slices;
+}
+
+// Paragraphs first, then lines (list items), sentences and words
+const SEPARATORS = [
+  { pattern: /\n\s*\n/, joiner: '\n\n' },
+  { pattern: /\n/, joiner: '\n' },
+  { pattern: /(?<=[.!?;:])\s+/, joiner: ' ' },
+  { pattern: /\s+/, joiner: ' ' }
+];
+
+/**
+ * Splits a text into WhatsApp messages of at most `maxLength` characters.
+ * Breaks at paragraph and list boundaries when it can, keeps *bold*, _italic_, ~strike~ and ``` blocks
+ * balanced in every part and numbers the parts ("(1/3) ...").
+ * @param {string} text The message to send.
+ * @param {number} [maxLength] Longest part; defaults to getMaxMessageLength().
+ * @returns {string[]} The parts, a single one when the text already fits.
+ */
+function splitMessage(text, maxLength = getMaxMessageLength()) {
+  if (!text || text.length <= maxLength) {
+    return [text];
+  }
+
+  const slices = splitBySeparators(text.trim(), Math.max(1, maxLength - PART_RESERVE), SEPARATORS);
+  const parts = [];
+  let carried = { open: [], inCode: false };
+
+  for (const slice of slices) {
+    // Reopen what the previous part left open, then close whatever is still open at the end
+    const opening = (carried.inCode ? `${CODE_FENCE}\n` : '') + carried.open.join('');
+    let part = `${opening}${slice.trim()}`;
+
+    carried = findOpenMarkers(part);
+    part = part.trimEnd()
+      + [...carried.open].reverse().join('')
+      + (carried.inCode ? `\n${CODE_FENCE}` : '');
+
+    parts.push(part);
+  }
+
+  return parts.map((part, index) => `(${index + 1}/${parts.length}) ${part}`);
+}
+
+module.exports = {
+  splitMessage,
+  getMaxMessageLength
+};
@@ -0,0 +1,370 @@
+// Parsing of Baileys message bodies as delivered by the Evolution API
+
+// Wrappers that only carry another message inside `.message`
+const WRAPPER_TYPES = {
+  ephemeralMessage: 'ephemeral',
+  viewOnceMessage: 'viewOnce',
+  viewOnceMessageV2: 'viewOnce',
+  viewOnceMessageV2Extension: 'viewOnce',
+  documentWithCaptionMessage: 'documentWithCaption',
+  editedMessage: 'edited'
+};
+
+// Every message_type stored in the messages table
+const MESSAGE_TYPES = [
+  'text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact',
+  'reaction', 'poll', 'poll_vote', 'button_reply', 'list_reply', 'unknown'
+];
+
+const POLL_CREATION_TYPES = ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'];
+
+const QUOTED_PREVIEW_LENGTH = 200;
+
+// Keys that sit next to the real message and never describe its type
+const METADATA_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+/**
+ * Removes ephemeral, view-once, document-with-caption and edited wrappers.
+ * @param {object} messageInfo The `message` field of a Baileys message.
+ * @returns {{ body: object, wrappers: string[] }} The innermost message and the wrappers found on the way.
+ */
+function unwrapMessage(messageInfo = {}) {
+  let body = messageInfo || {};
+  const wrappers = [];
+
+  // Wrappers can be nested (e.g. an ephemeral view-once image)
+  for (let depth = 0; depth < 5; depth++) {
+    const wrapperKey = Object.keys(WRAPPER_TYPES).find(key => body[key]?.message);
+    if (!wrapperKey) {
+      break;
+    }
+
+    wrappers.push(WRAPPER_TYPES[wrapperKey]);
+    body = body[wrapperKey].message;
+  }
+
+  return { body, wrappers };
+}
+
+/**
+ * Extracts name and phone numbers from a vCard.
+ * @param {string} vcard The raw vCard text.
+ * @returns {{ name: string|null, phones: string[] }}
+ */
+function parseVCard(vcard = '') {
+  const nameMatch = vcard.match(/^FN[^:]*:(.*)$/m);
+  const phones = [...vcard.matchAll(/^(?:item\d+\.)?TEL[^:]*:(.*)$/gm)].map(match => match[1].trim());
+
+  return {
+    name: nameMatch ? nameMatch[1].trim() : null,
+    phones
+  };
+}
+
+function parseContactCard(contact = {}) {
+  const vcard = parseVCard(contact.vcard);
+
+  return {
+    displayName: contact.displayName || vcard.name,
+    phones: vcard.phones,
+    vcard: contact.vcard || null
+  };
+}
+
+function mediaResult(messageType, media, content, payload) {
+  return {
+    messageType,
+    content: content || '',
+    mediaUrl: media.url || null,
+    mediaType: messageType,
+    payload: {
+      mimetype: media.mimetype || null,
+      fileLength: media.fileLength ? Number(media.fileLength) : null,
+      ...payload
+    }
+  };
+}
+
+/**
+ * Finds the message a reply quotes. Any message type can carry a contextInfo.
+ * @param {object} body An unwrapped message body.
+ * @returns {{ messageId: string, participant: string|null, text: string|null }|null}
+ */
+function extractQuoted(body = {}) {
+  const contextInfo = Object.values(body).find(value => value?.contextInfo?.stanzaId)?.contextInfo;
+  if (!contextInfo) {
+    return null;
+  }
+
+  const quotedText = contextInfo.quotedMessage
+    ? parseBody(unwrapMessage(contextInfo.quotedMessage).body).content
+    : '';
+
+  return {
+    messageId: contextInfo.stanzaId,
+    participant: contextInfo.participant || null,
+    text: quotedText ? quotedText.slice(0, QUOTED_PREVIEW_LENGTH) : null
+  };
+}
+
+/**
+ * Lists the contacts mentioned with "@" in a message.
+ * @param {object} body An unwrapped message body.
+ * @returns {string[]} The mentioned JIDs.
+ */
+function extractMentions(body = {}) {
+  const contextInfo = Object.values(body).find(value => value?.contextInfo?.mentionedJid?.length)?.contextInfo;
+  return contextInfo ? [...contextInfo.mentionedJid] : [];
+}
+
+/**
+ * Classifies a message body and extracts its readable content and structured payload.
+ * @param {object} messageInfo The `message` field of a Baileys message.
+ * @returns {{ messageType: string, content: string, mediaUrl: string|null, mediaType: string|null, payload: object, quoted: object|null }}
+ */
+function parseMessageContent(messageInfo = {}) {
+  const { body, wrappers } = unwrapMessage(messageInfo);
+  const result = parseBody(body);
+  const quoted = extractQuoted(body);
+  const mentions = extractMentions(body);
+
+  result.quoted = quoted ? { messageId: quoted.messageId, participant: quoted.participant } : null;
+
+  if (mentions.length > 0) {
+    result.payload = { ...result.payload, mentions };
+  }
+
+  // The quoted text helps when the original message is older than what we stored
+  if (quoted?.text) {
+    result.payload = { ...result.payload, quotedText: quoted.text };
+  }
+
+  if (wrappers.length > 0) {
+    result.payload = {
+      ...result.payload,
+      viewOnce: wrappers.includes('viewOnce') || undefined,
+      ephemeral: wrappers.includes('ephemeral') || undefined,
+      edited: wrappers.includes('edited') || undefined
+    };
+  }
+
+  return result;
+}
+
+function parseBody(body) {
+  if (body.conversation !== undefined && body.conversation !== null) {
+    return { messageType: 'text', content: body.conversation, mediaUrl: null, mediaType: null, payload: {} };
+  }
+
+  if (body.extendedTextMessage) {
+    const text = body.extendedTextMessage;
+    const payload = text.matchedText
+      ? { link: { url: text.matchedText, title: text.title || null, description: text.description || null } }
+      : {};
+
+    return { messageType: 'text', content: text.text || '', mediaUrl: null, mediaType: null, payload };
+  }
+
+  if (body.imageMessage) {
+    const image = body.imageMessage;
+    return mediaResult('image', image, image.caption, { width: image.width || null, height: image.height || null });
+  }
+
+  if (body.videoMessage) {
+    const video = body.videoMessage;
+    return mediaResult('video', video, video.caption, { seconds: video.seconds || null, gif: video.gifPlayback || false });
+  }
+
+  if (body.audioMessage) {
+    const audio = body.audioMessage;
+    return mediaResult('audio', audio, '', { seconds: audio.seconds || null, voiceNote: audio.ptt || false });
+  }
+
+  if (body.documentMessage) {
+    const document = body.documentMessage;
+    return mediaResult('document', document, document.caption, {
+      fileName: document.fileName || document.title || null,
+      pageCount: document.pageCount || null
+    });
+  }
+
+  if (body.stickerMessage) {
+    const sticker = body.stickerMessage;
+    return mediaResult('sticker', sticker, '', { animated: sticker.isAnimated || false });
+  }
+
+  if (body.locationMessage || body.liveLocationMessage) {
+    const location = body.locationMessage || body.liveLocationMessage;
+    const coordinates = `${location.degreesLatitude}, ${location.degreesLongitude}`;
+    const label = [location.name, location.address].filter(Boolean).join(' - ');
+
+    return {
+      messageType: 'location',
+      content: `📍 ${label || coordinates}`,
+      mediaUrl: null,
+      mediaType: null,
+      payload: {
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: location.name || null,
+        address: location.address || null,
+        url: location.url || null,
+        live: Boolean(body.liveLocationMessage)
+      }
+    };
+  }
+
+  if (body.contactMessage) {
+    const contact = parseContactCard(body.contactMessage);
+
+    return {
+      messageType: 'contact',
+      content: `👤 ${contact.displayName || contact.phones[0] || ''}`.trim(),
+      mediaUrl: null,
+      mediaType: null,
+      payload: { contacts: [contact] }
+    };
+  }
+
+  if (body.contactsArrayMessage) {
+    const contacts = (body.contactsArrayMessage.contacts || []).map(parseContactCard);
+
+    return {
+      messageType: 'contact',
+      content: `👤 ${contacts.map(contact => contact.displayName).filter(Boolean).join(', ')}`.trim(),
+      mediaUrl: null,
+      mediaType: null,
+      payload: { contacts }
+    };
+  }
+
+  if (body.reactionMessage) {
+    const reaction = body.reactionMessage;
+
+    return {
+      messageType: 'reaction',
+      content: reaction.text || '',
+      mediaUrl: null,
+      mediaType: null,
+      payload: {
+        emoji: reaction.text || null,
+        targetMessageId: reaction.key?.id || null,
+        targetChatId: reaction.key?.remoteJid || null,
+        targetFromMe: reaction.key?.fromMe || false,
+        removed: !reaction.text
+      }
+    };
+  }
+
+  const pollKey = POLL_CREATION_TYPES.find(key => body[key]);
+  if (pollKey) {
+    const poll = body[pollKey];
+    const options = (poll.options || []).map(option => option.optionName);
+
+    return {
+      messageType: 'poll',
+      content: `📊 ${poll.name}${options.length ? ` (${options.join(' / ')})` : ''}`,
+      mediaUrl: null,
+      mediaType: null,
+      payload: {
+        name: poll.name,
+        options,
+        selectableCount: poll.selectableOptionsCount || 0
+      }
+    };
+  }
+
+  if (body.pollUpdateMessage) {
+    const update = body.pollUpdateMessage;
+
+    return {
+      messageType: 'poll_vote',
+      content: '',
+      mediaUrl: null,
+      mediaType: null,
+      payload: {
+        pollMessageId: update.pollCreationMessageKey?.id || null,
+        // Votes are end-to-end encrypted; Evolution only decrypts them in its own store
+        selectedOptions: update.vote?.selectedOptions || null
+      }
+    };
+  }
+
+  if (body.buttonsResponseMessage) {
+    const reply = body.buttonsResponseMessage;
+
+    return {
+      messageType: 'button_reply',
+      content: reply.selectedDisplayText || '',
+      mediaUrl: null,
+      mediaType: null,
+      payload: { buttonId: reply.selectedButtonId || null, text: reply.selectedDisplayText || null }
+    };
+  }
+
+  if (body.templateButtonReplyMessage) {
+    const reply = body.templateButtonReplyMessage;
+
+    return {
+      messageType: 'button_reply',
+      content: reply.selectedDisplayText || '',
+      mediaUrl: null,
+      mediaType: null,
+      payload: { buttonId: reply.selectedId || null, text: reply.selectedDisplayText || null }
+    };
+  }
+
+  if (body.interactiveResponseMessage) {
+    const reply = body.interactiveResponseMessage;
+    let params = null;
+
+    try {
+      params = reply.nativeFlowResponseMessage?.paramsJson ? JSON.parse(reply.nativeFlowResponseMessage.paramsJson) : null;
+    } catch (error) {
+      params = null;
+    }
+
+    return {
+      messageType: 'button_reply',
+      content: reply.body?.text || '',
+      mediaUrl: null,
+      mediaType: null,
+      payload: { buttonId: params?.id || null, text: reply.body?.text || null, params }
+    };
+  }
+
+  if (body.listResponseMessage) {
+    const reply = body.listResponseMessage;
+
+    return {
+      messageType: 'list_reply',
+      content: reply.title || reply.singleSelectReply?.selectedRowId || '',
+      mediaUrl: null,
+      mediaType: null,
+      payload: {
+        rowId: reply.singleSelectReply?.selectedRowId || null,
+        title: reply.title || null,
+        description: reply.description || null
+      }
+    };
+  }
+
+  const unknownType = Object.keys(body).find(key => !METADATA_KEYS.includes(key)) || null;
+
+  return {
+    messageType: 'unknown',
+    content: '',
+    mediaUrl: null,
+    mediaType: null,
+    payload: { rawType: unknownType }
+  };
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  unwrapMessage,
+  parseVCard,
+  extractQuoted,
+  extractMentions,
+  parseMessageContent
+};
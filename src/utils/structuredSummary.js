@@ -0,0 +1,163 @@
+// Structured group summaries: the JSON asked from the model, its validation and the WhatsApp rendering.
+// Stored as-is in group_summaries.summary_data; summary_text keeps the rendered version for search.
+
+// Fields of each list item: "required" strings, "optional" strings (or null) and "list" of strings
+const LIST_FIELDS = {
+  topics: { title: 'required', summary: 'required', participants: 'list' },
+  decisions: { description: 'required', madeBy: 'optional' },
+  openQuestions: { question: 'required', askedBy: 'optional' },
+  actionItems: { task: 'required', owner: 'optional', dueDate: 'optional' },
+  dates: { date: 'required', description: 'required' },
+  links: { url: 'required', description: 'optional' }
+};
+
+// Shown to the model as the expected output
+const SUMMARY_JSON_FORMAT = `{
+  "overview": "visão geral do período em até 3 frases",
+  "topics": [{ "title": "assunto", "summary": "o que foi dito", "participants": ["nome"] }],
+  "decisions": [{ "description": "decisão tomada", "madeBy": "nome ou null" }],
+  "openQuestions": [{ "question": "pergunta sem resposta", "askedBy": "nome ou null" }],
+  "actionItems": [{ "task": "tarefa combinada", "owner": "responsável ou null", "dueDate": "prazo ou null" }],
+  "dates": [{ "date": "AAAA-MM-DD ou como foi dita", "description": "o que acontece" }],
+  "links": [{ "url": "https://...", "description": "do que se trata ou null" }]
+}`;
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+
+// Checks one list item against its fields; returns the cleaned item, pushing problems into errors
+function validateItem(item, fields, path, errors) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+
+  const clean = {};
+  for (const [field, kind] of Object.entries(fields)) {
+    const value = item[field];
+
+    if (kind === 'required') {
+      if (!isText(value)) {
+        errors.push(`${path}.${field} must be a non-empty string`);
+        continue;
+      }
+      clean[field] = value.trim();
+    } else if (kind === 'optional') {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        errors.push(`${path}.${field} must be a string or null`);
+        continue;
+      }
+      clean[field] = isText(value) ? value.trim() : null;
+    } else {
+      if (value !== undefined && (!Array.isArray(value) || !value.every(entry => typeof entry === 'string'))) {
+        errors.push(`${path}.${field} must be a list of strings`);
+        continue;
+      }
+      clean[field] = (value || []).map(entry => entry.trim()).filter(Boolean);
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * Validates a summary object against the structure above.
+ * Unknown keys are dropped, strings trimmed and missing lists read as empty.
+ * @param {object} data Parsed model output.
+ * @returns {{ valid: boolean, errors: string[], summary: object|null }}
+ */
+function validateSummary(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['summary must be a JSON object'], summary: null };
+  }
+
+  if (!isText(data.overview)) {
+    errors.push('overview must be a non-empty string');
+  }
+
+  const summary = { overview: isText(data.overview) ? data.overview.trim() : '' };
+
+  for (const [list, fields] of Object.entries(LIST_FIELDS)) {
+    const items = data[list] ?? [];
+
+    if (!Array.isArray(items)) {
+      errors.push(`${list} must be a list`);
+      continue;
+    }
+
+    summary[list] = items
+      .map((item, index) => validateItem(item, fields, `${list}[${index}]`, errors))
+      .filter(Boolean);
+  }
+
+  for (const [index, link] of (summary.links || []).entries()) {
+    if (!/^https?:\/\/\S+$/i.test(link.url)) {
+      errors.push(`links[${index}].url must be an http(s) URL`);
+    }
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, summary: null }
+    : { valid: true, errors, summary };
+}
+
+/**
+ * Parses and validates a model reply; tolerates ```json fences and text around the object.
+ * @param {string} content Raw model output.
+ * @returns {{ valid: boolean, errors: string[], summary: object|null }}
+ */
+function parseSummary(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return { valid: false, errors: ['reply does not contain a JSON object'], summary: null };
+  }
+
+  try {
+    return validateSummary(JSON.parse(text.slice(start, end + 1)));
+  } catch (error) {
+    return { valid: false, errors: [`reply is not valid JSON (${error.message})`], summary: null };
+  }
+}
+
+// "• item" lines under a bold heading; empty sections are left out
+function renderSection(title, lines) {
+  return lines.length > 0 ? `*${title}*\n${lines.map(line => `• ${line}`).join('\n')}` : null;
+}
+
+/**
+ * Renders a structured summary as WhatsApp markdown, in the order people usually look for things.
+ * @param {object} summary A summary accepted by validateSummary.
+ * @returns {string}
+ */
+function renderSummary(summary) {
+  const sections = [
+    summary.overview,
+    renderSection('📌 Tópicos', summary.topics.map(topic => {
+      const participants = topic.participants.length > 0 ? ` _(${topic.participants.join(', ')})_` : '';
+      return `*${topic.title}:* ${topic.summary}${participants}`;
+    })),
+    renderSection('✅ Decisões', summary.decisions.map(decision =>
+      decision.madeBy ? `${decision.description} _(${decision.madeBy})_` : decision.description)),
+    renderSection('📝 Tarefas', summary.actionItems.map(item => {
+      const details = [item.owner, item.dueDate && `até ${item.dueDate}`].filter(Boolean).join(', ');
+      return details ? `${item.task} _(${details})_` : item.task;
+    })),
+    renderSection('❓ Perguntas em aberto', summary.openQuestions.map(question =>
+      question.askedBy ? `${question.question} _(${question.askedBy})_` : question.question)),
+    renderSection('📅 Datas', summary.dates.map(date => `*${date.date}:* ${date.description}`)),
+    renderSection('🔗 Links', summary.links.map(link => link.description ? `${link.description}: ${link.url}` : link.url))
+  ];
+
+  return sections.filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  SUMMARY_JSON_FORMAT,
+  validateSummary,
+  parseSummary,
+  renderSummary
+};
@@ -0,0 +1,255 @@
+// Summary windows. A window is { period, startDate, endDate, label }:
+// - period: short key stored in group_summaries.summary_period ("6h", "24h", "3d", "1week", "yesterday", "custom"...)
+// - startDate / endDate: the real range of messages covered
+// - label: Portuguese description used in prompts and replies ("últimas 6 horas", "desde segunda-feira"...)
+
+const DEFAULT_SUMMARY_PERIOD = '24h';
+
+// Longest window a summary may cover
+const MAX_SUMMARY_WINDOW_DAYS = 31;
+
+// Safety cap on the messages loaded for one summary (the most recent are kept); long windows are summarized in chunks (see aiService)
+const MAX_SUMMARY_MESSAGES = 20000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Portuguese weekday names (as typed, without "-feira") -> [day index, period key, label]
+const WEEKDAYS = {
+  domingo: [0, 'sunday', 'domingo'],
+  segunda: [1, 'monday', 'segunda-feira'],
+  terca: [2, 'tuesday', 'terça-feira'],
+  'terça': [2, 'tuesday', 'terça-feira'],
+  quarta: [3, 'wednesday', 'quarta-feira'],
+  quinta: [4, 'thursday', 'quinta-feira'],
+  sexta: [5, 'friday', 'sexta-feira'],
+  sabado: [6, 'saturday', 'sábado'],
+  'sábado': [6, 'saturday', 'sábado']
+};
+
+const DURATION_UNITS = [
+  [/^(h|hrs?|horas?|hours?)$/, 1],
+  [/^(d|dias?|days?)$/, 24],
+  [/^(sem|semanas?|w|weeks?)$/, 168]
+];
+
+const ISO_DATE_PATTERN = /\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/gi;
+const DURATION_PATTERN = /(\d+)\s*([a-zà-ú]+)/gi;
+const SINCE_WEEKDAY_PATTERN = /desde\s+(?:a\s+|o\s+)?(domingo|segunda|ter[cç]a|quarta|quinta|sexta|s[aá]bado)/i;
+
+function getTimeZone() {
+  return process.env.TZ || 'America/Sao_Paulo';
+}
+
+// Offset between the bot's timezone and UTC at a given instant
+function getTimeZoneOffsetMs(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: getTimeZone(),
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Local wall-clock time (in the bot's timezone) expressed as a UTC date, so getUTC* returns local fields
+function toLocal(date) {
+  return new Date(date.getTime() + getTimeZoneOffsetMs(date));
+}
+
+// Midnight of the local day that is `daysAgo` days before `date`
+function startOfLocalDay(date, daysAgo = 0) {
+  const local = toLocal(date);
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysAgo);
+  return new Date(midnight - getTimeZoneOffsetMs(new Date(midnight)));
+}
+
+// Midnight of the first day of the local month of `date`
+function startOfLocalMonth(date) {
+  return startOfLocalDay(date, toLocal(date).getUTCDate() - 1);
+}
+
+function formatLocalDate(date, withTime) {
+  return new Intl.DateTimeFormat('pt-BR', {
+    timeZone: getTimeZone(),
+    dateStyle: 'short',
+    ...(withTime ? { timeStyle: 'short' } : {})
+  }).format(date);
+}
+
+// Window ending now and covering the last `hours` hours
+function durationWindow(hours, now) {
+  let period;
+  let label;
+
+  if (hours <= 48 || hours % 24 !== 0) {
+    period = `${hours}h`;
+    label = hours === 1 ? 'última hora' : `últimas ${hours} horas`;
+  } else if (hours % 168 === 0) {
+    period = hours === 168 ? '1week' : `${hours / 24}d`;
+    label = hours === 168 ? 'última semana' : `últimas ${hours / 168} semanas`;
+  } else {
+    period = `${hours / 24}d`;
+    label = `últimos ${hours / 24} dias`;
+  }
+
+  return { period, startDate: new Date(now.getTime() - hours * HOUR_MS), endDate: now, label };
+}
+
+// Parse an ISO date; values without an offset are read in the bot's timezone.
+// A date without time used as the end of a range covers that whole day.
+function parseIsoDate(value, isEnd = false) {
+  const text = String(value).trim().toUpperCase().replace(' ', 'T');
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const [year, month, day] = text.split('-').map(Number);
+    const midnight = Date.UTC(year, month - 1, day + (isEnd ? 1 : 0));
+    return new Date(midnight - getTimeZoneOffsetMs(new Date(midnight)));
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const asUtc = new Date(`${text}Z`);
+  if (Number.isNaN(asUtc.getTime())) {
+    return null;
+  }
+
+  return new Date(asUtc.getTime() - getTimeZoneOffsetMs(asUtc));
+}
+
+// Window for an explicit range; a missing end means "until now". Returns null for an invalid range.
+function buildRangePeriod(start, end = null, now = new Date()) {
+  const startDate = parseIsoDate(start);
+  const parsedEnd = end ? parseIsoDate(end, true) : now;
+
+  if (!startDate || !parsedEnd) {
+    return null;
+  }
+
+  const endDate = parsedEnd > now ? now : parsedEnd;
+  if (startDate >= endDate) {
+    return null;
+  }
+
+  // Date-only ranges are shown with their inclusive last day
+  const withTime = !/^\d{4}-\d{2}-\d{2}$/.test(String(start).trim());
+  const label = end
+    ? `de ${formatLocalDate(startDate, withTime)} a ${formatLocalDate(withTime ? endDate : new Date(endDate - 1), withTime)}`
+    : `desde ${formatLocalDate(startDate, withTime)}`;
+
+  return { period: 'custom', startDate, endDate, label };
+}
+
+function parseDuration(text, now) {
+  for (const [, amount, unit] of text.matchAll(DURATION_PATTERN)) {
+    const match = DURATION_UNITS.find(([pattern]) => pattern.test(unit.toLowerCase()));
+    if (match && parseInt(amount) > 0) {
+      return durationWindow(parseInt(amount) * match[1], now);
+    }
+  }
+
+  return null;
+}
+
+// Read a summary window from free text: "/resumo 3d", "resumo desde segunda", "resumo de ontem",
+// "2026-10-01 2026-10-05". Returns null when the text names no window.
+function parseSummaryPeriod(text, now = new Date()) {
+  const content = String(text || '').toLowerCase();
+
+  // Explicit ISO dates: one date means "from then until now"
+  const isoDates = content.match(ISO_DATE_PATTERN);
+  if (isoDates) {
+    return buildRangePeriod(isoDates[0], isoDates[1] || null, now);
+  }
+
+  const sinceWeekday = content.match(SINCE_WEEKDAY_PATTERN);
+  if (sinceWeekday) {
+    const [dayIndex, key, label] = WEEKDAYS[sinceWeekday[1]];
+    const daysAgo = (toLocal(now).getUTCDay() - dayIndex + 7) % 7;
+    return { period: `since_${key}`, startDate: startOfLocalDay(now, daysAgo), endDate: now, label: `desde ${label}` };
+  }
+
+  if (/desde\s+ontem/.test(content)) {
+    return { period: 'since_yesterday', startDate: startOfLocalDay(now, 1), endDate: now, label: 'desde ontem' };
+  }
+
+  if (/\b(hoje|today)\b/.test(content)) {
+    return { period: 'today', startDate: startOfLocalDay(now), endDate: now, label: 'hoje' };
+  }
+
+  if (/\b(ontem|yesterday)\b/.test(content)) {
+    return { period: 'yesterday', startDate: startOfLocalDay(now, 1), endDate: startOfLocalDay(now), label: 'ontem' };
+  }
+
+  const duration = parseDuration(content, now);
+  if (duration) {
+    return duration;
+  }
+
+  if (/semana|week/.test(content)) {
+    return durationWindow(168, now);
+  }
+
+  return null;
+}
+
+// Whether the text names ISO dates, so a null from parseSummaryPeriod means an invalid range rather than no window
+function mentionsDates(text) {
+  return Boolean(String(text || '').match(ISO_DATE_PATTERN));
+}
+
+// Redis key of a cached summary; explicit ranges are cached by their dates
+function getSummaryCacheKey(chatId, window) {
+  return window.period === 'custom'
+    ? `summary:${chatId}:custom:${window.startDate.getTime()}:${window.endDate.getTime()}`
+    : `summary:${chatId}:${window.period}`;
+}
+
+// Window of a summary job or request: the stored range when there is one, otherwise the period key
+// resolved against `now` (scheduled jobs only carry "24h")
+function resolveSummaryPeriod(data = {}, now = new Date()) {
+  if (data.startDate && data.endDate) {
+    return {
+      period: data.period || 'custom',
+      startDate: new Date(data.startDate),
+      endDate: new Date(data.endDate),
+      label: data.label || data.period || 'custom'
+    };
+  }
+
+  return parseSummaryPeriod(data.period, now) || parseSummaryPeriod(DEFAULT_SUMMARY_PERIOD, now);
+}
+
+function isWithinMaxWindow(window) {
+  return window.endDate - window.startDate <= MAX_SUMMARY_WINDOW_DAYS * DAY_MS;
+}
+
+function getWindowHours(window) {
+  return Math.max(1, Math.round((window.endDate - window.startDate) / HOUR_MS));
+}
+
+module.exports = {
+  DEFAULT_SUMMARY_PERIOD,
+  MAX_SUMMARY_WINDOW_DAYS,
+  parseSummaryPeriod,
+  mentionsDates,
+  getSummaryCacheKey,
+  buildRangePeriod,
+  resolveSummaryPeriod,
+  isWithinMaxWindow,
+  getWindowHours,
+  startOfLocalDay,
+  startOfLocalMonth,
+  MAX_SUMMARY_MESSAGES
+};
@@ -0,0 +1,52 @@
+const aiService = require('../../src/services/aiService');
+
+const at = minute => new Date(Date.UTC(2026, 9, 15, 12, minute));
+
+// A message of the group transcript as getGroupMessages returns it
+const message = (id, quotedId = null, minute = 0) => ({
+  message_id: id,
+  quoted_message_id: quotedId,
+  sender_name: `Pessoa ${id}`,
+  content: `mensagem ${id}`,
+  created_at: at(minute)
+});
+
+describe('prepareSummaryBlocks', () => {
+  test('keeps replies under the message they answer, in order', () => {
+    const blocks = aiService.prepareSummaryBlocks([
+      message('a', null, 0),
+      message('b', null, 1),
+      message('c', 'a', 2),
+      message('d', 'c', 3),
+      message('e', 'a', 4)
+    ]);
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0].split('\n').map(line => line.replace(/\[.*?\] /, ''))).toEqual([
+      'Pessoa a: mensagem a',
+      '↳ Pessoa c: mensagem c',
+      '  ↳ Pessoa d: mensagem d',
+      '↳ Pessoa e: mensagem e'
+    ]);
+    expect(blocks[1]).toContain('Pessoa b: mensagem b');
+  });
+
+  test('walks a long reply chain without growing the indentation', () => {
+    const chain = Array.from({ length: 20000 }, (_, index) => message(`m${index}`, index > 0 ? `m${index - 1}` : null));
+
+    const blocks = aiService.prepareSummaryBlocks(chain);
+    const lines = blocks[0].split('\n');
+
+    expect(blocks).toHaveLength(1);
+    expect(lines).toHaveLength(20000);
+    expect(lines[3].startsWith('    ↳ ')).toBe(true);
+    expect(lines[19999].startsWith('    ↳ [')).toBe(true);
+  });
+
+  test('still lists messages caught in a reply cycle', () => {
+    const blocks = aiService.prepareSummaryBlocks([message('x', 'y'), message('y', 'x')]);
+
+    expect(blocks.join('\n')).toContain('mensagem x');
+    expect(blocks.join('\n')).toContain('mensagem y');
+  });
+});
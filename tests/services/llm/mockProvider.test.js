@@ -0,0 +1,176 @@
+const MockProvider = require('../../../src/services/llm/mockProvider');
+const { parseSummary, SUMMARY_JSON_FORMAT } = require('../../../src/utils/structuredSummary');
+const llmProviders = require('../../../src/services/llm');
+
+const ENV_KEYS = ['LLM_MOCK_RESPONSE', 'LLM_MOCK_JSON_RESPONSE', 'LLM_MOCK_EMBEDDING_DIMENSIONS', 'LLM_PROVIDER', 'LLM_EMBEDDING_PROVIDER'];
+
+let provider;
+
+beforeEach(() => {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  provider = new MockProvider();
+});
+
+afterAll(() => {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+});
+
+describe('chat', () => {
+  test('echoes the last user message with usage estimates', async () => {
+    const reply = await provider.chat({
+      model: 'mock',
+      messages: [
+        { role: 'system', content: 'Você é um assistente.' },
+        { role: 'user', content: 'primeira' },
+        { role: 'assistant', content: 'ok' },
+        { role: 'user', content: '  qual o prazo?  ' }
+      ]
+    });
+
+    expect(reply.content).toBe('[mock] qual o prazo?');
+    expect(reply.model).toBe('mock');
+    expect(reply.usage.totalTokens).toBe(reply.usage.promptTokens + reply.usage.completionTokens);
+    expect(reply.usage.completionTokens).toBe(Math.ceil(reply.content.length / 4));
+  });
+
+  test('reads the text parts of multimodal content', async () => {
+    const reply = await provider.chat({
+      messages: [{
+        role: 'user',
+        content: [{ type: 'text', text: 'o que é isto?' }, { type: 'image_url', image_url: { url: 'https://x/y.png' } }]
+      }]
+    });
+
+    expect(reply.content).toBe('[mock] o que é isto?');
+  });
+
+  test('answers with LLM_MOCK_RESPONSE when set', async () => {
+    process.env.LLM_MOCK_RESPONSE = 'resposta fixa';
+
+    const reply = await provider.chat({ messages: [{ role: 'user', content: 'oi' }] });
+
+    expect(reply.content).toBe('resposta fixa');
+  });
+
+  test('answers the structured summary prompt with a valid group summary', async () => {
+    process.env.LLM_MOCK_RESPONSE = 'resposta fixa';
+
+    const reply = await provider.chat({
+      messages: [
+        { role: 'system', content: 'Responda apenas com um objeto JSON válido, sem texto antes ou depois.' },
+        { role: 'user', content: `Crie um resumo das conversas do grupo.\n${SUMMARY_JSON_FORMAT}` }
+      ]
+    });
+
+    expect(parseSummary(reply.content)).toMatchObject({ valid: true, summary: { overview: '[mock] resumo das conversas' } });
+  });
+
+  test('answers the structured summary prompt with LLM_MOCK_JSON_RESPONSE when set', async () => {
+    process.env.LLM_MOCK_JSON_RESPONSE = '{"overview":"Resumo de teste"}';
+
+    const reply = await provider.chat({
+      messages: [{ role: 'system', content: 'Responda com JSON.' }, { role: 'user', content: SUMMARY_JSON_FORMAT }]
+    });
+
+    expect(reply.content).toBe('{"overview":"Resumo de teste"}');
+  });
+
+  test('echoes other prompts that mention JSON', async () => {
+    const reply = await provider.chat({
+      messages: [{ role: 'system', content: 'Responda em JSON.' }, { role: 'user', content: 'oi' }]
+    });
+
+    expect(reply.content).toBe('[mock] oi');
+  });
+});
+
+describe('summary intent classification', () => {
+  const aiService = require('../../../src/services/aiService');
+  const usageService = require('../../../src/services/usageService');
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    jest.spyOn(usageService, 'assertWithinBudget').mockResolvedValue();
+    jest.spyOn(usageService, 'recordUsage').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('detects a request that names a summary', async () => {
+    await expect(aiService.classifySummaryIntent('@bot faz um resumo de hoje'))
+      .resolves.toEqual({ isSummaryRequest: true, confidence: 0.9 });
+  });
+
+  test('rejects other messages', async () => {
+    await expect(aiService.classifySummaryIntent('bom dia, pessoal'))
+      .resolves.toEqual({ isSummaryRequest: false, confidence: 0.1 });
+  });
+
+  test('gets a valid summary for a group window', async () => {
+    const summary = await aiService.generateGroupSummary([{
+      message_id: '1',
+      sender_name: 'Ana',
+      content: 'A reunião ficou para quinta.',
+      created_at: new Date()
+    }], { period: '24h', label: 'últimas 24 horas' }, { chatId: 'g@g.us' });
+
+    expect(summary.overview).toBe('[mock] resumo das conversas');
+  });
+});
+
+describe('embed', () => {
+  const norm = vector => Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+
+  test('returns equal unit vectors for equal texts', async () => {
+    const first = await provider.embed({ model: 'mock', input: 'boleto atrasado' });
+    const second = await provider.embed({ model: 'mock', input: 'boleto atrasado' });
+    const other = await provider.embed({ model: 'mock', input: 'matrícula' });
+
+    expect(first.embedding).toHaveLength(1536);
+    expect(norm(first.embedding)).toBeCloseTo(1, 6);
+    expect(second.embedding).toEqual(first.embedding);
+    expect(other.embedding).not.toEqual(first.embedding);
+    expect(first.usage.completionTokens).toBe(0);
+  });
+
+  test('honours LLM_MOCK_EMBEDDING_DIMENSIONS', async () => {
+    process.env.LLM_MOCK_EMBEDDING_DIMENSIONS = '10';
+
+    const { embedding } = await provider.embed({ input: 'texto' });
+
+    expect(embedding).toHaveLength(10);
+    expect(norm(embedding)).toBeCloseTo(1, 6);
+  });
+});
+
+describe('media', () => {
+  test('transcribes and describes without network calls', async () => {
+    await expect(provider.transcribe({ model: 'mock', filePath: '/tmp/media/audio.ogg' }))
+      .resolves.toEqual({ text: '[mock] transcrição de audio.ogg', model: 'mock' });
+
+    const description = await provider.describeImage({ model: 'mock', prompt: 'Descreva' });
+    expect(description.content).toBe('[mock] descrição da imagem');
+  });
+});
+
+describe('provider selection', () => {
+  test('uses the mock for a task through LLM_<TASK>_PROVIDER', () => {
+    process.env.LLM_EMBEDDING_PROVIDER = 'mock';
+
+    expect(llmProviders.getProvider('embedding')).toBeInstanceOf(MockProvider);
+    expect(llmProviders.getModel('embedding')).toBe('mock');
+  });
+
+  test('rejects unknown providers and tasks', () => {
+    process.env.LLM_PROVIDER = 'nope';
+
+    expect(() => llmProviders.getProvider('chat')).toThrow('Unknown LLM provider "nope"');
+    expect(() => llmProviders.getProvider('painting')).toThrow('Unknown LLM task');
+  });
+});
@@ -0,0 +1,81 @@
+const { splitMessage, getMaxMessageLength } = require('../../src/utils/messageFormatter');
+
+// Text of a part without its "(n/total) " prefix
+const body = part => part.replace(/^\(\d+\/\d+\) /, '');
+
+const count = (text, marker) => text.split(marker).length - 1;
+
+describe('splitMessage', () => {
+  test('sends a text that fits as it is', () => {
+    expect(splitMessage('Olá, *tudo bem*?', 100)).toEqual(['Olá, *tudo bem*?']);
+    expect(splitMessage('', 100)).toEqual(['']);
+  });
+
+  test('numbers the parts and keeps each within the limit', () => {
+    const text = Array.from({ length: 12 }, (_, index) => `Parágrafo ${index + 1} com algum texto de exemplo.`).join('\n\n');
+
+    const parts = splitMessage(text, 120);
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) => {
+      expect(part.startsWith(`(${index + 1}/${parts.length}) `)).toBe(true);
+      expect(part.length).toBeLessThanOrEqual(120);
+    });
+    expect(parts.map(body).join('\n\n')).toBe(text);
+  });
+
+  test('breaks at paragraph and list item boundaries', () => {
+    const first = 'a'.repeat(40);
+    const second = 'b'.repeat(40);
+
+    expect(splitMessage(`${first}\n\n${second}`, 80).map(body)).toEqual([first, second]);
+    expect(splitMessage(`- ${first}\n- ${second}`, 80).map(body)).toEqual([`- ${first}`, `- ${second}`]);
+  });
+
+  test('closes and reopens bold and italic across parts', () => {
+    const words = Array.from({ length: 30 }, (_, index) => `palavra${index}`).join(' ');
+
+    const parts = splitMessage(`*_${words}_*`, 100).map(body);
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(part.startsWith('*_')).toBe(true);
+      expect(part.endsWith('_*')).toBe(true);
+    }
+  });
+
+  test('keeps code blocks fenced in every part', () => {
+    const lines = Array.from({ length: 20 }, (_, index) => `const valor${index} = ${index} * 2;`).join('\n');
+
+    const parts = splitMessage(`Exemplo:\n\`\`\`\n${lines}\n\`\`\``, 150).map(body);
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(count(part, '```') % 2).toBe(0);
+    }
+  });
+
+  test('leaves arithmetic and snake_case alone', () => {
+    const text = `${'5 * 3 = 15 e nome_do_campo. '.repeat(8)}fim`;
+
+    const parts = splitMessage(text, 100).map(body);
+
+    expect(parts.join(' ').replace(/\s+/g, ' ')).toBe(text.replace(/\s+/g, ' '));
+  });
+});
+
+describe('getMaxMessageLength', () => {
+  afterEach(() => {
+    delete process.env.WHATSAPP_MAX_MESSAGE_LENGTH;
+  });
+
+  test('defaults to 4000 and never goes below 200', () => {
+    expect(getMaxMessageLength()).toBe(4000);
+
+    process.env.WHATSAPP_MAX_MESSAGE_LENGTH = '1500';
+    expect(getMaxMessageLength()).toBe(1500);
+
+    process.env.WHATSAPP_MAX_MESSAGE_LENGTH = '50';
+    expect(getMaxMessageLength()).toBe(200);
+  });
+});
@@ -0,0 +1,234 @@
+const {
+  MESSAGE_TYPES,
+  unwrapMessage,
+  parseVCard,
+  extractQuoted,
+  extractMentions,
+  parseMessageContent
+} = require('../../src/utils/messageParser');
+
+const VCARD = 'BEGIN:VCARD\nVERSION:3.0\nFN:Maria Souza\nitem1.TEL;waid=5511999990000:+55 11 99999-0000\nTEL;type=WORK:+55 11 3333-4444\nEND:VCARD';
+
+describe('parseMessageContent', () => {
+  test('reads plain and extended text, with link previews', () => {
+    expect(parseMessageContent({ conversation: 'Bom dia!' })).toEqual({
+      messageType: 'text',
+      content: 'Bom dia!',
+      mediaUrl: null,
+      mediaType: null,
+      payload: {},
+      quoted: null
+    });
+
+    expect(parseMessageContent({
+      extendedTextMessage: {
+        text: 'Vejam https://exemplo.com',
+        matchedText: 'https://exemplo.com',
+        title: 'Exemplo'
+      }
+    })).toMatchObject({
+      messageType: 'text',
+      content: 'Vejam https://exemplo.com',
+      payload: { link: { url: 'https://exemplo.com', title: 'Exemplo', description: null } }
+    });
+  });
+
+  test('reads media with captions and details', () => {
+    expect(parseMessageContent({
+      imageMessage: { url: 'https://mmg/img', mimetype: 'image/jpeg', fileLength: '2048', caption: 'Foto', width: 800, height: 600 }
+    })).toEqual({
+      messageType: 'image',
+      content: 'Foto',
+      mediaUrl: 'https://mmg/img',
+      mediaType: 'image',
+      payload: { mimetype: 'image/jpeg', fileLength: 2048, width: 800, height: 600 },
+      quoted: null
+    });
+
+    expect(parseMessageContent({ videoMessage: { url: 'v', seconds: 12, gifPlayback: true } }))
+      .toMatchObject({ messageType: 'video', content: '', payload: { seconds: 12, gif: true } });
+    expect(parseMessageContent({ audioMessage: { url: 'a', seconds: 7, ptt: true, mimetype: 'audio/ogg' } }))
+      .toMatchObject({ messageType: 'audio', mediaType: 'audio', payload: { seconds: 7, voiceNote: true, mimetype: 'audio/ogg' } });
+    expect(parseMessageContent({ documentMessage: { url: 'd', title: 'edital.pdf', pageCount: 3 } }))
+      .toMatchObject({ messageType: 'document', payload: { fileName: 'edital.pdf', pageCount: 3 } });
+    expect(parseMessageContent({ stickerMessage: { url: 's', isAnimated: true } }))
+      .toMatchObject({ messageType: 'sticker', payload: { animated: true } });
+  });
+
+  test('reads fixed and live locations', () => {
+    expect(parseMessageContent({
+      locationMessage: { degreesLatitude: -23.55, degreesLongitude: -46.63, name: 'Campus', address: 'Av. Paulista' }
+    })).toMatchObject({
+      messageType: 'location',
+      content: '📍 Campus - Av. Paulista',
+      payload: { latitude: -23.55, longitude: -46.63, live: false }
+    });
+
+    expect(parseMessageContent({ liveLocationMessage: { degreesLatitude: 1, degreesLongitude: 2 } }))
+      .toMatchObject({ content: '📍 1, 2', payload: { live: true, name: null } });
+  });
+
+  test('reads contact cards, alone and in groups', () => {
+    expect(parseMessageContent({ contactMessage: { vcard: VCARD } })).toMatchObject({
+      messageType: 'contact',
+      content: '👤 Maria Souza',
+      payload: { contacts: [{ displayName: 'Maria Souza', phones: ['+55 11 99999-0000', '+55 11 3333-4444'], vcard: VCARD }] }
+    });
+
+    const many = parseMessageContent({
+      contactsArrayMessage: { contacts: [{ displayName: 'Ana', vcard: VCARD }, { displayName: 'Bruno' }] }
+    });
+    expect(many.content).toBe('👤 Ana, Bruno');
+    expect(many.payload.contacts[1]).toEqual({ displayName: 'Bruno', phones: [], vcard: null });
+  });
+
+  test('reads reactions and their removal', () => {
+    expect(parseMessageContent({
+      reactionMessage: { text: '👍', key: { id: 'ABC', remoteJid: 'g@g.us', fromMe: true } }
+    })).toMatchObject({
+      messageType: 'reaction',
+      content: '👍',
+      payload: { emoji: '👍', targetMessageId: 'ABC', targetChatId: 'g@g.us', targetFromMe: true, removed: false }
+    });
+
+    expect(parseMessageContent({ reactionMessage: { text: '', key: { id: 'ABC' } } }).payload)
+      .toMatchObject({ emoji: null, removed: true });
+  });
+
+  test('reads polls of every version and poll votes', () => {
+    for (const key of ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3']) {
+      expect(parseMessageContent({
+        [key]: { name: 'Melhor dia?', options: [{ optionName: 'Seg' }, { optionName: 'Ter' }], selectableOptionsCount: 1 }
+      })).toMatchObject({
+        messageType: 'poll',
+        content: '📊 Melhor dia? (Seg / Ter)',
+        payload: { name: 'Melhor dia?', options: ['Seg', 'Ter'], selectableCount: 1 }
+      });
+    }
+
+    expect(parseMessageContent({ pollUpdateMessage: { pollCreationMessageKey: { id: 'POLL1' } } })).toMatchObject({
+      messageType: 'poll_vote',
+      payload: { pollMessageId: 'POLL1', selectedOptions: null }
+    });
+  });
+
+  test('reads button, template, native flow and list replies', () => {
+    expect(parseMessageContent({ buttonsResponseMessage: { selectedButtonId: 'b1', selectedDisplayText: 'Sim' } }))
+      .toMatchObject({ messageType: 'button_reply', content: 'Sim', payload: { buttonId: 'b1', text: 'Sim' } });
+
+    expect(parseMessageContent({ templateButtonReplyMessage: { selectedId: 't1', selectedDisplayText: 'Não' } }))
+      .toMatchObject({ messageType: 'button_reply', content: 'Não', payload: { buttonId: 't1' } });
+
+    expect(parseMessageContent({
+      interactiveResponseMessage: { body: { text: 'Confirmar' }, nativeFlowResponseMessage: { paramsJson: '{"id":"ok"}' } }
+    })).toMatchObject({ messageType: 'button_reply', content: 'Confirmar', payload: { buttonId: 'ok', params: { id: 'ok' } } });
+
+    expect(parseMessageContent({
+      interactiveResponseMessage: { body: { text: 'x' }, nativeFlowResponseMessage: { paramsJson: '{quebrado' } }
+    }).payload).toMatchObject({ buttonId: null, params: null });
+
+    expect(parseMessageContent({
+      listResponseMessage: { title: 'Turma B', description: 'Noite', singleSelectReply: { selectedRowId: 'row-b' } }
+    })).toMatchObject({ messageType: 'list_reply', content: 'Turma B', payload: { rowId: 'row-b', title: 'Turma B', description: 'Noite' } });
+  });
+
+  test('names the raw type of unknown messages, ignoring metadata keys', () => {
+    expect(parseMessageContent({ messageContextInfo: {}, protocolMessage: { type: 5 } })).toMatchObject({
+      messageType: 'unknown',
+      content: '',
+      payload: { rawType: 'protocolMessage' }
+    });
+    expect(parseMessageContent({}).payload).toEqual({ rawType: null });
+  });
+
+  test('unwraps ephemeral, view-once, edited and document-with-caption messages', () => {
+    expect(parseMessageContent({ ephemeralMessage: { message: { conversation: 'some' } } }))
+      .toMatchObject({ messageType: 'text', content: 'some', payload: { ephemeral: true } });
+
+    for (const key of ['viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension']) {
+      expect(parseMessageContent({ [key]: { message: { imageMessage: { url: 'i', caption: 'uma vez' } } } }))
+        .toMatchObject({ messageType: 'image', content: 'uma vez', payload: { viewOnce: true } });
+    }
+
+    expect(parseMessageContent({ editedMessage: { message: { conversation: 'corrigido' } } }))
+      .toMatchObject({ content: 'corrigido', payload: { edited: true } });
+
+    const document = parseMessageContent({
+      documentWithCaptionMessage: { message: { documentMessage: { url: 'd', fileName: 'plano.pdf', caption: 'Plano' } } }
+    });
+    expect(document).toMatchObject({ messageType: 'document', content: 'Plano', payload: { fileName: 'plano.pdf' } });
+    expect(document.payload.viewOnce).toBeUndefined();
+  });
+
+  test('unwraps nested wrappers', () => {
+    expect(unwrapMessage({
+      ephemeralMessage: { message: { viewOnceMessageV2: { message: { audioMessage: { url: 'a' } } } } }
+    })).toEqual({ body: { audioMessage: { url: 'a' } }, wrappers: ['ephemeral', 'viewOnce'] });
+
+    expect(parseMessageContent({
+      ephemeralMessage: { message: { viewOnceMessage: { message: { videoMessage: { url: 'v' } } } } }
+    }).payload).toMatchObject({ ephemeral: true, viewOnce: true });
+  });
+
+  test('records the quoted message and a preview of its text', () => {
+    const result = parseMessageContent({
+      extendedTextMessage: {
+        text: 'Concordo',
+        contextInfo: {
+          stanzaId: 'Q1',
+          participant: '5511999990000@s.whatsapp.net',
+          quotedMessage: { ephemeralMessage: { message: { conversation: 'x'.repeat(300) } } }
+        }
+      }
+    });
+
+    expect(result.quoted).toEqual({ messageId: 'Q1', participant: '5511999990000@s.whatsapp.net' });
+    expect(result.payload.quotedText).toBe('x'.repeat(200));
+  });
+
+  test('records mentions, also in media captions', () => {
+    const result = parseMessageContent({
+      imageMessage: {
+        url: 'i',
+        caption: '@Ana olha isso',
+        contextInfo: { mentionedJid: ['5511911112222@s.whatsapp.net'] }
+      }
+    });
+
+    expect(result.payload.mentions).toEqual(['5511911112222@s.whatsapp.net']);
+    expect(result.quoted).toBeNull();
+  });
+
+  test('maps every type to a stored message_type', () => {
+    const samples = [
+      { conversation: 'a' },
+      { imageMessage: {} },
+      { contactMessage: {} },
+      { pollUpdateMessage: {} },
+      { listResponseMessage: {} },
+      { somethingNew: {} }
+    ];
+
+    for (const sample of samples) {
+      expect(MESSAGE_TYPES).toContain(parseMessageContent(sample).messageType);
+    }
+  });
+});
+
+describe('helpers', () => {
+  test('parseVCard reads the name and every phone', () => {
+    expect(parseVCard(VCARD)).toEqual({ name: 'Maria Souza', phones: ['+55 11 99999-0000', '+55 11 3333-4444'] });
+    expect(parseVCard()).toEqual({ name: null, phones: [] });
+  });
+
+  test('extractQuoted and extractMentions ignore messages without context', () => {
+    expect(extractQuoted({ conversation: 'oi' })).toBeNull();
+    expect(extractMentions({ extendedTextMessage: { text: 'oi', contextInfo: { mentionedJid: [] } } })).toEqual([]);
+  });
+
+  test('extractQuoted leaves the preview out when the quoted message has no text', () => {
+    expect(extractQuoted({
+      extendedTextMessage: { text: 'legal', contextInfo: { stanzaId: 'Q2', quotedMessage: { stickerMessage: {} } } }
+    })).toEqual({ messageId: 'Q2', participant: null, text: null });
+  });
+});
@@ -0,0 +1,97 @@
+const { validateSummary, parseSummary, renderSummary } = require('../../src/utils/structuredSummary');
+
+const fullSummary = {
+  overview: 'O grupo combinou a entrega do projeto.',
+  topics: [{ title: 'Entrega', summary: 'Prazo confirmado para sexta.', participants: ['Ana', 'Bruno'] }],
+  decisions: [{ description: 'Usar o modelo novo de relatório', madeBy: 'Ana' }],
+  openQuestions: [{ question: 'Quem apresenta?', askedBy: null }],
+  actionItems: [{ task: 'Revisar o relatório', owner: 'Bruno', dueDate: '2026-10-23' }],
+  dates: [{ date: '2026-10-23', description: 'Entrega do projeto' }],
+  links: [{ url: 'https://exemplo.com/modelo', description: 'Modelo de relatório' }]
+};
+
+describe('validateSummary', () => {
+  test('accepts a complete summary as it is', () => {
+    expect(validateSummary(fullSummary)).toEqual({ valid: true, errors: [], summary: fullSummary });
+  });
+
+  test('trims strings, drops unknown keys and reads missing lists as empty', () => {
+    const { valid, summary } = validateSummary({
+      overview: '  Pouca conversa.  ',
+      mood: 'animado',
+      topics: [{ title: ' Avisos ', summary: 'Sem aula amanhã', extra: 1 }],
+      actionItems: [{ task: 'Trazer o livro', owner: '  ' }]
+    });
+
+    expect(valid).toBe(true);
+    expect(summary).toEqual({
+      overview: 'Pouca conversa.',
+      topics: [{ title: 'Avisos', summary: 'Sem aula amanhã', participants: [] }],
+      decisions: [],
+      openQuestions: [],
+      actionItems: [{ task: 'Trazer o livro', owner: null, dueDate: null }],
+      dates: [],
+      links: []
+    });
+  });
+
+  test('reports every problem with its path', () => {
+    const { valid, errors, summary } = validateSummary({
+      overview: '',
+      topics: [{ title: 'Entrega', participants: 'Ana' }],
+      decisions: 'nenhuma',
+      actionItems: ['tarefa'],
+      links: [{ url: 'exemplo.com' }]
+    });
+
+    expect(valid).toBe(false);
+    expect(summary).toBeNull();
+    expect(errors).toEqual([
+      'overview must be a non-empty string',
+      'topics[0].summary must be a non-empty string',
+      'topics[0].participants must be a list of strings',
+      'decisions must be a list',
+      'actionItems[0] must be an object',
+      'links[0].url must be an http(s) URL'
+    ]);
+  });
+
+  test('rejects anything but an object', () => {
+    expect(validateSummary(['a']).errors).toEqual(['summary must be a JSON object']);
+    expect(validateSummary(null).valid).toBe(false);
+  });
+});
+
+describe('parseSummary', () => {
+  test('reads JSON inside fences and surrounding text', () => {
+    const reply = `Aqui está:\n\`\`\`json\n${JSON.stringify(fullSummary)}\n\`\`\`\nQualquer dúvida, avise.`;
+
+    expect(parseSummary(reply)).toEqual({ valid: true, errors: [], summary: fullSummary });
+  });
+
+  test('explains replies without valid JSON', () => {
+    expect(parseSummary('Não houve conversas relevantes.').errors).toEqual(['reply does not contain a JSON object']);
+    expect(parseSummary('{"overview": "x",}').errors[0]).toMatch(/^reply is not valid JSON/);
+    expect(parseSummary(undefined).valid).toBe(false);
+  });
+});
+
+describe('renderSummary', () => {
+  test('renders each section with its details', () => {
+    expect(renderSummary(fullSummary)).toBe([
+      'O grupo combinou a entrega do projeto.',
+      '*📌 Tópicos*\n• *Entrega:* Prazo confirmado para sexta. _(Ana, Bruno)_',
+      '*✅ Decisões*\n• Usar o modelo novo de relatório _(Ana)_',
+      '*📝 Tarefas*\n• Revisar o relatório _(Bruno, até 2026-10-23)_',
+      '*❓ Perguntas em aberto*\n• Quem apresenta?',
+      '*📅 Datas*\n• *2026-10-23:* Entrega do projeto',
+      '*🔗 Links*\n• Modelo de relatório: https://exemplo.com/modelo'
+    ].join('\n\n'));
+  });
+
+  test('leaves empty sections out', () => {
+    const { summary } = validateSummary({ overview: 'Só avisos.', actionItems: [{ task: 'Ler o edital' }] });
+
+    expect(renderSummary(summary)).toBe('Só avisos.\n\n*📝 Tarefas*\n• Ler o edital');
+  });
+});
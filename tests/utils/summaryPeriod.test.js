@@ -0,0 +1,120 @@
+process.env.TZ = 'America/Sao_Paulo';
+
+const {
+  parseSummaryPeriod,
+  mentionsDates,
+  getSummaryCacheKey,
+  resolveSummaryPeriod,
+  isWithinMaxWindow
+} = require('../../src/utils/summaryPeriod');
+
+// Thursday, 12:00 in São Paulo (UTC-3)
+const now = new Date('2026-10-15T15:00:00Z');
+
+describe('parseSummaryPeriod', () => {
+  test('reads durations in hours, days and weeks', () => {
+    expect(parseSummaryPeriod('/resumo 6h', now)).toMatchObject({
+      period: '6h',
+      startDate: new Date('2026-10-15T09:00:00Z'),
+      endDate: now,
+      label: 'últimas 6 horas'
+    });
+    expect(parseSummaryPeriod('resumo dos últimos 3 dias', now)).toMatchObject({ period: '3d', label: 'últimos 3 dias' });
+    expect(parseSummaryPeriod('2 semanas', now)).toMatchObject({ period: '14d', label: 'últimas 2 semanas' });
+    expect(parseSummaryPeriod('resumo da semana', now)).toMatchObject({ period: '1week' });
+  });
+
+  test('starts "desde <dia>" at local midnight of that weekday', () => {
+    expect(parseSummaryPeriod('resumo desde segunda', now)).toEqual({
+      period: 'since_monday',
+      startDate: new Date('2026-10-12T03:00:00Z'),
+      endDate: now,
+      label: 'desde segunda-feira'
+    });
+    expect(parseSummaryPeriod('desde a terça', now).startDate).toEqual(new Date('2026-10-13T03:00:00Z'));
+    expect(parseSummaryPeriod('desde quinta', now).startDate).toEqual(new Date('2026-10-15T03:00:00Z'));
+  });
+
+  test('covers the whole local day for ontem and up to now for hoje', () => {
+    expect(parseSummaryPeriod('resumo de ontem', now)).toEqual({
+      period: 'yesterday',
+      startDate: new Date('2026-10-14T03:00:00Z'),
+      endDate: new Date('2026-10-15T03:00:00Z'),
+      label: 'ontem'
+    });
+    expect(parseSummaryPeriod('desde ontem', now)).toMatchObject({ period: 'since_yesterday', endDate: now });
+    expect(parseSummaryPeriod('hoje', now)).toMatchObject({
+      period: 'today',
+      startDate: new Date('2026-10-15T03:00:00Z'),
+      endDate: now
+    });
+  });
+
+  test('reads ISO ranges in the bot timezone, including the last day', () => {
+    const window = parseSummaryPeriod('resumo 2026-10-01 2026-10-05', now);
+
+    expect(window).toMatchObject({
+      period: 'custom',
+      startDate: new Date('2026-10-01T03:00:00Z'),
+      endDate: new Date('2026-10-06T03:00:00Z'),
+      label: 'de 01/10/2026 a 05/10/2026'
+    });
+  });
+
+  test('runs a single date until now and caps a future end at now', () => {
+    expect(parseSummaryPeriod('2026-10-10', now)).toMatchObject({
+      startDate: new Date('2026-10-10T03:00:00Z'),
+      endDate: now,
+      label: 'desde 10/10/2026'
+    });
+    expect(parseSummaryPeriod('2026-10-10 2026-12-31', now).endDate).toEqual(now);
+  });
+
+  test('rejects ranges that end before they start', () => {
+    expect(parseSummaryPeriod('resumo 2026-10-05 2026-10-01', now)).toBeNull();
+    expect(parseSummaryPeriod('2026-11-01', now)).toBeNull();
+    expect(mentionsDates('resumo 2026-10-05 2026-10-01')).toBe(true);
+  });
+
+  test('returns null when no window is named', () => {
+    expect(parseSummaryPeriod('resumo por favor', now)).toBeNull();
+    expect(mentionsDates('resumo por favor')).toBe(false);
+  });
+});
+
+describe('resolveSummaryPeriod', () => {
+  test('defaults to the last 24 hours', () => {
+    expect(resolveSummaryPeriod({}, now)).toMatchObject({
+      period: '24h',
+      startDate: new Date('2026-10-14T15:00:00Z'),
+      endDate: now
+    });
+  });
+
+  test('keeps the range stored with a job', () => {
+    const window = resolveSummaryPeriod({
+      period: 'custom',
+      startDate: '2026-10-01T03:00:00.000Z',
+      endDate: '2026-10-06T03:00:00.000Z',
+      label: 'de 01/10/2026 a 05/10/2026'
+    }, now);
+
+    expect(window.startDate).toEqual(new Date('2026-10-01T03:00:00Z'));
+    expect(window.label).toBe('de 01/10/2026 a 05/10/2026');
+  });
+});
+
+describe('window helpers', () => {
+  test('limits windows to 31 days', () => {
+    expect(isWithinMaxWindow(parseSummaryPeriod('2026-09-15', now))).toBe(true);
+    expect(isWithinMaxWindow(parseSummaryPeriod('2026-09-01', now))).toBe(false);
+  });
+
+  test('caches explicit ranges by their dates and other windows by their key', () => {
+    const range = parseSummaryPeriod('2026-10-01 2026-10-05', now);
+
+    expect(getSummaryCacheKey('g@g.us', parseSummaryPeriod('ontem', now))).toBe('summary:g@g.us:yesterday');
+    expect(getSummaryCacheKey('g@g.us', range))
+      .toBe(`summary:g@g.us:custom:${range.startDate.getTime()}:${range.endDate.getTime()}`);
+  });
+});